@@ -0,0 +1,372 @@
+// access-telemetry.js - Per-site profiles of cookie, storage and network access seen in pages
+// content.js forwards what page-hooks.js observes (LOG_COOKIE_ACCESS, LOG_STORAGE_ACCESS,
+// LOG_NETWORK_ACCESS, LOG_TRACKING_SCRIPT). Events are counted per tab against a rate
+// limit, folded into a profile for the tab's top-level site and saved to
+// chrome.storage.local a few seconds later, one storage key per site so only the sites that
+// changed are written. Profiles not seen for RETENTION_DAYS are dropped. Event fields come from web pages and are checked before they are used.
+// Cookie writes carry the URL of the script that made them, taken from the call stack in
+// the page; each cookie keeps the last one as setBy, marked third-party when the script
+// is served from another site than the tab's. Iframes report under the tab's site too, so
+// cookies are keyed by name and the domain they were written for, and looked up by both
+// across every profile.
+class AccessTelemetry {
+    constructor() {
+        this.profiles = null;
+        this.loading = null;
+        this.rates = new Map();
+        // Sites changed since the last save
+        this.dirty = new Set();
+        this.migrating = false;
+        this.saveTimer = null;
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.rates.delete(tabId);
+        });
+    }
+
+    async load() {
+        if (this.profiles) return this.profiles;
+        if (!this.loading) {
+            this.loading = chrome.storage.local.get(null).then(result => {
+                const profiles = {};
+                Object.entries(result).forEach(([key, profile]) => {
+                    if (key.startsWith(AccessTelemetry.KEY_PREFIX)) {
+                        profiles[key.slice(AccessTelemetry.KEY_PREFIX.length)] = profile;
+                    }
+                });
+
+                // Profiles saved under the single key of older versions move to per-site keys
+                const legacy = result[AccessTelemetry.LEGACY_KEY];
+                if (legacy) {
+                    this.migrating = true;
+                    Object.assign(profiles, legacy);
+                    Object.keys(legacy).forEach(site => this.dirty.add(site));
+                    this.scheduleSave();
+                }
+
+                this.profiles = AccessTelemetry.prune(profiles);
+                return this.profiles;
+            }).finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Fold one content-script event into the profile of the sender's site; returns false
+     * if the event was malformed or over the tab's rate limit
+     */
+    async record(action, data, sender) {
+        const tabId = sender?.tab?.id;
+        const site = AccessTelemetry.siteOf(sender?.tab?.url);
+        const event = AccessTelemetry.parse(action, data);
+        if (tabId === undefined || !site || !event) return false;
+
+        const profiles = await this.load();
+        const profile = profiles[site] || (profiles[site] = AccessTelemetry.emptyProfile(site));
+        const now = new Date().toISOString();
+        profile.lastSeen = now;
+
+        this.dirty.add(site);
+        if (!this.allow(tabId)) {
+            profile.dropped++;
+            this.scheduleSave();
+            return false;
+        }
+
+        AccessTelemetry.apply(profile, event, now);
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Fixed-window limit per tab; events already carry counts, so this bounds work, not data
+     */
+    allow(tabId) {
+        const now = Date.now();
+        const rate = this.rates.get(tabId);
+        if (!rate || now - rate.start >= AccessTelemetry.RATE_WINDOW_MS) {
+            this.rates.set(tabId, { start: now, count: 1 });
+            return true;
+        }
+        return ++rate.count <= AccessTelemetry.MAX_EVENTS_PER_WINDOW;
+    }
+
+    /**
+     * The profile of the site `url` belongs to, the last recorded writer of `cookie`, or
+     * summaries of every profile without either
+     */
+    async query({ url, site, cookie } = {}) {
+        const profiles = await this.load();
+        if (cookie) {
+            return { setBy: AccessTelemetry.findSetter(profiles, cookie) };
+        }
+
+        const key = url ? AccessTelemetry.siteOf(url) : site;
+        if (key) {
+            return { profile: profiles[key] || null };
+        }
+
+        const summaries = Object.values(profiles).map(profile => ({
+            site: profile.site,
+            firstSeen: profile.firstSeen,
+            lastSeen: profile.lastSeen,
+            cookies: Object.keys(profile.cookies).length,
+            storageKeys: Object.keys(profile.storage).length,
+            requestOrigins: Object.keys(profile.requests).length,
+            scripts: Object.keys(profile.scripts).length,
+            trackingScripts: Object.values(profile.scripts).filter(script => script.tracking).length
+        }));
+        summaries.sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen));
+        return { profiles: summaries };
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => console.error('Failed to save access profiles:', error));
+        }, AccessTelemetry.SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write the sites changed since the last save, or with `all` every site, e.g. after
+     * entries inside profiles aged out; sites that were pruned are removed
+     */
+    async save({ all = false } = {}) {
+        const profiles = await this.load();
+        const before = Object.keys(profiles);
+        AccessTelemetry.prune(profiles);
+
+        const sites = all ? Object.keys(profiles) : [...this.dirty].filter(site => profiles[site]);
+        const removed = before.filter(site => !profiles[site]).map(site => AccessTelemetry.storageKey(site));
+        if (this.migrating) removed.push(AccessTelemetry.LEGACY_KEY);
+        this.dirty.clear();
+
+        try {
+            if (sites.length > 0) {
+                await chrome.storage.local.set(Object.fromEntries(
+                    sites.map(site => [AccessTelemetry.storageKey(site), profiles[site]])
+                ));
+            }
+            if (removed.length > 0) {
+                await chrome.storage.local.remove(removed);
+            }
+            this.migrating = false;
+        } catch (error) {
+            sites.forEach(site => this.dirty.add(site));
+            throw error;
+        }
+    }
+
+    static storageKey(site) {
+        return AccessTelemetry.KEY_PREFIX + site;
+    }
+
+    /**
+     * Registrable domain of a page URL; profiles are kept per site, not per host
+     */
+    static siteOf(url) {
+        try {
+            const parsed = new URL(url);
+            if (!/^https?:$/.test(parsed.protocol)) return null;
+            return DomainMatcher.getRegistrableDomain(parsed.hostname) || parsed.hostname;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Normalized event, or null if a field is missing or of the wrong type
+     */
+    static parse(action, data) {
+        if (!data || typeof data !== 'object') return null;
+
+        const isText = (value, max) => typeof value === 'string' && value.length <= max;
+        const count = data.count === undefined ? 1 : data.count;
+        if (!Number.isInteger(count) || count < 1) return null;
+        const script = isText(data.script, 2048) && /^https?:\/\//.test(data.script) ? data.script : null;
+
+        switch (action) {
+            case 'LOG_COOKIE_ACCESS': {
+                if (!['GET', 'SET'].includes(data.action) || !isText(data.cookieName, 256)) return null;
+                const domain = isText(data.cookieDomain, 253) ? DomainMatcher.normalizeHost(data.cookieDomain) : null;
+                if (data.action === 'SET' && !domain) return null;
+                return { kind: 'cookie', action: data.action, name: data.cookieName, domain, count, script };
+            }
+            case 'LOG_STORAGE_ACCESS':
+                if (!['GET', 'SET', 'REMOVE'].includes(data.action) || !isText(data.key, 256)) return null;
+                if (!['local', 'session'].includes(data.area)) return null;
+                return { kind: 'storage', action: data.action, key: data.key, area: data.area, count };
+            case 'LOG_NETWORK_ACCESS': {
+                if (!['FETCH', 'XHR'].includes(data.type) || !isText(data.url, 2048)) return null;
+                let origin;
+                try {
+                    origin = new URL(data.url).origin;
+                } catch (error) {
+                    return null;
+                }
+                return { kind: 'request', type: data.type, origin, count };
+            }
+            case 'LOG_TRACKING_SCRIPT':
+                if (!isText(data.src, 2048) || !/^https?:\/\//.test(data.src)) return null;
+                return { kind: 'script', src: data.src };
+            default:
+                return null;
+        }
+    }
+
+    static emptyProfile(site) {
+        const now = new Date().toISOString();
+        return {
+            site,
+            firstSeen: now,
+            lastSeen: now,
+            dropped: 0,
+            cookieReads: 0,
+            cookies: {},
+            storage: {},
+            requests: {},
+            scripts: {}
+        };
+    }
+
+    static apply(profile, event, now) {
+        switch (event.kind) {
+            case 'cookie': {
+                // document.cookie reads return every cookie at once, so they have no name
+                if (event.action === 'GET') {
+                    profile.cookieReads += event.count;
+                } else {
+                    const cookie = AccessTelemetry.entry(profile.cookies, AccessTelemetry.cookieKey(event.name, event.domain), now,
+                        { name: event.name, domain: event.domain, writes: 0 });
+                    if (cookie) cookie.writes += event.count;
+                    if (cookie && event.script) {
+                        cookie.setBy = {
+                            script: event.script,
+                            thirdParty: AccessTelemetry.isThirdParty(event.script, profile.site),
+                            at: now
+                        };
+                    }
+                }
+                if (event.script) {
+                    const script = AccessTelemetry.entry(profile.scripts, event.script, now,
+                        AccessTelemetry.newScript(event.script, profile.site));
+                    if (!script) break;
+                    if (event.action === 'GET') {
+                        script.reads += event.count;
+                    } else {
+                        script.writes += event.count;
+                        if (!script.cookies.includes(event.name) && script.cookies.length < AccessTelemetry.MAX_ENTRIES) {
+                            script.cookies.push(event.name);
+                        }
+                    }
+                }
+                break;
+            }
+            case 'storage': {
+                const item = AccessTelemetry.entry(profile.storage, `${event.area}:${event.key}`, now,
+                    { area: event.area, key: event.key, reads: 0, writes: 0, removes: 0 });
+                if (!item) break;
+                const field = { GET: 'reads', SET: 'writes', REMOVE: 'removes' }[event.action];
+                item[field] += event.count;
+                break;
+            }
+            case 'request': {
+                const request = AccessTelemetry.entry(profile.requests, event.origin, now, { fetch: 0, xhr: 0 });
+                if (request) request[event.type === 'FETCH' ? 'fetch' : 'xhr'] += event.count;
+                break;
+            }
+            case 'script': {
+                const script = AccessTelemetry.entry(profile.scripts, event.src, now,
+                    AccessTelemetry.newScript(event.src, profile.site));
+                if (script) script.tracking = true;
+                break;
+            }
+        }
+    }
+
+    static cookieKey(name, domain) {
+        return `${name}|${DomainMatcher.normalizeHost(domain)}`;
+    }
+
+    /**
+     * Most recent setBy recorded for a cookie under any site, with the site it was seen on
+     */
+    static findSetter(profiles, cookie) {
+        const key = AccessTelemetry.cookieKey(cookie.name, cookie.domain);
+        let latest = null;
+        Object.values(profiles).forEach(profile => {
+            const setBy = profile.cookies[key]?.setBy;
+            if (setBy && (!latest || Date.parse(setBy.at) > Date.parse(latest.at))) {
+                latest = { ...setBy, site: profile.site };
+            }
+        });
+        return latest;
+    }
+
+    static newScript(url, site) {
+        return { tracking: false, thirdParty: AccessTelemetry.isThirdParty(url, site), reads: 0, writes: 0, cookies: [] };
+    }
+
+    /**
+     * Whether a script URL is served from another site than the page's top-level site
+     */
+    static isThirdParty(url, site) {
+        return AccessTelemetry.siteOf(url) !== site;
+    }
+
+    /**
+     * Entry `id` of a profile collection, created from `initial` if there is room
+     */
+    static entry(collection, id, now, initial) {
+        if (!collection[id]) {
+            if (Object.keys(collection).length >= AccessTelemetry.MAX_ENTRIES) return null;
+            collection[id] = { ...initial, firstSeen: now };
+        }
+        collection[id].lastSeen = now;
+        return collection[id];
+    }
+
+    /**
+     * Drop profiles and entries older than the retention window, then the least recently
+     * seen profiles beyond MAX_SITES
+     */
+    static prune(profiles, retentionDays = AccessTelemetry.RETENTION_DAYS) {
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const isStale = item => !(Date.parse(item.lastSeen) >= cutoff);
+
+        Object.entries(profiles).forEach(([site, profile]) => {
+            if (isStale(profile)) {
+                delete profiles[site];
+                return;
+            }
+            ['cookies', 'storage', 'requests', 'scripts'].forEach(field => {
+                Object.entries(profile[field] || {}).forEach(([id, item]) => {
+                    if (isStale(item)) delete profile[field][id];
+                });
+            });
+        });
+
+        const sites = Object.values(profiles);
+        if (sites.length > AccessTelemetry.MAX_SITES) {
+            sites.sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen));
+            sites.slice(AccessTelemetry.MAX_SITES).forEach(profile => delete profiles[profile.site]);
+        }
+        return profiles;
+    }
+}
+
+AccessTelemetry.KEY_PREFIX = 'accessProfile_';
+AccessTelemetry.LEGACY_KEY = 'accessProfiles';
+AccessTelemetry.RETENTION_DAYS = 30;
+AccessTelemetry.MAX_SITES = 500;
+// Per collection (cookies, storage keys, request origins, scripts) of one profile
+AccessTelemetry.MAX_ENTRIES = 200;
+AccessTelemetry.RATE_WINDOW_MS = 60000;
+AccessTelemetry.MAX_EVENTS_PER_WINDOW = 300;
+AccessTelemetry.SAVE_DELAY_MS = 5000;
@@ -1,17 +1,55 @@
 // Background service worker for enhanced Cookie Guardian
 // Load required modules
-importScripts('categories.js', 'encryption.js', 'sync-manager.js', 'badge-manager.js');
+importScripts(
+    'public-suffix-list.js',
+    'domain-matcher.js',
+    'cookie-stores.js',
+    'cookie-identity.js',
+    'mutation-tracker.js',
+    'set-cookie-observer.js',
+    'cookie-mutator.js',
+    'cookie-proxy.js',
+    'key-rotation.js',
+    'cookie-vault.js',
+    'categories.js',
+    'encryption.js',
+    'rule-schema.js',
+    'storage-schema.js',
+    'import-planner.js',
+    'backup-container.js',
+    'sync-transports.js',
+    'sync-auth.js',
+    'sync-merge.js',
+    'sync-scope.js',
+    'sync-manager.js',
+    'badge-manager.js',
+    'third-party-blocker.js',
+    'access-telemetry.js',
+    'rule-engine.js'
+);
 
 class CookieGuardianBackground {
     constructor() {
         this.auditLog = [];
         this.siteRules = {};
+        this.ruleEngine = new RuleEngine();
+        this.mutationTracker = new MutationTracker();
+        this.setCookieObserver = new SetCookieObserver();
+        this.cookieMutator = new CookieMutator(
+            (action, details) => this.logAudit(action, details),
+            this.mutationTracker
+        );
         this.whitelist = [];
         this.blacklist = [];
         this.encryption = null;
+        this.cookieProxy = null;
+        this.keyRotation = null;
+        this.vault = null;
         this.categorizer = null;
         this.syncManager = null;
         this.badgeManager = null;
+        this.thirdPartyBlocker = null;
+        this.accessTelemetry = null;
         this.isInitialized = false;
         this.init();
     }
@@ -21,6 +59,9 @@ class CookieGuardianBackground {
             await this.loadSavedData();
             this.setupListeners();
             this.setupAlarms();
+            this.registerPageHooks().catch(error => {
+                console.error('Failed to register page hooks:', error);
+            });
             this.startMonitoring();
             this.initializeModules();
             this.isInitialized = true;
@@ -33,6 +74,7 @@ class CookieGuardianBackground {
         try {
             const data = await chrome.storage.local.get([
                 'siteRules', 
+                'siteRulesVersion',
                 'auditLog', 
                 'whitelist', 
                 'blacklist',
@@ -40,14 +82,46 @@ class CookieGuardianBackground {
                 'syncSettings'
             ]);
             
-            this.siteRules = data.siteRules || this.getDefaultRules();
             this.auditLog = data.auditLog || [];
             this.whitelist = data.whitelist || [];
             this.blacklist = data.blacklist || [];
+            
+            const migration = RuleSchema.migrate(data.siteRules, data.siteRulesVersion, this.getDefaultRules());
+            this.siteRules = migration.rules;
+            
+            if (migration.changed) {
+                await this.saveRules();
+                
+                if (migration.repaired.length > 0) {
+                    this.logAudit('RULES_REPAIRED', {
+                        domain: '*',
+                        rules: migration.repaired
+                    });
+                }
+            }
         } catch (error) {
             console.error('Error loading saved data:', error);
             this.siteRules = this.getDefaultRules();
         }
+        
+        this.ruleEngine.compile(this.siteRules);
+        await this.refreshBlocking();
+    }
+    
+    /**
+     * Recompile blocking mode's header rules after the lists changed
+     */
+    async refreshBlocking() {
+        await this.thirdPartyBlocker?.compile(this.blacklist, this.whitelist)
+            .catch(error => console.error('Failed to compile blocking rules:', error));
+    }
+
+    async saveRules() {
+        this.ruleEngine.compile(this.siteRules);
+        await chrome.storage.local.set({
+            siteRules: RuleSchema.serializeRules(this.siteRules),
+            siteRulesVersion: RuleSchema.VERSION
+        });
     }
 
     getDefaultRules() {
@@ -99,10 +173,47 @@ class CookieGuardianBackground {
             }
         }
         
+        // Transparent encryption needs the key loaded before session rules can be rebuilt
+        if (this.encryption && typeof CookieProxy !== 'undefined') {
+            this.cookieProxy = new CookieProxy(
+                this.encryption,
+                this.cookieMutator,
+                (action, details) => this.logAudit(action, details)
+            );
+            this.encryption.ready
+                .then(() => this.cookieProxy.restore())
+                .catch(error => console.error('Failed to restore proxied cookies:', error));
+            this.setCookieObserver.onSetCookie = (observed) => {
+                this.cookieProxy.handleSetCookie(observed)
+                    .catch(error => console.error('Failed to check proxied cookie:', error));
+            };
+            
+            if (typeof CookieVault !== 'undefined') {
+                this.vault = new CookieVault(
+                    this.encryption,
+                    this.cookieMutator,
+                    this.cookieProxy,
+                    (action, details) => this.logAudit(action, details)
+                );
+            }
+        }
+        
+        // Finish any key rotation a previous service worker instance left behind
+        if (this.encryption && typeof KeyRotation !== 'undefined') {
+            this.keyRotation = new KeyRotation(
+                this.encryption,
+                (action, details) => this.logAudit(action, details)
+            );
+            this.encryption.ready
+                .then(() => this.keyRotation.resume())
+                .catch(error => console.error('Failed to resume key rotation:', error));
+        }
+        
         // Initialize sync manager
         if (typeof SyncManager !== 'undefined') {
             try {
-                this.syncManager = new SyncManager();
+                this.syncManager = new SyncManager(this.encryption);
+                this.syncManager.onRemoteChange = () => this.loadSavedData();
             } catch (error) {
                 console.error('Failed to initialize sync manager:', error);
                 this.syncManager = null;
@@ -118,6 +229,31 @@ class CookieGuardianBackground {
                 this.badgeManager = null;
             }
         }
+        
+        // Blocking mode strips cookie headers from third-party requests to listed domains
+        if (typeof ThirdPartyBlocker !== 'undefined') {
+            try {
+                this.thirdPartyBlocker = new ThirdPartyBlocker(this.categorizer);
+                this.thirdPartyBlocker.onBlocked = (tabId, count) => {
+                    this.badgeManager?.showBlockedCount(tabId, count)
+                        .catch(error => console.error('Failed to update blocked count:', error));
+                };
+                this.refreshBlocking();
+            } catch (error) {
+                console.error('Failed to initialize blocking mode:', error);
+                this.thirdPartyBlocker = null;
+            }
+        }
+        
+        // Aggregates what the page hooks report into per-site access profiles
+        if (typeof AccessTelemetry !== 'undefined') {
+            try {
+                this.accessTelemetry = new AccessTelemetry();
+            } catch (error) {
+                console.error('Failed to initialize access telemetry:', error);
+                this.accessTelemetry = null;
+            }
+        }
     }
 
     setupListeners() {
@@ -125,6 +261,9 @@ class CookieGuardianBackground {
         chrome.cookies.onChanged.addListener((changeInfo) => {
             this.handleCookieChange(changeInfo);
         });
+        
+        // Remember which responses set cookies, for the change events that follow
+        this.setCookieObserver.start();
 
         // Monitor tab updates
         chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
@@ -133,18 +272,11 @@ class CookieGuardianBackground {
             }
         });
 
-        // Handle messages from popup and options
+        // Handle messages from popup and options; SyncManager watches storage itself
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             this.handleMessage(message, sender, sendResponse);
             return true;
         });
-
-        // Monitor storage changes for sync
-        chrome.storage.onChanged.addListener((changes, namespace) => {
-            if (namespace === 'local' && this.syncManager?.syncEnabled) {
-                this.syncManager.syncChanges(changes);
-            }
-        });
     }
 
     setupAlarms() {
@@ -152,6 +284,9 @@ class CookieGuardianBackground {
         chrome.alarms.create('checkExpiringCookies', { periodInMinutes: 1 });
         chrome.alarms.create('cleanOldCookies', { periodInMinutes: 60 });
         chrome.alarms.create('updateBadge', { periodInMinutes: 5 });
+        chrome.alarms.create('verifyVault', { periodInMinutes: 24 * 60 });
+        chrome.alarms.create('pruneAccessProfiles', { periodInMinutes: 24 * 60 });
+        chrome.alarms.create(ThirdPartyBlocker.COUNT_ALARM, { periodInMinutes: 1 });
         
         chrome.alarms.onAlarm.addListener((alarm) => {
             switch (alarm.name) {
@@ -164,18 +299,98 @@ class CookieGuardianBackground {
                 case 'updateBadge':
                     this.badgeManager?.updateBadge();
                     break;
+                case CookieProxy.EXPIRY_ALARM:
+                    this.cookieProxy?.expire().catch(error => console.error('Failed to expire proxied cookies:', error));
+                    break;
+                case 'verifyVault':
+                    this.vault?.verify().catch(error => console.error('Vault verification failed:', error));
+                    break;
+                case ThirdPartyBlocker.COUNT_ALARM:
+                    this.thirdPartyBlocker?.countMatches().catch(error => console.error('Failed to count blocked requests:', error));
+                    break;
+                case 'pruneAccessProfiles':
+                    // Saving every site drops profiles and entries past the retention window
+                    this.accessTelemetry?.save({ all: true }).catch(error => console.error('Failed to prune access profiles:', error));
+                    break;
+                case CookieEncryption.AUTO_LOCK_ALARM:
+                    this.encryption?.lock().then(() => {
+                        this.logAudit('ENCRYPTION_LOCKED', { domain: '*', reason: 'auto_lock' });
+                    });
+                    break;
             }
         });
     }
 
+    /**
+     * page-hooks.js has to run in the page's world to see its document.cookie, storage and
+     * fetch calls, which the manifest cannot declare; content.js relays what it reports
+     */
+    async registerPageHooks() {
+        const script = {
+            id: CookieGuardianBackground.PAGE_HOOKS_ID,
+            js: ['page-hooks.js'],
+            matches: ['<all_urls>'],
+            allFrames: true,
+            runAt: 'document_start',
+            world: 'MAIN',
+            persistAcrossSessions: true
+        };
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [script.id] });
+        if (registered.length > 0) {
+            await chrome.scripting.updateContentScripts([script]);
+        } else {
+            await chrome.scripting.registerContentScripts([script]);
+        }
+    }
+
     startMonitoring() {
         // Initial checks
         this.checkExpiringCookies();
         this.cleanOldCookies();
     }
 
-    async handleCookieChange(changeInfo) {
-        await this.logCookieChange(changeInfo);
+    handleCookieChange(changeInfo) {
+        // Changes caused by our own writes are logged with their origin, never re-processed
+        const origin = this.mutationTracker.claim(changeInfo.cookie);
+        if (origin) {
+            this.logCookieChange(changeInfo, { origin });
+            return;
+        }
+        
+        this.mutationTracker.debounce(changeInfo.cookie, count => {
+            this.processCookieChange(changeInfo, count).catch(error => {
+                console.error('Error processing cookie change:', error);
+            });
+        });
+    }
+
+    async processCookieChange(changeInfo, coalesced) {
+        const extra = coalesced > 1 ? { coalesced } : {};
+        
+        // Cookies set by a response are logged with it and categorized knowing who set them;
+        // the categorizer keeps the observation for the popup, report and blocking mode
+        const response = changeInfo.removed ? null : this.setCookieObserver.claim(changeInfo.cookie);
+        if (response) {
+            extra.response = response;
+            if (this.categorizer) {
+                extra.category = this.categorizer.categorizeCookie(changeInfo.cookie, response).category;
+                this.categorizer.recordSource(changeInfo.cookie, response)
+                    .catch(error => console.error('Error recording cookie source:', error));
+            }
+        } else if (changeInfo.removed && changeInfo.cause !== 'overwrite') {
+            this.categorizer?.forgetSource(changeInfo.cookie)
+                .catch(error => console.error('Error forgetting cookie source:', error));
+        }
+        await this.logCookieChange(changeInfo, extra);
+        
+        // New advertising domains are added to blocking mode's rules
+        if (!changeInfo.removed && this.thirdPartyBlocker?.enabled && this.categorizer) {
+            const category = extra.category || this.categorizer.categorizeCookie(changeInfo.cookie).category;
+            this.thirdPartyBlocker.noteCookie(changeInfo.cookie, category);
+        }
+        
+        // Nothing to enforce on a cookie that no longer exists
+        if (changeInfo.removed) return;
         
         const cookie = changeInfo.cookie;
         
@@ -183,29 +398,50 @@ class CookieGuardianBackground {
         const listResult = await this.applyWhitelistBlacklist(cookie);
         if (listResult === false) return; // Cookie was blacklisted and deleted
         
-        // Apply rules
-        await this.applyRules(cookie);
+        // Resolve once so every feature below acts on the same rule
+        const resolution = await this.resolveCookieRule(cookie, listResult === true);
+        if (!resolution.rule) return;
+        
+        // Apply rules; encryption must act on the cookie as the rules left it
+        const ruled = await this.applyRules(cookie, resolution);
         
         // Apply encryption if needed
-        await this.applyEncryption(cookie);
+        await this.applyEncryption(ruled, resolution);
+    }
+
+    async resolveCookieRule(cookie, whitelisted) {
+        const resolution = this.ruleEngine.resolve(cookie.domain, cookie.storeId);
+        if (!whitelisted) return resolution;
+        
+        // Whitelisted domains may carry per-domain overrides on top of the resolved rule
+        try {
+            const { whitelistRules = {} } = await chrome.storage.local.get(['whitelistRules']);
+            const override = whitelistRules[cookie.domain];
+            
+            if (override) {
+                return {
+                    ...resolution,
+                    rule: { ...resolution.rule, ...override },
+                    explanation: `${resolution.explanation}; whitelist override for ${cookie.domain} applied`
+                };
+            }
+        } catch (error) {
+            console.error('Error loading whitelist rules:', error);
+        }
+        
+        return resolution;
     }
 
     async applyWhitelistBlacklist(cookie) {
         // Check blacklist first
         for (const pattern of this.blacklist) {
             try {
-                const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-                if (regex.test(cookie.domain)) {
+                if (DomainMatcher.matchesPattern(cookie.domain, pattern)) {
                     // Delete blacklisted cookie
-                    await chrome.cookies.remove({
-                        url: `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path}`,
-                        name: cookie.name
-                    });
-                    
-                    this.logAudit('BLACKLIST_DELETED', {
-                        cookie: cookie.name,
-                        domain: cookie.domain,
-                        pattern: pattern
+                    await this.cookieMutator.remove(cookie, {
+                        feature: 'blacklist',
+                        action: 'BLACKLIST_DELETED',
+                        details: { pattern }
                     });
                     
                     return false;
@@ -218,15 +454,7 @@ class CookieGuardianBackground {
         // Check whitelist
         for (const pattern of this.whitelist) {
             try {
-                const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-                if (regex.test(cookie.domain)) {
-                    // Apply special rules for whitelisted domains
-                    const whitelistRules = await chrome.storage.local.get(['whitelistRules']);
-                    const rule = whitelistRules[cookie.domain];
-                    
-                    if (rule) {
-                        await this.applyWhitelistRule(cookie, rule);
-                    }
+                if (DomainMatcher.matchesPattern(cookie.domain, pattern)) {
                     return true;
                 }
             } catch (error) {
@@ -237,112 +465,65 @@ class CookieGuardianBackground {
         return null; // Neither whitelisted nor blacklisted
     }
 
-    async applyWhitelistRule(cookie, rule) {
-        const updatedCookie = { ...cookie };
-        
-        if (rule.expiration) {
-            updatedCookie.expirationDate = Math.floor(
-                (Date.now() + (rule.expiration * 60 * 1000)) / 1000
-            );
-        }
+    /**
+     * Apply the rule's lifetime to the cookie; returns the cookie as it is now stored
+     */
+    async applyRules(cookie, resolution) {
+        const rule = resolution.rule;
         
-        if (rule.encrypt && this.encryption) {
-            try {
-                const encrypted = await this.encryption.encryptCookie(cookie.value, cookie.domain);
-                
-                // Store encrypted version
-                await chrome.storage.local.set({
-                    [`encrypted_${cookie.domain}_${cookie.name}`]: encrypted
-                });
-                
-                // Replace cookie value with reference
-                updatedCookie.value = `ENCRYPTED_REF_${cookie.domain}_${cookie.name}`;
-                
-                this.logAudit('ENCRYPTED', {
-                    cookie: cookie.name,
-                    domain: cookie.domain,
-                    type: 'whitelist_rule'
-                });
-            } catch (error) {
-                console.error('Error encrypting whitelisted cookie:', error);
-            }
-        }
-        
-        try {
-            await chrome.cookies.set(updatedCookie);
-        } catch (error) {
-            console.error('Error applying whitelist rule:', error);
-        }
-    }
-
-    async applyRules(cookie) {
-        const domain = cookie.domain;
-        let matchedRule = this.siteRules['*'];
-        
-        // Find matching rule for domain
-        for (const [key, rule] of Object.entries(this.siteRules)) {
-            if (key === '*') continue;
-            
-            if (rule.pattern && rule.pattern.test(domain)) {
-                matchedRule = rule;
-                break;
-            }
+        // Auto-delete keeps cookies session-scoped so the browser drops them on close
+        if (rule.autoDelete) {
+            if (!cookie.expirationDate) return cookie;
             
-            if (domain.includes(key)) {
-                matchedRule = rule;
-                break;
-            }
+            const result = await this.cookieMutator.set(cookie, { expirationDate: undefined }, {
+                feature: 'auto_delete_rule',
+                action: 'RULE_APPLIED',
+                details: {
+                    autoDelete: true,
+                    rule: resolution.key,
+                    matchType: resolution.matchType,
+                    reason: resolution.explanation
+                }
+            });
+            return result.cookie || cookie;
         }
         
         // Apply expiration rule
-        if (matchedRule.expiration && !cookie.expirationDate) {
-            const expirationDate = Date.now() + (matchedRule.expiration * 60 * 1000);
-            const updatedCookie = {
-                ...cookie,
+        if (rule.expiration && !cookie.expirationDate) {
+            const expirationDate = Date.now() + (rule.expiration * 60 * 1000);
+            const result = await this.cookieMutator.set(cookie, {
                 expirationDate: Math.floor(expirationDate / 1000)
-            };
-            
-            try {
-                await chrome.cookies.set(updatedCookie);
-                this.logAudit('RULE_APPLIED', {
-                    cookie: cookie.name,
-                    domain: cookie.domain,
-                    expiration: matchedRule.expiration,
-                    rule: matchedRule
-                });
-            } catch (error) {
-                console.error('Error applying rule:', error);
-            }
+            }, {
+                feature: 'expiration_rule',
+                action: 'RULE_APPLIED',
+                details: {
+                    expiration: rule.expiration,
+                    rule: resolution.key,
+                    matchType: resolution.matchType,
+                    reason: resolution.explanation
+                }
+            });
+            return result.cookie || cookie;
         }
+        return cookie;
     }
 
-    async applyEncryption(cookie) {
-        // Check if this cookie should be encrypted based on rules
-        const domain = cookie.domain;
-        let shouldEncrypt = false;
-        
-        for (const [key, rule] of Object.entries(this.siteRules)) {
-            if (key === '*') {
-                if (rule.encrypt) {
-                    shouldEncrypt = true;
-                }
-                continue;
-            }
-            
-            if (rule.pattern && rule.pattern.test(domain)) {
-                shouldEncrypt = rule.encrypt;
-                break;
-            }
-            
-            if (domain.includes(key) && rule.encrypt) {
-                shouldEncrypt = true;
-                break;
+    async applyEncryption(cookie, resolution) {
+        if (!resolution.rule.encrypt) return;
+        
+        if (this.cookieProxy && cookie.value && (resolution.rule.encryptMode || RuleSchema.DEFAULT_ENCRYPT_MODE) === 'transparent') {
+            try {
+                await this.encryption.ready;
+                await this.cookieProxy.seal(cookie, { rule: resolution.key });
+            } catch (error) {
+                console.error('Error sealing cookie:', error);
             }
+            return;
         }
         
-        if (shouldEncrypt && this.encryption && cookie.value && !cookie.value.startsWith('ENCRYPTED_REF_')) {
+        if (this.encryption && cookie.value && !cookie.value.startsWith('ENCRYPTED_REF_')) {
             try {
-                const encrypted = await this.encryption.encryptCookie(cookie.value, cookie.domain);
+                const encrypted = await this.encryption.encryptCookie(cookie.value, cookie);
                 
                 // Store encrypted version
                 await chrome.storage.local.set({
@@ -350,17 +531,15 @@ class CookieGuardianBackground {
                 });
                 
                 // Update cookie with encrypted reference
-                const updatedCookie = {
-                    ...cookie,
+                await this.cookieMutator.set(cookie, {
                     value: `ENCRYPTED_REF_${cookie.domain}_${cookie.name}`
-                };
-                
-                await chrome.cookies.set(updatedCookie);
-                
-                this.logAudit('ENCRYPTED', {
-                    cookie: cookie.name,
-                    domain: cookie.domain,
-                    type: 'auto_encryption'
+                }, {
+                    feature: 'auto_encryption',
+                    action: 'ENCRYPTED',
+                    details: {
+                        type: 'auto_encryption',
+                        rule: resolution.key
+                    }
                 });
             } catch (error) {
                 console.error('Error auto-encrypting cookie:', error);
@@ -370,7 +549,7 @@ class CookieGuardianBackground {
 
     async checkExpiringCookies() {
         try {
-            const allCookies = await chrome.cookies.getAll({});
+            const allCookies = await CookieStores.getAll();
             const now = Date.now() / 1000;
             const expiringSoon = allCookies.filter(cookie => {
                 if (!cookie.expirationDate) return false;
@@ -388,7 +567,7 @@ class CookieGuardianBackground {
 
     async cleanOldCookies() {
         try {
-            const allCookies = await chrome.cookies.getAll({});
+            const allCookies = await CookieStores.getAll();
             const now = Date.now() / 1000;
             const oldCookies = allCookies.filter(cookie => {
                 if (!cookie.expirationDate) return false;
@@ -396,26 +575,20 @@ class CookieGuardianBackground {
                 return age > 30 * 24 * 60 * 60; // Older than 30 days
             });
             
-            for (const cookie of oldCookies) {
-                try {
-                    const url = `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path}`;
-                    await chrome.cookies.remove({ url: url, name: cookie.name });
-                    
-                    this.logAudit('AUTO_DELETE', {
-                        cookie: cookie.name,
-                        domain: cookie.domain,
-                        reason: 'older_than_30_days'
-                    });
-                } catch (error) {
-                    console.error('Error deleting old cookie:', error);
-                }
-            }
+            const { removed, failed } = await this.cookieMutator.removeAll(oldCookies, {
+                feature: 'clean_old_cookies',
+                action: 'AUTO_DELETE',
+                details: { reason: 'older_than_30_days' }
+            });
             
             if (oldCookies.length > 0) {
-                console.log(`Cleaned ${oldCookies.length} old cookies`);
+                console.log(`Cleaned ${removed} old cookies (${failed.length} failed)`);
             }
+            
+            return { removed, failed };
         } catch (error) {
             console.error('Error cleaning old cookies:', error);
+            return { removed: 0, failed: [] };
         }
     }
 
@@ -435,14 +608,17 @@ class CookieGuardianBackground {
         });
     }
 
-    async logCookieChange(changeInfo) {
+    async logCookieChange(changeInfo, extra = {}) {
         const logEntry = {
             timestamp: new Date().toISOString(),
             cookie: changeInfo.cookie.name,
             domain: changeInfo.cookie.domain,
+            storeId: changeInfo.cookie.storeId,
+            partition: CookieStores.getPartitionSite(changeInfo.cookie),
             changeType: changeInfo.removed ? 'REMOVED' : changeInfo.cause,
             value: changeInfo.cookie.value ? (changeInfo.cookie.value.length > 50 ? 
-                   changeInfo.cookie.value.substring(0, 50) + '...' : changeInfo.cookie.value) : 'empty'
+                   changeInfo.cookie.value.substring(0, 50) + '...' : changeInfo.cookie.value) : 'empty',
+            ...extra
         };
         
         this.auditLog.unshift(logEntry);
@@ -483,11 +659,13 @@ class CookieGuardianBackground {
         
         try {
             const url = new URL(tab.url);
-            const cookies = await chrome.cookies.getAll({ domain: url.hostname });
+            const storeId = await CookieStores.getStoreIdForTab(tab.id);
+            const cookies = await CookieStores.getAll({ domain: url.hostname, storeId });
             
             if (cookies.length > 0) {
                 this.logAudit('TAB_VISIT', {
                     domain: url.hostname,
+                    storeId,
                     cookieCount: cookies.length,
                     tabId: tab.id,
                     url: tab.url
@@ -511,18 +689,31 @@ class CookieGuardianBackground {
                     break;
                     
                 case 'GET_RULES':
-                    sendResponse({ rules: this.siteRules });
+                    sendResponse({ rules: RuleSchema.serializeRules(this.siteRules) });
+                    break;
+                    
+                case 'RESOLVE_RULE':
+                    const resolution = this.ruleEngine.resolve(message.domain, message.storeId);
+                    sendResponse({
+                        resolution: { ...resolution, rule: RuleSchema.serializeRule(resolution.rule) }
+                    });
                     break;
                     
                 case 'SAVE_RULE':
-                    this.siteRules[message.domain] = message.rule;
-                    await chrome.storage.local.set({ siteRules: this.siteRules });
+                    const ruleErrors = RuleSchema.validateRule(message.rule);
+                    if (ruleErrors.length > 0) {
+                        sendResponse({ success: false, error: ruleErrors.join('; ') });
+                        break;
+                    }
+                    
+                    this.siteRules[message.domain] = RuleSchema.hydrateRule(message.rule);
+                    await this.saveRules();
                     sendResponse({ success: true });
                     break;
                     
                 case 'DELETE_RULE':
                     delete this.siteRules[message.domain];
-                    await chrome.storage.local.set({ siteRules: this.siteRules });
+                    await this.saveRules();
                     sendResponse({ success: true });
                     break;
                     
@@ -548,6 +739,7 @@ class CookieGuardianBackground {
                         whitelist: this.whitelist,
                         blacklist: this.blacklist
                     });
+                    await this.refreshBlocking();
                     sendResponse({ success: true });
                     break;
                     
@@ -561,21 +753,27 @@ class CookieGuardianBackground {
                         whitelist: this.whitelist,
                         blacklist: this.blacklist
                     });
+                    await this.refreshBlocking();
                     sendResponse({ success: true });
                     break;
                     
                 case 'GET_STATS':
-                    const cookies = await chrome.cookies.getAll({});
+                    const cookies = await CookieStores.getAll();
                     const categorized = cookies.map(cookie => 
                         this.categorizer.categorizeCookie(cookie)
                     );
+                    const proxiedCookies = this.cookieProxy ? await this.cookieProxy.count() : 0;
                     
                     const stats = {
                         totalCookies: cookies.length,
                         sessionCookies: cookies.filter(c => !c.expirationDate).length,
                         secureCookies: cookies.filter(c => c.secure).length,
                         httpOnlyCookies: cookies.filter(c => c.httpOnly).length,
-                        encryptedCookies: cookies.filter(c => c.value?.startsWith('ENCRYPTED_REF_')).length,
+                        encryptedCookies: cookies.filter(c => c.value?.startsWith('ENCRYPTED_REF_')).length +
+                            proxiedCookies,
+                        proxiedCookies,
+                        partitionedCookies: cookies.filter(c => c.partitionKey).length,
+                        thirdPartyPartitionedCookies: cookies.filter(c => CookieStores.isThirdPartyPartitioned(c)).length,
                         whitelistedDomains: this.whitelist.length,
                         blacklistedDomains: this.blacklist.length,
                         categories: this.aggregateCategories(categorized)
@@ -584,7 +782,7 @@ class CookieGuardianBackground {
                     break;
                     
                 case 'GET_CATEGORIES':
-                    const allCookies = await chrome.cookies.getAll({});
+                    const allCookies = await CookieStores.getAll();
                     const allCategorized = allCookies.map(cookie => ({
                         ...cookie,
                         category: this.categorizer.categorizeCookie(cookie)
@@ -592,11 +790,31 @@ class CookieGuardianBackground {
                     sendResponse({ categorized: allCategorized });
                     break;
                     
+                case 'SET_COOKIE':
+                    const setResult = await this.cookieMutator.set(message.cookie, message.changes, {
+                        feature: message.feature,
+                        action: message.auditAction
+                    });
+                    sendResponse({ success: setResult.success, cookie: setResult.cookie, error: setResult.error });
+                    break;
+                    
+                case 'REMOVE_COOKIES':
+                    const removal = await this.cookieMutator.removeAll(message.cookies, {
+                        feature: message.feature,
+                        action: message.auditAction
+                    });
+                    sendResponse({
+                        success: removal.failed.length === 0,
+                        removed: removal.removed,
+                        failed: removal.failed.map(f => ({ key: f.key, error: f.error }))
+                    });
+                    break;
+                    
                 case 'ENCRYPT_COOKIE':
                     if (this.encryption) {
                         const encrypted = await this.encryption.encryptCookie(
-                            message.value, 
-                            message.domain
+                            message.value,
+                            CookieEncryption.requireIdentity(message.cookie)
                         );
                         sendResponse({ success: true, encrypted });
                     } else {
@@ -604,9 +822,109 @@ class CookieGuardianBackground {
                     }
                     break;
                     
+                case 'GET_ENCRYPTION_STATE':
+                    if (this.encryption) {
+                        sendResponse({ success: true, state: await this.encryption.getState() });
+                    } else {
+                        sendResponse({ success: false, error: 'Encryption not available' });
+                    }
+                    break;
+                    
+                case 'UNLOCK_ENCRYPTION':
+                    await this.encryption.unlock(message.passphrase);
+                    this.logAudit('ENCRYPTION_UNLOCKED', { domain: '*' });
+                    
+                    // Proxied cookies could not be rebuilt while the key was locked
+                    if (this.cookieProxy) {
+                        await this.cookieProxy.restore();
+                    }
+                    this.keyRotation?.resume();
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'LOCK_ENCRYPTION':
+                    await this.encryption.lock();
+                    this.logAudit('ENCRYPTION_LOCKED', { domain: '*', reason: 'manual' });
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'SET_ENCRYPTION_PASSPHRASE':
+                    await this.encryption.enablePassphrase(message.passphrase, message.currentPassphrase);
+                    this.logAudit('ENCRYPTION_PASSPHRASE_SET', { domain: '*' });
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'REMOVE_ENCRYPTION_PASSPHRASE':
+                    await this.encryption.disablePassphrase(message.passphrase);
+                    this.logAudit('ENCRYPTION_PASSPHRASE_REMOVED', { domain: '*' });
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'SET_AUTO_LOCK':
+                    await this.encryption.setAutoLock(message.minutes);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'ROTATE_ENCRYPTION_KEY':
+                    const job = await this.keyRotation.start(message.passphrase);
+                    sendResponse({ success: true, job });
+                    break;
+                    
+                case 'GET_KEY_ROTATION_STATUS':
+                    sendResponse({ success: true, status: await this.keyRotation.getStatus() });
+                    break;
+                    
+                case 'GET_VAULT':
+                    if (this.vault) {
+                        sendResponse({ success: true, records: await this.vault.list() });
+                    } else {
+                        sendResponse({ success: false, error: 'Encryption not available' });
+                    }
+                    break;
+                    
+                case 'REVEAL_VAULT_RECORD':
+                    // Values are shown on extension pages only, never handed to content scripts
+                    if (!sender.url?.startsWith(chrome.runtime.getURL(''))) {
+                        throw new Error('Vault values can only be revealed from the options page');
+                    }
+                    const revealed = await this.vault.reveal(message.id, {
+                        passphrase: message.passphrase,
+                        confirmed: message.confirmed
+                    });
+                    sendResponse({ success: true, value: revealed });
+                    break;
+                    
+                case 'RESTORE_VAULT_RECORD':
+                    const restored = await this.vault.restore(message.id);
+                    sendResponse({ success: restored.success, error: restored.error });
+                    break;
+                    
+                case 'VERIFY_VAULT':
+                    sendResponse(await this.vault.verify());
+                    break;
+                    
+                case 'PURGE_VAULT_RECORDS':
+                    const purged = message.orphaned
+                        ? await this.vault.purgeOrphaned()
+                        : await this.vault.purge(message.ids || []);
+                    sendResponse({ success: true, purged });
+                    break;
+                    
+                case 'RELEASE_PROXIED_COOKIE':
+                    if (this.cookieProxy) {
+                        const released = await this.cookieProxy.release(message.key, { feature: 'manual_release' });
+                        sendResponse({ success: released.success, error: released.error });
+                    } else {
+                        sendResponse({ success: false, error: 'Encryption not available' });
+                    }
+                    break;
+                    
                 case 'DECRYPT_COOKIE':
                     if (this.encryption) {
-                        const decrypted = await this.encryption.decryptCookie(message.encryptedData);
+                        const decrypted = await this.encryption.decryptCookie(
+                            message.encryptedData,
+                            CookieEncryption.requireIdentity(message.cookie)
+                        );
                         sendResponse({ success: true, decrypted });
                     } else {
                         sendResponse({ success: false, error: 'Encryption not available' });
@@ -614,16 +932,137 @@ class CookieGuardianBackground {
                     break;
                     
                 case 'EXPORT_BACKUP':
-                    const backup = await this.syncManager.exportBackup();
+                    const backup = await this.syncManager.exportBackup({
+                        passphrase: message.passphrase,
+                        includeVault: message.includeVault
+                    });
+                    this.logAudit('BACKUP_EXPORTED', {
+                        domain: '*',
+                        includeVault: !!message.includeVault
+                    });
                     sendResponse({ success: true, backup });
                     break;
                     
                 case 'IMPORT_BACKUP':
-                    const success = await this.syncManager.importBackup(message.backup);
-                    if (success) {
-                        await this.loadSavedData();
+                    // Rules of the proxied cookies being replaced are dropped once the import succeeds
+                    const replacedProxied = message.restoreVault && this.cookieProxy
+                        ? await this.cookieProxy.getRecords()
+                        : null;
+                    
+                    const imported = await this.syncManager.importBackup(message.backup, {
+                        passphrase: message.passphrase,
+                        restoreVault: message.restoreVault,
+                        mode: message.mode,
+                        dryRun: message.dryRun
+                    });
+                    if (imported.dryRun) {
+                        sendResponse(imported);
+                        break;
+                    }
+                    await this.loadSavedData();
+                    
+                    if (imported.vaultRestored && this.encryption) {
+                        await this.cookieProxy?.clearRules(replacedProxied);
+                        await this.encryption.reload();
+                        await this.cookieProxy?.restore();
+                    }
+                    
+                    this.logAudit('BACKUP_IMPORTED', {
+                        domain: '*',
+                        schemaVersion: imported.schemaVersion,
+                        mode: imported.plan.mode,
+                        ...imported.plan.summary,
+                        vaultRecords: imported.vaultRecords
+                    });
+                    sendResponse(imported);
+                    break;
+                    
+                case 'IMPORT_RULES':
+                    const rulePlan = ImportPlanner.plan(
+                        { siteRules: RuleSchema.serializeRules(this.siteRules) },
+                        { siteRules: message.rules },
+                        message.mode
+                    );
+                    
+                    if (!message.dryRun && rulePlan.values.siteRules) {
+                        this.siteRules = Object.fromEntries(
+                            Object.entries(rulePlan.values.siteRules).map(([key, rule]) => [key, RuleSchema.hydrateRule(rule)])
+                        );
+                        await this.saveRules();
+                        
+                        this.logAudit('RULES_IMPORTED', {
+                            domain: '*',
+                            mode: rulePlan.mode,
+                            ...rulePlan.summary
+                        });
                     }
-                    sendResponse({ success });
+                    
+                    sendResponse({ success: true, dryRun: !!message.dryRun, plan: ImportPlanner.describe(rulePlan) });
+                    break;
+                    
+                case 'GET_SYNC_STATUS':
+                    sendResponse({ success: true, status: await this.syncManager.getStatus() });
+                    break;
+                    
+                case 'TEST_SYNC':
+                    await this.syncManager.testConnection(message.settings);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'ENABLE_SYNC':
+                    await this.syncManager.enableSync(message.settings);
+                    this.logAudit('SYNC_ENABLED', { domain: '*', transport: message.settings.transport });
+                    sendResponse({ success: true, status: await this.syncManager.getStatus() });
+                    break;
+                    
+                case 'DISABLE_SYNC':
+                    await this.syncManager.disableSync();
+                    this.logAudit('SYNC_DISABLED', { domain: '*' });
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'SET_SYNC_SCOPE':
+                    await this.syncManager.setScope(message.scope, message.exclusions);
+                    this.logAudit('SYNC_SCOPE_CHANGED', { domain: '*', scope: message.scope });
+                    sendResponse({ success: true, status: await this.syncManager.getStatus() });
+                    break;
+                    
+                case 'SIGN_OUT_SYNC':
+                    await this.syncManager.signOut();
+                    this.logAudit('SYNC_SIGNED_OUT', { domain: '*' });
+                    sendResponse({ success: true, status: await this.syncManager.getStatus() });
+                    break;
+                    
+                case 'SYNC_NOW':
+                    const synced = await this.syncManager.fullSync();
+                    sendResponse({
+                        success: true,
+                        status: await this.syncManager.getStatus(),
+                        conflicts: synced.conflicts,
+                        rejected: synced.rejected.length
+                    });
+                    break;
+                    
+                case 'RESTORE_FROM_SYNC':
+                    // Pulled changes are reloaded through syncManager.onRemoteChange
+                    const pulled = await this.syncManager.restoreFromCloud();
+                    sendResponse({ success: true, restored: pulled });
+                    break;
+                    
+                case 'GET_SYNC_CONFLICTS':
+                    sendResponse({ success: true, conflicts: await this.syncManager.getConflicts() });
+                    break;
+                    
+                case 'RESOLVE_SYNC_CONFLICT':
+                    const resolved = await this.syncManager.resolveConflict(message.id);
+                    await this.loadSavedData();
+                    this.logAudit('SYNC_CONFLICT_RESOLVED', { domain: '*', key: resolved.key, entry: resolved.entryId });
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'DISMISS_SYNC_CONFLICT':
+                    await this.syncManager.dismissConflicts(message.id ? [message.id] : null);
+                    sendResponse({ success: true });
                     break;
                     
                 case 'SYNC_DATA':
@@ -635,6 +1074,52 @@ class CookieGuardianBackground {
                     }
                     break;
                     
+                case 'GET_BLOCKING_STATUS':
+                    if (!this.thirdPartyBlocker) {
+                        sendResponse({ success: false, error: 'Blocking mode not available' });
+                        break;
+                    }
+                    sendResponse({ success: true, status: await this.thirdPartyBlocker.getStatus(message.tabId) });
+                    break;
+                    
+                case 'SET_BLOCKING_MODE':
+                    if (!this.thirdPartyBlocker) {
+                        sendResponse({ success: false, error: 'Blocking mode not available' });
+                        break;
+                    }
+                    await this.thirdPartyBlocker.setEnabled(message.enabled);
+                    const blockingStatus = await this.thirdPartyBlocker.getStatus();
+                    this.logAudit(message.enabled ? 'BLOCKING_MODE_ENABLED' : 'BLOCKING_MODE_DISABLED', {
+                        domain: '*',
+                        domains: blockingStatus.domains,
+                        patterns: blockingStatus.patterns
+                    });
+                    sendResponse({ success: true, status: blockingStatus });
+                    break;
+                    
+                case 'LOG_COOKIE_ACCESS':
+                case 'LOG_STORAGE_ACCESS':
+                case 'LOG_NETWORK_ACCESS':
+                case 'LOG_TRACKING_SCRIPT':
+                    if (!this.accessTelemetry) {
+                        sendResponse({ success: false, error: 'Telemetry not available' });
+                        break;
+                    }
+                    const accepted = await this.accessTelemetry.record(message.action, message.data, sender);
+                    sendResponse({ success: true, accepted });
+                    break;
+                    
+                case 'GET_ACCESS_PROFILES':
+                    if (!this.accessTelemetry) {
+                        sendResponse({ success: false, error: 'Telemetry not available' });
+                        break;
+                    }
+                    sendResponse({
+                        success: true,
+                        ...await this.accessTelemetry.query({ url: message.url, site: message.site, cookie: message.cookie })
+                    });
+                    break;
+                    
                 default:
                     sendResponse({ success: false, error: 'Unknown action' });
             }
@@ -656,12 +1141,14 @@ class CookieGuardianBackground {
     }
 }
 
+CookieGuardianBackground.PAGE_HOOKS_ID = 'page-hooks';
+
 // Handle notification button clicks
 chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
     if (notificationId.includes('expiration')) {
         if (buttonIndex === 0) { // Extend All button
             // Get all cookies expiring soon
-            const cookies = await chrome.cookies.getAll({});
+            const cookies = await CookieStores.getAll();
             const now = Date.now() / 1000;
             const expiringSoon = cookies.filter(cookie => {
                 if (!cookie.expirationDate) return false;
@@ -670,18 +1157,14 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
             });
             
             // Extend all by 1 hour
+            let failed = 0;
             for (const cookie of expiringSoon) {
                 const newExpiration = Date.now() + (60 * 60 * 1000);
-                const updatedCookie = {
-                    ...cookie,
+                const result = await backgroundService.cookieMutator.set(cookie, {
                     expirationDate: newExpiration / 1000
-                };
+                }, { feature: 'extend_all_notification', action: 'COOKIE_EXTENDED' });
                 
-                try {
-                    await chrome.cookies.set(updatedCookie);
-                } catch (error) {
-                    console.error('Error extending cookie:', error);
-                }
+                if (!result.success) failed++;
             }
             
             // Show confirmation
@@ -689,7 +1172,8 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
                 type: 'basic',
                 iconUrl: 'icons/icon128.png',
                 title: 'Cookies Extended',
-                message: `Extended ${expiringSoon.length} cookies by 1 hour`,
+                message: `Extended ${expiringSoon.length - failed} cookies by 1 hour` +
+                    (failed > 0 ? ` (${failed} could not be extended)` : ''),
                 priority: 1
             });
         }
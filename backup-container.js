@@ -0,0 +1,156 @@
+// backup-container.js - Passphrase-encrypted, integrity-checked backup files
+// A PBKDF2 pass over the backup passphrase yields two keys: AES-GCM for the payload and
+// HMAC-SHA256 for a MAC over the header and ciphertext. The MAC is checked before any
+// decryption, so a corrupted or edited file is rejected without touching storage.
+class BackupContainer {
+    /**
+     * Encrypt a payload into a container object ready for JSON.stringify
+     */
+    static async seal(payload, passphrase) {
+        BackupContainer.checkPassphrase(passphrase);
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const { encryptionKey, macKey } = await BackupContainer.deriveKeys(
+            passphrase, salt, BackupContainer.ITERATIONS
+        );
+
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            encryptionKey,
+            new TextEncoder().encode(JSON.stringify(payload))
+        );
+
+        const container = {
+            format: BackupContainer.FORMAT,
+            version: BackupContainer.VERSION,
+            createdAt: new Date().toISOString(),
+            kdf: {
+                name: 'PBKDF2-SHA256',
+                iterations: BackupContainer.ITERATIONS,
+                salt: BackupContainer.toBase64(salt)
+            },
+            cipher: {
+                name: 'AES-GCM',
+                iv: BackupContainer.toBase64(iv)
+            },
+            ciphertext: BackupContainer.toBase64(ciphertext)
+        };
+
+        const mac = await crypto.subtle.sign('HMAC', macKey, BackupContainer.macInput(container));
+        return { ...container, mac: BackupContainer.toBase64(mac) };
+    }
+
+    /**
+     * Verify and decrypt a container; throws without side effects if anything is off
+     */
+    static async open(container, passphrase) {
+        BackupContainer.checkStructure(container);
+        BackupContainer.checkPassphrase(passphrase);
+
+        const { encryptionKey, macKey } = await BackupContainer.deriveKeys(
+            passphrase, BackupContainer.fromBase64(container.kdf.salt), container.kdf.iterations
+        );
+
+        const valid = await crypto.subtle.verify(
+            'HMAC',
+            macKey,
+            BackupContainer.fromBase64(container.mac),
+            BackupContainer.macInput(container)
+        );
+        if (!valid) {
+            throw new Error('Backup integrity check failed (wrong passphrase or modified file)');
+        }
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: BackupContainer.fromBase64(container.cipher.iv) },
+                encryptionKey,
+                BackupContainer.fromBase64(container.ciphertext)
+            );
+        } catch (error) {
+            throw new Error('Backup could not be decrypted');
+        }
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    static isContainer(data) {
+        return data?.format === BackupContainer.FORMAT;
+    }
+
+    static checkStructure(container) {
+        if (!BackupContainer.isContainer(container)) {
+            throw new Error('Not a Cookie Guardian backup');
+        }
+        if (container.version > BackupContainer.VERSION) {
+            throw new Error(`Backup version ${container.version} is newer than this extension supports`);
+        }
+        if (container.kdf?.name !== 'PBKDF2-SHA256' || !container.kdf.salt || !(container.kdf.iterations > 0) ||
+            container.cipher?.name !== 'AES-GCM' || !container.cipher.iv ||
+            typeof container.ciphertext !== 'string' || typeof container.mac !== 'string') {
+            throw new Error('Backup file is incomplete');
+        }
+    }
+
+    static checkPassphrase(passphrase) {
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('Backup passphrase must be at least 8 characters');
+        }
+    }
+
+    static async deriveKeys(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = new Uint8Array(await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, baseKey, 512
+        ));
+
+        const [encryptionKey, macKey] = await Promise.all([
+            crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+            crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify'])
+        ]);
+        return { encryptionKey, macKey };
+    }
+
+    /**
+     * Everything but the MAC itself, in a fixed order
+     */
+    static macInput(container) {
+        return new TextEncoder().encode(JSON.stringify([
+            container.format,
+            container.version,
+            container.createdAt,
+            container.kdf.name,
+            container.kdf.iterations,
+            container.kdf.salt,
+            container.cipher.name,
+            container.cipher.iv,
+            container.ciphertext
+        ]));
+    }
+
+    static toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+BackupContainer.FORMAT = 'cookie-guardian-backup';
+BackupContainer.VERSION = 2;
+BackupContainer.ITERATIONS = 600000;
@@ -1,6 +1,8 @@
 // badge-manager.js - Dynamic badge updates
 class BadgeManager {
     constructor() {
+        // Per-tab cookie and blocked request counts; one place writes a tab's badge
+        this.tabs = new Map();
         this.init();
     }
 
@@ -11,7 +13,7 @@ class BadgeManager {
     }
 
     async updateBadge() {
-        const cookies = await chrome.cookies.getAll({});
+        const cookies = await CookieStores.getAll();
         const now = Date.now() / 1000;
         
         // Count cookies expiring in next hour
@@ -62,24 +64,65 @@ class BadgeManager {
         chrome.tabs.onActivated.addListener(() => {
             this.updateBadge();
         });
+        
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.tabs.delete(tabId);
+        });
+    }
+
+    /**
+     * Third-party requests on this tab that matched blocking mode's rules. The badge text
+     * stays the cookie count; blocking shows in the badge colour and title.
+     */
+    async showBlockedCount(tabId, count) {
+        await this.updateTab(tabId, { blocked: count || 0 });
     }
 
     async showCookieCount(tabId) {
         if (tabId) {
-            const cookies = await chrome.cookies.getAll({});
+            const storeId = await CookieStores.getStoreIdForTab(tabId);
+            const cookies = await CookieStores.getAll({ storeId });
             const tab = await chrome.tabs.get(tabId);
             
             if (tab.url) {
                 const domain = new URL(tab.url).hostname;
                 const domainCookies = cookies.filter(cookie => 
-                    cookie.domain.includes(domain)
+                    DomainMatcher.cookieMatchesHost(cookie, domain)
                 ).length;
                 
-                await chrome.action.setBadgeText({ 
-                    text: domainCookies > 0 ? domainCookies.toString() : '',
-                    tabId 
-                });
+                await this.updateTab(tabId, { cookies: domainCookies });
             }
         }
     }
-}
\ No newline at end of file
+
+    async updateTab(tabId, counts) {
+        const state = { cookies: null, blocked: 0, ...this.tabs.get(tabId), ...counts };
+        this.tabs.set(tabId, state);
+        
+        const title = [];
+        if (state.cookies !== null) {
+            // null falls back to the global badge
+            await chrome.action.setBadgeText({
+                text: state.cookies > 0 ? state.cookies.toString() : '',
+                tabId
+            });
+            title.push(`${state.cookies} cookies for this site`);
+        }
+        if (state.blocked > 0) {
+            title.push(`${state.blocked} third-party requests filtered by blocking mode (cookie headers removed where present)`);
+        }
+        
+        await chrome.action.setBadgeBackgroundColor({
+            color: state.blocked > 0 ? BadgeManager.BLOCKING_COLOR : BadgeManager.COOKIE_COLOR,
+            tabId
+        });
+        // Nothing to say about this tab: copy the global title over any earlier one
+        await chrome.action.setTitle({
+            title: title.join('\n') || await chrome.action.getTitle({}),
+            tabId
+        });
+    }
+}
+
+BadgeManager.COOKIE_COLOR = '#f72585';
+BadgeManager.BLOCKING_COLOR = '#4361ee';
\ No newline at end of file
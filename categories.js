@@ -54,14 +54,76 @@ class CookieCategorizer {
                 description: 'Uncategorized'
             }
         };
+        // Set-Cookie observations the background recorded, so every page categorizes alike
+        this.sources = {};
+        this.saveTimer = null;
+        this.ready = this.loadSources();
     }
 
-    categorizeCookie(cookie) {
+    async loadSources() {
+        try {
+            const data = await chrome.storage.local.get([CookieCategorizer.SOURCES_KEY]);
+            this.sources = data[CookieCategorizer.SOURCES_KEY] || {};
+        } catch (error) {
+            console.error('Error loading cookie sources:', error);
+        }
+        return this.sources;
+    }
+
+    /**
+     * Remember the response that set a cookie; only the background records these
+     */
+    async recordSource(cookie, source) {
+        await this.ready;
+        this.sources[CookieCategorizer.sourceKey(cookie)] = {
+            url: source.url,
+            thirdParty: !!source.thirdParty,
+            at: Date.now()
+        };
+        this.scheduleSave();
+    }
+
+    async forgetSource(cookie) {
+        await this.ready;
+        const key = CookieCategorizer.sourceKey(cookie);
+        if (!this.sources[key]) return;
+        delete this.sources[key];
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            const keys = Object.keys(this.sources);
+            if (keys.length > CookieCategorizer.MAX_SOURCES) {
+                keys.sort((a, b) => this.sources[a].at - this.sources[b].at)
+                    .slice(0, keys.length - CookieCategorizer.MAX_SOURCES)
+                    .forEach(key => delete this.sources[key]);
+            }
+            chrome.storage.local.set({ [CookieCategorizer.SOURCES_KEY]: this.sources })
+                .catch(error => console.error('Error saving cookie sources:', error));
+        }, CookieCategorizer.SAVE_DELAY_MS);
+    }
+
+    static sourceKey(cookie) {
+        return `${cookie.name}|${String(cookie.domain || '').toLowerCase().replace(/^\./, '')}`;
+    }
+
+    /**
+     * @param {Object} [source]  Set-Cookie observation ({ url, thirdParty }) when the cookie
+     *                           is known to come from a response; its host is matched too.
+     *                           Defaults to the recorded one, once `ready` has resolved.
+     */
+    categorizeCookie(cookie, source = this.sources[CookieCategorizer.sourceKey(cookie)] || null) {
+        const setterHost = source?.url ? new URL(source.url).hostname : '';
+        
         for (const [category, data] of Object.entries(this.categories)) {
             if (category === 'unknown') continue;
             
             for (const pattern of data.patterns) {
-                if (pattern.test(cookie.name) || pattern.test(cookie.domain)) {
+                if (pattern.test(cookie.name) || pattern.test(cookie.domain) ||
+                    (setterHost && pattern.test(setterHost))) {
                     return {
                         category,
                         description: data.description,
@@ -71,6 +133,14 @@ class CookieCategorizer {
             }
         }
         
+        if (source?.thirdParty) {
+            return {
+                category: 'unknown',
+                description: 'Uncategorized cookie set by a third-party response',
+                risk: 'high'
+            };
+        }
+        
         return {
             category: 'unknown',
             description: 'Uncategorized cookie',
@@ -113,4 +183,8 @@ class CookieCategorizer {
         };
         return colors[category] || '#6c757d';
     }
-}
\ No newline at end of file
+}
+
+CookieCategorizer.SOURCES_KEY = 'cookieSources';
+CookieCategorizer.MAX_SOURCES = 2000;
+CookieCategorizer.SAVE_DELAY_MS = 2000;
@@ -1,168 +1,139 @@
-// Enhanced content script for monitoring cookie access attempts
+// content.js - Relays page-hooks.js events to the background and watches for tracking scripts
+// The cookie, storage and network hooks run in the page's world (page-hooks.js); this
+// script runs isolated with access to chrome.runtime. It accepts one handshake from the
+// hooks, then only listens on the MessageChannel port that came with it. Everything
+// arriving on it is checked field by field before it is forwarded, since page scripts
+// share the world the hooks run in.
 
 class CookieAccessMonitor {
     constructor() {
+        this.port = null;
+        this.forwarded = 0;
+        this.windowStart = Date.now();
+        this.onWindowMessage = (event) => this.acceptHandshake(event);
         this.init();
     }
 
     init() {
-        this.interceptCookieAccess();
-        this.monitorDocumentCookies();
-        this.monitorStorage();
-        this.monitorNetworkRequests();
+        window.addEventListener('message', this.onWindowMessage);
         this.setupMutationObserver();
     }
 
-    interceptCookieAccess() {
-        // Store original cookie methods
-        const originalDocumentCookie = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
-        
-        if (originalDocumentCookie) {
-            Object.defineProperty(document, 'cookie', {
-                get: function() {
-                    this.logCookieAccess('GET', document.location.hostname, 'document.cookie');
-                    return originalDocumentCookie.get.call(this);
-                },
-                set: function(value) {
-                    const cookieName = value.split('=')[0].trim();
-                    this.logCookieAccess('SET', document.location.hostname, cookieName);
-                    return originalDocumentCookie.set.call(this, value);
-                }
-            });
-        }
+    acceptHandshake(event) {
+        const data = event.data;
+        if (event.source !== window || !data || typeof data !== 'object') return;
+        if (data.channel !== CookieAccessMonitor.CHANNEL || data.type !== 'handshake') return;
+        if (data.version !== CookieAccessMonitor.VERSION || event.ports.length !== 1) return;
+
+        // Only the first handshake counts. The hooks post theirs at document_start, but a page
+        // listener may see the port too, so what arrives on it is still validated
+        window.removeEventListener('message', this.onWindowMessage);
+        this.port = event.ports[0];
+        this.port.onmessage = (message) => this.handlePortMessage(message.data);
     }
 
-    monitorDocumentCookies() {
-        // Monitor cookie changes via mutation observer
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.type === 'attributes' && mutation.attributeName === 'cookie') {
-                    this.logCookieAccess('CHANGE', document.location.hostname, 'attribute');
-                }
-            });
+    handlePortMessage(data) {
+        if (!data || data.type !== 'events' || data.version !== CookieAccessMonitor.VERSION) return;
+        if (!Array.isArray(data.events)) return;
+
+        data.events.slice(0, CookieAccessMonitor.MAX_EVENTS_PER_BATCH).forEach(raw => {
+            const message = CookieAccessMonitor.toMessage(raw);
+            if (message && this.withinRateLimit()) {
+                this.send(message);
+            }
         });
-        
-        observer.observe(document, { attributes: true, attributeFilter: ['cookie'] });
     }
 
-    monitorStorage() {
-        // Monitor localStorage and sessionStorage
-        const originalSetItem = Storage.prototype.setItem;
-        Storage.prototype.setItem = function(key, value) {
-            if (key.includes('cookie') || key.includes('token') || key.includes('session')) {
-                this.logStorageAccess('SET', key, document.location.hostname);
-            }
-            return originalSetItem.call(this, key, value);
-        };
-        
-        const originalGetItem = Storage.prototype.getItem;
-        Storage.prototype.getItem = function(key) {
-            if (key.includes('cookie') || key.includes('token') || key.includes('session')) {
-                this.logStorageAccess('GET', key, document.location.hostname);
-            }
-            return originalGetItem.call(this, key);
+    /**
+     * Hook event -> runtime message, or null if any field is missing or malformed
+     */
+    static toMessage(event) {
+        if (!event || typeof event !== 'object') return null;
+
+        const isText = (value, max) => typeof value === 'string' && value.length <= max;
+        const count = event.count;
+        if (!Number.isInteger(count) || count < 1 || count > CookieAccessMonitor.MAX_COUNT) return null;
+
+        const common = {
+            timestamp: new Date().toISOString(),
+            domain: window.location.hostname,
+            url: window.location.href,
+            count
         };
-    }
 
-    monitorNetworkRequests() {
-        // Intercept fetch requests
-        const originalFetch = window.fetch;
-        window.fetch = function(...args) {
-            const [resource, config] = args;
-            
-            // Check for cookie-related headers
-            if (config && config.headers) {
-                const cookieHeader = config.headers.get ? config.headers.get('Cookie') : config.headers.Cookie;
-                if (cookieHeader) {
-                    this.logNetworkAccess('FETCH', resource, cookieHeader);
-                }
+        switch (event.kind) {
+            case 'cookie': {
+                if (!['GET', 'SET'].includes(event.action) || !isText(event.name, 256)) return null;
+                // Writes name the script that made them; '' when the stack had no web frame
+                const script = event.action === 'SET' && isText(event.script, 2048) &&
+                    /^https?:\/\//.test(event.script) ? event.script : undefined;
+                // A write's domain is this frame's host or one of its parents, as the browser enforces
+                const host = window.location.hostname;
+                const cookieDomain = event.action !== 'SET' ? undefined
+                    : isText(event.domain, 253) && (event.domain === host || host.endsWith(`.${event.domain}`))
+                        ? event.domain
+                        : host;
+                return {
+                    action: 'LOG_COOKIE_ACCESS',
+                    data: { ...common, action: event.action, cookieName: event.name, cookieDomain, script }
+                };
             }
-            
-            return originalFetch.apply(this, args);
-        };
-        
-        // Intercept XMLHttpRequest
-        const originalXHROpen = XMLHttpRequest.prototype.open;
-        XMLHttpRequest.prototype.open = function(method, url) {
-            this._url = url;
-            return originalXHROpen.apply(this, arguments);
-        };
-        
-        const originalXHRSend = XMLHttpRequest.prototype.send;
-        XMLHttpRequest.prototype.send = function(body) {
-            // Check for cookies in request headers
-            const cookies = this.getResponseHeader ? this.getResponseHeader('Set-Cookie') : null;
-            if (cookies) {
-                this.logNetworkAccess('XHR', this._url, cookies);
+            case 'storage':
+                if (!['GET', 'SET', 'REMOVE'].includes(event.action) || !isText(event.key, 256)) return null;
+                if (!['local', 'session'].includes(event.area)) return null;
+                return {
+                    action: 'LOG_STORAGE_ACCESS',
+                    data: { ...common, action: event.action, key: event.key, area: event.area }
+                };
+            case 'network': {
+                if (!['FETCH', 'XHR'].includes(event.type) || event.credentials !== 'include') return null;
+                if (!isText(event.url, 2048) || !/^https?:\/\//.test(event.url)) return null;
+                return {
+                    action: 'LOG_NETWORK_ACCESS',
+                    data: { ...common, type: event.type, url: event.url, pageUrl: common.url, credentials: event.credentials }
+                };
             }
-            
-            return originalXHRSend.apply(this, arguments);
-        };
+            default:
+                return null;
+        }
+    }
+
+    // A page hammering document.cookie should not flood the service worker
+    withinRateLimit() {
+        const now = Date.now();
+        if (now - this.windowStart >= CookieAccessMonitor.RATE_WINDOW_MS) {
+            this.windowStart = now;
+            this.forwarded = 0;
+        }
+        return ++this.forwarded <= CookieAccessMonitor.MAX_MESSAGES_PER_WINDOW;
+    }
+
+    send(message) {
+        try {
+            chrome.runtime.sendMessage(message).catch(() => {
+                // Extension context might be invalidated
+            });
+        } catch (error) {
+            // Extension was reloaded; this page's script is orphaned
+        }
     }
 
     setupMutationObserver() {
         // Monitor for scripts that might access cookies
         const observer = new MutationObserver((mutations) => {
             mutations.forEach((mutation) => {
-                if (mutation.addedNodes.length) {
-                    mutation.addedNodes.forEach((node) => {
-                        if (node.tagName === 'SCRIPT' && node.src) {
-                            this.logScriptAccess(node.src);
-                        }
-                    });
-                }
+                mutation.addedNodes.forEach((node) => {
+                    if (node.tagName === 'SCRIPT' && node.src) {
+                        this.logScriptAccess(node.src);
+                    }
+                });
             });
         });
-        
-        observer.observe(document.documentElement, { 
-            childList: true, 
-            subtree: true 
-        });
-    }
-
-    logCookieAccess(action, domain, cookieName) {
-        chrome.runtime.sendMessage({
-            action: 'LOG_COOKIE_ACCESS',
-            data: {
-                timestamp: new Date().toISOString(),
-                action,
-                domain,
-                cookieName,
-                url: window.location.href,
-                userAgent: navigator.userAgent
-            }
-        }).catch(() => {
-            // Extension context might be invalidated
-        });
-    }
-
-    logStorageAccess(action, key, domain) {
-        chrome.runtime.sendMessage({
-            action: 'LOG_STORAGE_ACCESS',
-            data: {
-                timestamp: new Date().toISOString(),
-                action,
-                key,
-                domain,
-                url: window.location.href
-            }
-        }).catch(() => {
-            // Extension context might be invalidated
-        });
-    }
 
-    logNetworkAccess(type, url, cookieData) {
-        chrome.runtime.sendMessage({
-            action: 'LOG_NETWORK_ACCESS',
-            data: {
-                timestamp: new Date().toISOString(),
-                type,
-                url,
-                cookieData: cookieData.substring(0, 100), // Limit size
-                domain: window.location.hostname
-            }
-        }).catch(() => {
-            // Extension context might be invalidated
+        // document_start: there may be no documentElement yet, but the document itself exists
+        observer.observe(document, {
+            childList: true,
+            subtree: true
         });
     }
 
@@ -176,39 +147,32 @@ class CookieAccessMonitor {
             /amplitude/i,
             /mixpanel/i
         ];
-        
-        for (const pattern of trackingPatterns) {
-            if (pattern.test(src)) {
-                chrome.runtime.sendMessage({
-                    action: 'LOG_TRACKING_SCRIPT',
-                    data: {
-                        timestamp: new Date().toISOString(),
-                        src,
-                        domain: window.location.hostname,
-                        type: 'tracking_script'
-                    }
-                }).catch(() => {
-                    // Extension context might be invalidated
-                });
-                break;
-            }
+
+        if (trackingPatterns.some(pattern => pattern.test(src))) {
+            this.send({
+                action: 'LOG_TRACKING_SCRIPT',
+                data: {
+                    timestamp: new Date().toISOString(),
+                    src,
+                    domain: window.location.hostname,
+                    type: 'tracking_script'
+                }
+            });
         }
     }
 }
 
-// Initialize when page loads
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        try {
-            new CookieAccessMonitor();
-        } catch (error) {
-            console.error('Failed to initialize CookieAccessMonitor:', error);
-        }
-    });
-} else {
-    try {
-        new CookieAccessMonitor();
-    } catch (error) {
-        console.error('Failed to initialize CookieAccessMonitor:', error);
-    }
-}
\ No newline at end of file
+// Must match page-hooks.js
+CookieAccessMonitor.CHANNEL = 'cookie-guardian-page-hooks';
+CookieAccessMonitor.VERSION = 1;
+CookieAccessMonitor.MAX_EVENTS_PER_BATCH = 100;
+CookieAccessMonitor.MAX_COUNT = 100000;
+CookieAccessMonitor.RATE_WINDOW_MS = 10000;
+CookieAccessMonitor.MAX_MESSAGES_PER_WINDOW = 50;
+
+// Runs at document_start so the handshake from page-hooks.js is not missed
+try {
+    new CookieAccessMonitor();
+} catch (error) {
+    console.error('Failed to initialize CookieAccessMonitor:', error);
+}
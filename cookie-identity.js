@@ -0,0 +1,126 @@
+// cookie-identity.js - Derive URLs and set/remove details that address exactly one cookie
+class CookieIdentity {
+    /**
+     * URL the cookies API accepts for this cookie (no leading dot, bracketed IPv6)
+     */
+    static getUrl(cookie) {
+        let host = String(cookie.domain || '').replace(/^\./, '');
+
+        // IPv6 hosts must be bracketed inside a URL
+        if (host.includes(':') && !host.startsWith('[')) {
+            host = `[${host}]`;
+        }
+
+        // __Secure-/__Host- cookies can only be addressed over https
+        const secure = cookie.secure || /^__(Secure|Host)-/.test(cookie.name);
+        const path = cookie.path && cookie.path.startsWith('/') ? cookie.path : '/';
+
+        return `http${secure ? 's' : ''}://${host}${path}`;
+    }
+
+    /**
+     * Stable identifier for a cookie across stores and partitions
+     */
+    static getKey(cookie) {
+        return [
+            cookie.storeId || '',
+            cookie.partitionKey?.topLevelSite || '',
+            cookie.domain,
+            cookie.path,
+            cookie.name
+        ].join('|');
+    }
+
+    static toRemoveDetails(cookie) {
+        const details = {
+            url: CookieIdentity.getUrl(cookie),
+            name: cookie.name
+        };
+
+        if (cookie.storeId) details.storeId = cookie.storeId;
+        if (cookie.partitionKey) details.partitionKey = cookie.partitionKey;
+
+        return details;
+    }
+
+    /**
+     * Turn a chrome.cookies.Cookie (plus overrides) into valid SetDetails. Read-only
+     * fields are dropped and host-only cookies are kept host-only by omitting domain.
+     */
+    static toSetDetails(cookie, overrides = {}) {
+        const merged = { ...cookie, ...overrides };
+        const details = {
+            url: CookieIdentity.getUrl(merged),
+            name: merged.name,
+            value: merged.value,
+            path: merged.path,
+            secure: merged.secure,
+            httpOnly: merged.httpOnly
+        };
+
+        if (merged.sameSite) details.sameSite = merged.sameSite;
+        if (merged.storeId) details.storeId = merged.storeId;
+        if (merged.partitionKey) details.partitionKey = merged.partitionKey;
+
+        const hostOnly = merged.hostOnly ?? !String(merged.domain || '').startsWith('.');
+        if (!hostOnly && !merged.name.startsWith('__Host-')) {
+            details.domain = merged.domain;
+        }
+
+        // Leaving expirationDate out (or overriding it with undefined) makes a session cookie
+        if (merged.expirationDate) {
+            details.expirationDate = merged.expirationDate;
+        }
+
+        return details;
+    }
+
+    /**
+     * Remove one cookie; resolves to { success, key, error } instead of throwing
+     */
+    static async remove(cookie) {
+        const key = CookieIdentity.getKey(cookie);
+
+        try {
+            const result = await chrome.cookies.remove(CookieIdentity.toRemoveDetails(cookie));
+            if (!result) {
+                return { success: false, key, cookie, error: chrome.runtime.lastError?.message || 'Cookie not found' };
+            }
+            return { success: true, key, cookie };
+        } catch (error) {
+            return { success: false, key, cookie, error: error.message };
+        }
+    }
+
+    /**
+     * Write one cookie; resolves to { success, key, cookie, error } instead of throwing
+     */
+    static async set(cookie, overrides = {}) {
+        const key = CookieIdentity.getKey(cookie);
+
+        try {
+            const result = await chrome.cookies.set(CookieIdentity.toSetDetails(cookie, overrides));
+            if (!result) {
+                return { success: false, key, cookie, error: chrome.runtime.lastError?.message || 'Cookie was rejected' };
+            }
+            return { success: true, key, cookie: result };
+        } catch (error) {
+            return { success: false, key, cookie, error: error.message };
+        }
+    }
+
+    /**
+     * Remove many cookies and report which ones failed
+     */
+    static async removeAll(cookies) {
+        const results = [];
+        for (const cookie of cookies) {
+            results.push(await CookieIdentity.remove(cookie));
+        }
+
+        return {
+            removed: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success)
+        };
+    }
+}
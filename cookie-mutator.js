@@ -0,0 +1,149 @@
+// cookie-mutator.js - Single write path for every feature that rewrites or removes cookies
+// Writes go through CookieIdentity so read-only fields never reach chrome.cookies.set,
+// are verified by reading the cookie back, and produce one audit event per outcome.
+class CookieMutator {
+    constructor(logAudit, tracker = null) {
+        this.logAudit = logAudit || (() => {});
+        this.tracker = tracker;
+    }
+
+    /**
+     * Rewrite a cookie with the given changes.
+     * context: { feature, action, details } - action/details describe the success audit event
+     */
+    async set(cookie, changes = {}, context = {}) {
+        // Overwriting fires two change events (removal of the old cookie, then the new one);
+        // a cookie that is not in the jar yet, as on restore, fires only the second
+        const existing = await this.readBack(cookie, changes);
+        this.tracker?.mark(cookie, context.feature || 'unknown', existing ? 2 : 1);
+        const result = await CookieIdentity.set(cookie, changes);
+
+        if (result.success) {
+            const stored = await this.readBack(cookie, changes);
+            const mismatch = this.verifySet(cookie, changes, stored);
+            if (mismatch) {
+                result.success = false;
+                result.error = mismatch;
+            } else {
+                result.cookie = stored;
+            }
+        } else {
+            this.tracker?.unmark(cookie);
+        }
+
+        this.emit('set', cookie, changes, context, result);
+        return result;
+    }
+
+    /**
+     * Remove a cookie and confirm it is gone
+     */
+    async remove(cookie, context = {}) {
+        this.tracker?.mark(cookie, context.feature || 'unknown');
+        const result = await CookieIdentity.remove(cookie);
+
+        if (result.success) {
+            const stored = await this.readBack(cookie);
+            if (stored) {
+                result.success = false;
+                result.error = 'Cookie still present after removal';
+            }
+        } else {
+            this.tracker?.unmark(cookie);
+        }
+
+        this.emit('remove', cookie, {}, context, result);
+        return result;
+    }
+
+    async removeAll(cookies, context = {}) {
+        const results = [];
+        for (const cookie of cookies) {
+            results.push(await this.remove(cookie, context));
+        }
+
+        return {
+            removed: results.filter(r => r.success).length,
+            failed: results.filter(r => !r.success)
+        };
+    }
+
+    /**
+     * The stored cookie with exactly this identity, or null. cookies.get returns the
+     * longest-path match for a URL, which may be a same-named domain cookie.
+     */
+    async readBack(cookie, changes = {}) {
+        const merged = { ...cookie, ...changes };
+        const details = {
+            name: merged.name,
+            domain: DomainMatcher.normalizeHost(merged.domain),
+            path: merged.path || '/'
+        };
+        if (merged.storeId) details.storeId = merged.storeId;
+        if (merged.partitionKey) details.partitionKey = merged.partitionKey;
+        const hostOnly = merged.hostOnly ?? !merged.domain.startsWith('.');
+
+        try {
+            const cookies = await chrome.cookies.getAll(details);
+            return cookies.find(stored =>
+                stored.hostOnly === hostOnly &&
+                DomainMatcher.normalizeHost(stored.domain) === details.domain
+            ) || null;
+        } catch (error) {
+            console.error('Error reading cookie back:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Compare what the browser stored with what was asked for; returns a reason or null
+     */
+    verifySet(cookie, changes, stored) {
+        if (!stored) return 'Cookie not found after write';
+
+        const expected = { ...cookie, ...changes };
+
+        if (stored.value !== expected.value) {
+            return 'Stored value does not match';
+        }
+
+        if (cookie.hostOnly !== undefined && stored.hostOnly !== cookie.hostOnly) {
+            return cookie.hostOnly
+                ? 'Host-only cookie was widened to a domain cookie'
+                : 'Domain cookie was narrowed to host-only';
+        }
+
+        if (!expected.expirationDate) {
+            if (!stored.session) return 'Expected a session cookie';
+        } else if (stored.session || Math.abs(stored.expirationDate - expected.expirationDate) > 1) {
+            return 'Stored expiration does not match';
+        }
+
+        return null;
+    }
+
+    emit(operation, cookie, changes, context, result) {
+        const details = {
+            cookie: cookie.name,
+            domain: cookie.domain,
+            storeId: cookie.storeId,
+            partition: CookieStores.getPartitionSite(cookie),
+            operation,
+            feature: context.feature || 'unknown',
+            changes: Object.keys(changes)
+        };
+
+        if (result.success) {
+            this.logAudit(context.action || 'COOKIE_MUTATED', {
+                ...details,
+                ...context.details
+            });
+        } else {
+            console.error(`Cookie ${operation} failed for ${cookie.name}@${cookie.domain}:`, result.error);
+            this.logAudit('COOKIE_MUTATION_FAILED', {
+                ...details,
+                error: result.error
+            });
+        }
+    }
+}
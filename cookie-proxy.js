@@ -0,0 +1,349 @@
+// cookie-proxy.js - Transparent encryption: ciphertext at rest, real value only on the wire
+// A sealed cookie is taken out of the browser's cookie jar and its ciphertext is kept in
+// storage. The decrypted value lives only in a declarativeNetRequest session rule that
+// appends it to the Cookie header of requests the original cookie would have matched, so
+// sites keep their session while nothing readable is written to disk. Session rules are
+// dropped when the browser closes and rebuilt from the ciphertext on the next start.
+// The jar no longer sees the cookie, so its lifetime is enforced here: records are dropped
+// when they expire, when the browser session of a session cookie ends, and when the site
+// overwrites or deletes the cookie with a Set-Cookie header.
+class CookieProxy {
+    constructor(encryption, mutator, logAudit) {
+        this.encryption = encryption;
+        this.mutator = mutator;
+        this.logAudit = logAudit || (() => {});
+        this.storageKey = 'proxiedCookies';
+        // Names of proxied cookies, so Set-Cookie headers for other names skip storage
+        this.proxiedNames = null;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run a read-modify-write of the records and their rules once every earlier one is
+     * done; concurrent seals would otherwise allocate the same rule ID
+     */
+    exclusive(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async getRecords() {
+        const data = await chrome.storage.local.get([this.storageKey]);
+        const records = data[this.storageKey] || {};
+        this.proxiedNames = CookieProxy.namesOf(records);
+        return records;
+    }
+
+    async saveRecords(records) {
+        await chrome.storage.local.set({ [this.storageKey]: records });
+        this.proxiedNames = CookieProxy.namesOf(records);
+        await this.scheduleExpiry(records);
+    }
+
+    async count() {
+        return Object.keys(await this.getRecords()).length;
+    }
+
+    /**
+     * Why a cookie cannot be proxied, or null if it can
+     */
+    getUnsupportedReason(cookie) {
+        // Pages read these through document.cookie, which a header rule cannot serve
+        if (!cookie.httpOnly) return 'script_readable';
+
+        // Header rules cannot tell partitions apart, so the value would leak across top-level sites
+        if (cookie.partitionKey) return 'partitioned_cookie';
+
+        // Session rules apply to every profile window; only the regular store is safe to inject
+        if (!CookieStores.isDefaultStore(cookie.storeId)) return 'non_default_store';
+
+        return null;
+    }
+
+    /**
+     * Encrypt the cookie, install its header rule and take it out of the jar.
+     * Called again when the site rewrites the cookie, which re-seals the new value.
+     */
+    async seal(cookie, context = {}) {
+        const reason = this.getUnsupportedReason(cookie);
+        if (reason) {
+            this.logAudit('ENCRYPTION_SKIPPED', {
+                cookie: cookie.name,
+                domain: cookie.domain,
+                storeId: cookie.storeId,
+                reason
+            });
+            return { success: false, error: reason };
+        }
+
+        return this.exclusive(async () => {
+            const key = CookieIdentity.getKey(cookie);
+            const records = await this.getRecords();
+            const ruleId = records[key]?.ruleId || await this.allocateRuleId(records);
+            const encrypted = await this.encryption.encryptCookie(cookie.value, cookie);
+            const { value, ...metadata } = cookie;
+
+            await chrome.declarativeNetRequest.updateSessionRules({
+                removeRuleIds: [ruleId],
+                addRules: [this.buildRule(ruleId, cookie, value)]
+            });
+
+            records[key] = { ruleId, cookie: metadata, encrypted, sealedAt: Date.now() };
+            await this.saveRecords(records);
+
+            const result = await this.mutator.remove(cookie, {
+                feature: 'transparent_encryption',
+                action: 'ENCRYPTED',
+                details: { type: 'transparent', rule: context.rule }
+            });
+
+            // Keep the jar as the source of truth if the cookie could not be taken out of it
+            if (!result.success) {
+                await this.deleteRecord(key);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Put a proxied cookie back into the jar with its real value and drop its rule
+     */
+    async release(key, context = {}) {
+        return this.exclusive(async () => {
+            const records = await this.getRecords();
+            const record = records[key];
+            if (!record) return { success: false, key, error: 'Cookie is not proxied' };
+
+            const value = await this.encryption.decryptCookie(record.encrypted, record.cookie);
+            const result = await this.mutator.set(record.cookie, { value }, {
+                feature: context.feature || 'transparent_encryption',
+                action: 'DECRYPTED',
+                details: { type: 'transparent' }
+            });
+
+            if (result.success) {
+                await this.deleteRecord(key);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Rebuild session rules from stored ciphertext; runs on every service worker start
+     */
+    async restore() {
+        return this.exclusive(async () => {
+            const ended = await this.dropEndedSessionCookies();
+            const expired = await this.expireRecords();
+            if (await this.encryption.isLocked()) {
+                return { restored: 0, expired, ended, locked: true };
+            }
+
+            const records = await this.getRecords();
+            const addRules = [];
+
+            for (const [key, record] of Object.entries(records)) {
+                try {
+                    const value = await this.encryption.decryptCookie(record.encrypted, record.cookie);
+                    addRules.push(this.buildRule(record.ruleId, record.cookie, value));
+                } catch (error) {
+                    console.error(`Error restoring proxied cookie ${key}:`, error);
+                }
+            }
+
+            await chrome.declarativeNetRequest.updateSessionRules({
+                removeRuleIds: addRules.map(rule => rule.id),
+                addRules
+            });
+
+            return { restored: addRules.length, expired, ended };
+        });
+    }
+
+    /**
+     * Drop records whose cookie has expired; runs from the expiry alarm and on restore
+     */
+    async expire() {
+        return this.exclusive(() => this.expireRecords());
+    }
+
+    async expireRecords() {
+        const records = await this.getRecords();
+        const now = Date.now() / 1000;
+        const expired = Object.keys(records)
+            .filter(key => records[key].cookie.expirationDate && records[key].cookie.expirationDate <= now);
+
+        if (expired.length === 0) {
+            await this.scheduleExpiry(records);
+            return 0;
+        }
+
+        await this.dropRecords(records, expired, 'expired');
+        return expired.length;
+    }
+
+    /**
+     * Session cookies end with the browser session. chrome.storage.session outlives service
+     * worker restarts but not the browser, so a missing marker means a new session began.
+     */
+    async dropEndedSessionCookies() {
+        const marker = await chrome.storage.session.get([CookieProxy.SESSION_MARKER]);
+        if (marker[CookieProxy.SESSION_MARKER]) return 0;
+        await chrome.storage.session.set({ [CookieProxy.SESSION_MARKER]: Date.now() });
+
+        const records = await this.getRecords();
+        const ended = Object.keys(records).filter(key => !records[key].cookie.expirationDate);
+        if (ended.length > 0) {
+            await this.dropRecords(records, ended, 'session_ended');
+        }
+        return ended.length;
+    }
+
+    /**
+     * A response set a cookie the proxy holds. An overwrite lands in the jar and is sealed
+     * again if its rule still asks for it; a deletion finds nothing to delete in the jar.
+     * Either way the old value must stop being sent.
+     */
+    async handleSetCookie(observed) {
+        if (this.proxiedNames && !this.proxiedNames.has(observed.name)) return;
+
+        await this.exclusive(async () => {
+            const records = await this.getRecords();
+            const host = DomainMatcher.normalizeHost(observed.domain);
+            const matched = Object.keys(records).filter(key => {
+                const cookie = records[key].cookie;
+                return cookie.name === observed.name &&
+                    DomainMatcher.normalizeHost(cookie.domain) === host &&
+                    (cookie.hostOnly ?? !cookie.domain.startsWith('.')) === observed.hostOnly &&
+                    (cookie.path || '/') === observed.path;
+            });
+
+            if (matched.length > 0) {
+                await this.dropRecords(records, matched, observed.deleted ? 'deleted_by_site' : 'replaced_by_site');
+            }
+        });
+    }
+
+    async dropRecords(records, keys, reason) {
+        await chrome.declarativeNetRequest.updateSessionRules({
+            removeRuleIds: keys.map(key => records[key].ruleId)
+        });
+        keys.forEach(key => {
+            const { cookie } = records[key];
+            delete records[key];
+            this.logAudit('PROXIED_COOKIE_DROPPED', {
+                cookie: cookie.name,
+                domain: cookie.domain,
+                storeId: cookie.storeId,
+                reason
+            });
+        });
+        await this.saveRecords(records);
+    }
+
+    /**
+     * Wake up when the next proxied cookie expires; alarms fire at most 30 seconds late
+     */
+    async scheduleExpiry(records) {
+        const next = Object.values(records)
+            .map(record => record.cookie.expirationDate)
+            .filter(Boolean)
+            .reduce((earliest, date) => Math.min(earliest, date), Infinity);
+
+        if (next === Infinity) {
+            await chrome.alarms.clear(CookieProxy.EXPIRY_ALARM);
+        } else {
+            await chrome.alarms.create(CookieProxy.EXPIRY_ALARM, { when: next * 1000 });
+        }
+    }
+
+    /**
+     * Remove the session rules of the given records (default: the stored ones) without
+     * touching storage
+     */
+    async clearRules(records) {
+        records = records || await this.getRecords();
+        await chrome.declarativeNetRequest.updateSessionRules({
+            removeRuleIds: Object.values(records).map(record => record.ruleId)
+        });
+    }
+
+    async dropRecord(key) {
+        return this.exclusive(() => this.deleteRecord(key));
+    }
+
+    async deleteRecord(key) {
+        const records = await this.getRecords();
+        const record = records[key];
+        if (!record) return;
+
+        delete records[key];
+        await this.saveRecords(records);
+        await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [record.ruleId] });
+    }
+
+    async allocateRuleId(records) {
+        const used = new Set(Object.values(records).map(record => record.ruleId));
+        let id = 1;
+        while (used.has(id)) id++;
+        return id;
+    }
+
+    /**
+     * Session rule that appends name=value to requests the cookie would be sent with
+     */
+    buildRule(id, cookie, value) {
+        const condition = {
+            regexFilter: this.buildUrlRegex(cookie),
+            resourceTypes: CookieProxy.RESOURCE_TYPES
+        };
+
+        // Without a SameSite context check, cross-site requests would carry the cookie;
+        // restricting restricted cookies to first-party requests errs on the safe side.
+        // 'unspecified' is treated as Lax by the browser, so only 'no_restriction' goes cross-site.
+        if (cookie.sameSite !== 'no_restriction') {
+            condition.domainType = 'firstParty';
+        }
+
+        return {
+            id,
+            priority: 1,
+            action: {
+                type: 'modifyHeaders',
+                requestHeaders: [{
+                    header: 'cookie',
+                    operation: 'append',
+                    value: `${cookie.name}=${value}`
+                }]
+            },
+            condition
+        };
+    }
+
+    buildUrlRegex(cookie) {
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const host = escape(DomainMatcher.normalizeHost(cookie.domain));
+        const hostOnly = cookie.hostOnly ?? !cookie.domain.startsWith('.');
+        const scheme = cookie.secure ? 'https' : 'https?';
+        const subdomains = hostOnly ? '' : '([^/]+\\.)?';
+        const path = !cookie.path || cookie.path === '/'
+            ? '/'
+            : `${escape(cookie.path.replace(/\/$/, ''))}([/?#]|$)`;
+
+        return `^${scheme}://${subdomains}${host}(:[0-9]+)?${path}`;
+    }
+
+    static namesOf(records) {
+        return new Set(Object.values(records).map(record => record.cookie.name));
+    }
+}
+
+CookieProxy.EXPIRY_ALARM = 'proxiedCookieExpiry';
+CookieProxy.SESSION_MARKER = 'proxySessionStarted';
+
+CookieProxy.RESOURCE_TYPES = [
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+    'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'webtransport',
+    'webbundle', 'other'
+];
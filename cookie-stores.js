@@ -0,0 +1,103 @@
+// cookie-stores.js - Enumerate cookie stores (regular, incognito, containers) and partitions
+class CookieStores {
+    /**
+     * All cookie stores the extension can currently see
+     */
+    static async list() {
+        try {
+            return await chrome.cookies.getAllCookieStores();
+        } catch (error) {
+            console.error('Error listing cookie stores:', error);
+            return [];
+        }
+    }
+
+    /**
+     * chrome.cookies.getAll across every store; an explicit storeId limits it to one.
+     * Partitioned (CHIPS) cookies are included unless a partitionKey is given.
+     */
+    static async getAll(details = {}) {
+        if (details.storeId) {
+            return CookieStores.query(details);
+        }
+
+        const stores = await CookieStores.list();
+        if (stores.length === 0) {
+            return CookieStores.query(details);
+        }
+
+        const perStore = await Promise.all(stores.map(store =>
+            CookieStores.query({ ...details, storeId: store.id }).catch(error => {
+                console.error(`Error reading cookie store ${store.id}:`, error);
+                return [];
+            })
+        ));
+        return perStore.flat();
+    }
+
+    /**
+     * Single getAll call; an empty partitionKey asks for cookies from every partition
+     */
+    static async query(details) {
+        try {
+            return await chrome.cookies.getAll({ partitionKey: {}, ...details });
+        } catch (error) {
+            // Browsers without CHIPS support reject the partitionKey property
+            if (details.partitionKey) throw error;
+            return chrome.cookies.getAll(details);
+        }
+    }
+
+    /**
+     * Top-level site a partitioned cookie is keyed to, or null for unpartitioned cookies
+     */
+    static getPartitionSite(cookie) {
+        return cookie.partitionKey?.topLevelSite || null;
+    }
+
+    /**
+     * Partitioned cookie set by a site other than the top-level site it is keyed to
+     */
+    static isThirdPartyPartitioned(cookie) {
+        const topLevelSite = CookieStores.getPartitionSite(cookie);
+        if (!topLevelSite) return false;
+
+        try {
+            const topLevelHost = new URL(topLevelSite).hostname;
+            const cookieSite = DomainMatcher.getRegistrableDomain(cookie.domain) || DomainMatcher.normalizeHost(cookie.domain);
+            const partitionSite = DomainMatcher.getRegistrableDomain(topLevelHost) || topLevelHost;
+            return cookieSite !== partitionSite;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Store that holds the cookies for a given tab
+     */
+    static async getStoreIdForTab(tabId) {
+        const stores = await CookieStores.list();
+        const store = stores.find(s => s.tabIds.includes(tabId));
+        return store ? store.id : undefined;
+    }
+
+    /**
+     * Regular browsing store (not incognito or a container)
+     */
+    static isDefaultStore(storeId) {
+        return storeId === undefined || storeId === '0' || storeId === 'firefox-default';
+    }
+
+    /**
+     * Human readable store name for UI and audit entries
+     */
+    static getLabel(storeId) {
+        if (storeId === undefined || storeId === null) return 'All stores';
+        if (storeId === '0' || storeId === 'firefox-default') return 'Default';
+        if (storeId === '1' || storeId === 'firefox-private') return 'Incognito';
+        if (String(storeId).startsWith('firefox-container-')) {
+            return `Container ${String(storeId).replace('firefox-container-', '')}`;
+        }
+        return `Store ${storeId}`;
+    }
+}
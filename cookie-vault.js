@@ -0,0 +1,244 @@
+// cookie-vault.js - Browse, reveal, restore, verify and purge stored ciphertexts
+// Two kinds of record live in storage: reference-mode entries (encrypted_<domain>_<name>,
+// whose live cookie holds an ENCRYPTED_REF_ marker) and transparent-mode entries kept by
+// CookieProxy. Record IDs match the ones KeyRotation uses.
+class CookieVault {
+    constructor(encryption, mutator, proxy, logAudit) {
+        this.encryption = encryption;
+        this.mutator = mutator;
+        this.proxy = proxy;
+        this.logAudit = logAudit || (() => {});
+    }
+
+    /**
+     * Every stored record with the identity it is filed under
+     */
+    static async collect() {
+        const data = await chrome.storage.local.get(null);
+        const entries = [];
+
+        Object.entries(data).forEach(([storageKey, record]) => {
+            if (!storageKey.startsWith('encrypted_') || !record?.encrypted) return;
+
+            entries.push({
+                id: storageKey,
+                type: 'reference',
+                storageKey,
+                encrypted: record,
+                expected: CookieVault.parseStorageKey(storageKey)
+            });
+        });
+
+        Object.entries(data.proxiedCookies || {}).forEach(([proxyKey, record]) => {
+            entries.push({
+                id: `proxy:${proxyKey}`,
+                type: 'transparent',
+                proxyKey,
+                encrypted: record.encrypted,
+                expected: record.cookie,
+                cookie: record.cookie,
+                sealedAt: record.sealedAt
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * Domain and cookie name a reference record is filed under. Domains never contain
+     * "_", so the first one after the prefix separates them.
+     */
+    static parseStorageKey(storageKey) {
+        const rest = storageKey.slice('encrypted_'.length);
+        const separator = rest.indexOf('_');
+        return {
+            domain: rest.slice(0, separator),
+            name: rest.slice(separator + 1)
+        };
+    }
+
+    /**
+     * Every record with its metadata and whether its cookie still exists; never values
+     */
+    async list() {
+        const entries = await CookieVault.collect();
+        const cookies = await CookieStores.getAll();
+        const markers = new Set(
+            cookies.filter(c => c.value?.startsWith('ENCRYPTED_REF_')).map(c => c.value)
+        );
+        const { vaultVerification } = await chrome.storage.local.get(['vaultVerification']);
+        const flagged = vaultVerification?.flagged || {};
+        const now = Date.now() / 1000;
+
+        return entries.map(entry => ({
+            id: entry.id,
+            type: entry.type,
+            domain: entry.expected.domain,
+            name: entry.expected.name,
+            storeId: entry.encrypted.storeId || entry.cookie?.storeId,
+            keyId: CookieEncryption.getRecordKeyId(entry.encrypted),
+            version: entry.encrypted.v || 1,
+            timestamp: entry.encrypted.timestamp || entry.sealedAt,
+            integrity: flagged[entry.id] || null,
+            exists: entry.type === 'reference'
+                ? markers.has(`ENCRYPTED_REF_${entry.expected.domain}_${entry.expected.name}`)
+                : !entry.cookie.expirationDate || entry.cookie.expirationDate > now
+        })).sort((a, b) => a.domain.localeCompare(b.domain) || b.timestamp - a.timestamp);
+    }
+
+    async getEntry(id) {
+        const entries = await CookieVault.collect();
+        return entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Decrypt one value after re-authentication: the passphrase when the key is wrapped
+     * with one, otherwise an explicit confirmation
+     */
+    async reveal(id, { passphrase, confirmed = false } = {}) {
+        let reauth;
+        if (this.encryption.passphraseProtected) {
+            await this.encryption.unwrapKeyring(passphrase);
+            reauth = 'passphrase';
+        } else if (confirmed === true) {
+            reauth = 'confirmation';
+        } else {
+            throw new Error('Confirm that you want to reveal this value');
+        }
+
+        const entry = await this.getEntry(id);
+        if (!entry) throw new Error('Record not found');
+
+        const value = await this.encryption.decryptCookie(entry.encrypted, entry.expected);
+        this.logAudit('VAULT_REVEALED', {
+            cookie: entry.expected.name,
+            domain: entry.expected.domain,
+            recordId: id,
+            reauth
+        });
+        return value;
+    }
+
+    /**
+     * Put the decrypted value back into the browser and drop the record
+     */
+    async restore(id) {
+        if (id.startsWith('proxy:')) {
+            return this.proxy.release(id.slice('proxy:'.length), { feature: 'vault_restore' });
+        }
+
+        const entry = await this.getEntry(id);
+        if (!entry) return { success: false, error: 'Record not found' };
+
+        const { domain, name } = entry.expected;
+        const marker = `ENCRYPTED_REF_${domain}_${name}`;
+        const cookies = await CookieStores.getAll({ name });
+        const targets = cookies.filter(c => c.value === marker);
+        if (targets.length === 0) {
+            return { success: false, error: 'Original cookie no longer exists' };
+        }
+
+        const value = await this.encryption.decryptCookie(entry.encrypted, entry.expected);
+        let failed = 0;
+        for (const cookie of targets) {
+            const result = await this.mutator.set(cookie, { value }, {
+                feature: 'vault_restore',
+                action: 'DECRYPTED',
+                details: { type: 'reference' }
+            });
+            if (!result.success) failed++;
+        }
+
+        if (failed > 0) {
+            return { success: false, error: `${failed} cookie(s) could not be restored` };
+        }
+
+        await chrome.storage.local.remove(id);
+        return { success: true };
+    }
+
+    /**
+     * Decrypt every record against the identity it is filed under and flag the ones that
+     * fail authentication (tampered) or were encrypted for another cookie (mis-filed)
+     */
+    async verify() {
+        if (await this.encryption.isLocked()) {
+            return { success: false, error: 'Encryption is locked' };
+        }
+
+        const entries = await CookieVault.collect();
+        const flagged = {};
+        let unverifiable = 0;
+
+        for (const entry of entries) {
+            try {
+                await this.encryption.decryptCookie(entry.encrypted, entry.expected);
+            } catch (error) {
+                const reason = error.code === 'RECORD_TAMPERED' ? 'tampered'
+                    : error.code === 'RECORD_MISFILED' ? 'misfiled'
+                    : null;
+
+                if (!reason) {
+                    unverifiable++;
+                    continue;
+                }
+
+                flagged[entry.id] = reason;
+                this.logAudit('VAULT_INTEGRITY_FAILED', {
+                    cookie: entry.expected.name,
+                    domain: entry.expected.domain,
+                    recordId: entry.id,
+                    reason,
+                    error: error.message
+                });
+            }
+        }
+
+        const result = {
+            checkedAt: new Date().toISOString(),
+            checked: entries.length,
+            unverifiable,
+            flagged
+        };
+        await chrome.storage.local.set({ vaultVerification: result });
+        return { success: true, ...result };
+    }
+
+    /**
+     * Delete vault records by ID. IDs become storage keys, so the whole call is refused
+     * if any of them does not name a vault record.
+     */
+    async purge(ids) {
+        if (!Array.isArray(ids)) throw new Error('Record IDs must be a list');
+        const known = new Map((await CookieVault.collect()).map(entry => [entry.id, entry]));
+        const unknown = ids.filter(id => !known.has(id));
+        if (unknown.length > 0) {
+            const error = new Error(`Not vault records: ${unknown.map(String).join(', ')}`);
+            error.code = 'UNKNOWN_VAULT_RECORD';
+            throw error;
+        }
+
+        const referenceKeys = ids
+            .map(id => known.get(id))
+            .filter(entry => entry.type === 'reference')
+            .map(entry => entry.storageKey);
+        if (referenceKeys.length > 0) {
+            await chrome.storage.local.remove(referenceKeys);
+        }
+
+        for (const entry of ids.map(id => known.get(id)).filter(entry => entry.type === 'transparent')) {
+            await this.proxy.dropRecord(entry.proxyKey);
+        }
+
+        this.logAudit('VAULT_PURGED', { domain: '*', records: ids.length });
+        return ids.length;
+    }
+
+    /**
+     * Remove every record whose cookie is gone from the browser or has expired
+     */
+    async purgeOrphaned() {
+        const orphaned = (await this.list()).filter(record => !record.exists);
+        return this.purge(orphaned.map(record => record.id));
+    }
+}
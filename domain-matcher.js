@@ -0,0 +1,149 @@
+// domain-matcher.js - Public Suffix List aware domain matching
+class DomainMatcher {
+    /**
+     * Lazily index the bundled Public Suffix List
+     */
+    static getIndex() {
+        if (!DomainMatcher.index) {
+            const index = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+            const rules = typeof PUBLIC_SUFFIX_RULES !== 'undefined' ? PUBLIC_SUFFIX_RULES : [];
+
+            rules.forEach(rule => {
+                if (rule.startsWith('!')) {
+                    index.exceptions.add(rule.substring(1));
+                } else if (rule.startsWith('*.')) {
+                    index.wildcards.add(rule.substring(2));
+                } else {
+                    index.rules.add(rule);
+                }
+            });
+
+            DomainMatcher.index = index;
+        }
+        return DomainMatcher.index;
+    }
+
+    /**
+     * Lower-case a host and drop the leading dot used by domain cookies
+     */
+    static normalizeHost(domain) {
+        return String(domain || '').trim().toLowerCase().replace(/^\./, '').replace(/\.$/, '');
+    }
+
+    /**
+     * Check for IPv4 or bracketed IPv6 hosts, which have no registrable domain
+     */
+    static isIpAddress(host) {
+        return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || /^\[[0-9a-f:.]+\]$/i.test(host);
+    }
+
+    /**
+     * Public suffix of a host following the PSL algorithm (implicit "*" rule included)
+     */
+    static getPublicSuffix(domain) {
+        const host = DomainMatcher.normalizeHost(domain);
+        if (!host || DomainMatcher.isIpAddress(host)) return null;
+
+        const index = DomainMatcher.getIndex();
+        const labels = host.split('.');
+
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+
+            if (index.exceptions.has(candidate)) {
+                return labels.slice(i + 1).join('.');
+            }
+            if (index.rules.has(candidate)) {
+                return candidate;
+            }
+            if (i > 0 && index.wildcards.has(candidate)) {
+                return labels.slice(i - 1).join('.');
+            }
+        }
+
+        return labels[labels.length - 1];
+    }
+
+    /**
+     * Registrable domain (eTLD+1), or null for public suffixes and IP addresses
+     */
+    static getRegistrableDomain(domain) {
+        const host = DomainMatcher.normalizeHost(domain);
+        const suffix = DomainMatcher.getPublicSuffix(host);
+        if (!suffix || host === suffix) return null;
+
+        const labels = host.split('.');
+        const suffixLength = suffix.split('.').length;
+        return labels.slice(-(suffixLength + 1)).join('.');
+    }
+
+    /**
+     * True when host equals domain or sits below it on a label boundary
+     */
+    static isSameOrSubdomain(host, domain) {
+        const normalizedHost = DomainMatcher.normalizeHost(host);
+        const normalizedDomain = DomainMatcher.normalizeHost(domain);
+        if (!normalizedHost || !normalizedDomain) return false;
+
+        return normalizedHost === normalizedDomain ||
+               normalizedHost.endsWith(`.${normalizedDomain}`);
+    }
+
+    /**
+     * Whether a browser would send this cookie to the given host
+     */
+    static cookieMatchesHost(cookie, host) {
+        const isHostOnly = cookie.hostOnly ?? !cookie.domain.startsWith('.');
+        if (isHostOnly) {
+            return DomainMatcher.normalizeHost(cookie.domain) === DomainMatcher.normalizeHost(host);
+        }
+        return DomainMatcher.isSameOrSubdomain(host, cookie.domain);
+    }
+
+    /**
+     * Match a host against a list/rule pattern:
+     *   example.com    - the domain and its subdomains
+     *   *.example.com  - the same, written explicitly
+     *   example.*      - "example" under any public suffix
+     *   ads*.example.com - "*" stays inside a single label
+     */
+    static matchesPattern(domain, pattern) {
+        const host = DomainMatcher.normalizeHost(domain);
+        let normalizedPattern = DomainMatcher.normalizeHost(pattern);
+        if (!host || !normalizedPattern) return false;
+
+        if (normalizedPattern === '*') return true;
+
+        if (normalizedPattern.startsWith('*.')) {
+            normalizedPattern = normalizedPattern.substring(2);
+        }
+
+        if (normalizedPattern.endsWith('.*')) {
+            const registrable = DomainMatcher.getRegistrableDomain(host);
+            const suffix = DomainMatcher.getPublicSuffix(host);
+            if (!registrable || !suffix) return false;
+
+            const withSuffix = `${normalizedPattern.slice(0, -1)}${suffix}`;
+            return DomainMatcher.matchesPattern(host, withSuffix);
+        }
+
+        if (!normalizedPattern.includes('*')) {
+            return DomainMatcher.isSameOrSubdomain(host, normalizedPattern);
+        }
+
+        return DomainMatcher.globToRegExp(normalizedPattern).test(host);
+    }
+
+    /**
+     * Anchored glob where "*" never crosses a dot; subdomains are still allowed
+     */
+    static globToRegExp(pattern) {
+        const body = pattern
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^.]*');
+        return new RegExp(`^(?:[^.]+\\.)*${body}$`);
+    }
+}
+
+DomainMatcher.index = null;
@@ -1,9 +1,21 @@
 // lib/encryption.js - Web Crypto API implementation
+// Data keys live in a keyring of versioned IDs; every ciphertext records the ID of the key
+// that produced it so older keys keep working until rotation has re-encrypted everything.
+// Without a passphrase the keyring is stored raw in chrome.storage.local. With one, each
+// data key is stored wrapped by a PBKDF2-derived key-encryption key and the unwrapped
+// keyring lives in chrome.storage.session (memory only) until it is locked.
+// Version 2 records bind the cookie's store, domain, path and name into AES-GCM additional
+// authenticated data, so a ciphertext moved to another record no longer decrypts.
 class CookieEncryption {
     constructor() {
         this.algorithm = { name: 'AES-GCM', length: 256 };
-        this.key = null;
-        this.init();
+        this.kdfIterations = 600000;
+        this.keys = new Map();
+        this.activeKeyId = null;
+        this.keyringSignature = null;
+        this.passphraseProtected = false;
+        this.lastTouch = 0;
+        this.ready = this.init();
     }
 
     async init() {
@@ -11,56 +23,509 @@ class CookieEncryption {
     }
 
     async loadOrGenerateKey() {
-        const stored = await chrome.storage.local.get(['encryptionKey']);
-        if (stored.encryptionKey) {
-            const keyData = this.base64ToArrayBuffer(stored.encryptionKey);
-            this.key = await crypto.subtle.importKey(
-                'raw', keyData, this.algorithm, false, ['encrypt', 'decrypt']
-            );
+        const stored = await chrome.storage.local.get([
+            'encryptionKey',
+            'encryptionKeyring',
+            'wrappedEncryptionKey',
+            'wrappedEncryptionKeyring'
+        ]);
+
+        if (stored.wrappedEncryptionKeyring || stored.wrappedEncryptionKey) {
+            this.passphraseProtected = true;
+            await this.loadSessionKeyring();
+        } else if (stored.encryptionKeyring) {
+            await this.loadKeyring(stored.encryptionKeyring);
+        } else if (stored.encryptionKey) {
+            // Single key from before key IDs existed; everything it encrypted has no keyId
+            await this.writeKeyring({
+                activeKeyId: CookieEncryption.LEGACY_KEY_ID,
+                keys: { [CookieEncryption.LEGACY_KEY_ID]: stored.encryptionKey }
+            });
+            await chrome.storage.local.remove('encryptionKey');
         } else {
             await this.generateNewKey();
         }
     }
 
-    async generateNewKey() {
-        this.key = await crypto.subtle.generateKey(
+    /**
+     * Start over from whatever keyring storage now holds, e.g. after a vault restore
+     * replaced it. Any unlocked session copy belonged to the old keyring and is dropped.
+     */
+    async reload() {
+        await chrome.storage.session.remove('unlockedEncryptionKeyring');
+        await chrome.alarms.clear(CookieEncryption.AUTO_LOCK_ALARM);
+
+        this.passphraseProtected = false;
+        this.keyringSignature = null;
+        this.keys = new Map();
+        this.activeKeyId = null;
+        this.ready = this.init();
+        await this.ready;
+    }
+
+    async loadKeyring(keyring) {
+        const signature = keyring ? JSON.stringify(keyring) : null;
+        if (signature === this.keyringSignature) return;
+
+        const keys = new Map();
+        for (const [id, keyData] of Object.entries(keyring?.keys || {})) {
+            keys.set(id, await this.importRawKey(this.base64ToArrayBuffer(keyData)));
+        }
+
+        this.keys = keys;
+        this.activeKeyId = keyring?.activeKeyId || null;
+        this.keyringSignature = signature;
+    }
+
+    /**
+     * Pick up the unlocked keyring from session storage; empty while locked
+     */
+    async loadSessionKeyring() {
+        const session = await chrome.storage.session.get(['unlockedEncryptionKeyring']);
+        await this.loadKeyring(session.unlockedEncryptionKeyring || null);
+        return this.keys.size > 0;
+    }
+
+    /**
+     * Plaintext keyring for the current mode, or null while locked
+     */
+    async readKeyring() {
+        if (this.passphraseProtected) {
+            const session = await chrome.storage.session.get(['unlockedEncryptionKeyring']);
+            return session.unlockedEncryptionKeyring || null;
+        }
+
+        const stored = await chrome.storage.local.get(['encryptionKeyring']);
+        return stored.encryptionKeyring || null;
+    }
+
+    /**
+     * Persist a keyring. Adding keys in passphrase mode needs the passphrase to wrap them;
+     * dropping keys does not, so retired keys can be removed while the keyring is locked.
+     */
+    async writeKeyring(keyring, passphrase) {
+        if (this.passphraseProtected) {
+            let wrapped;
+            if (passphrase) {
+                wrapped = await this.wrapKeyring(keyring, passphrase);
+            } else {
+                const stored = await chrome.storage.local.get(['wrappedEncryptionKeyring']);
+                wrapped = stored.wrappedEncryptionKeyring;
+                const missing = Object.keys(keyring.keys).filter(id => !wrapped?.keys[id]);
+                if (missing.length > 0) throw new Error('Passphrase required');
+
+                wrapped = {
+                    ...wrapped,
+                    activeKeyId: keyring.activeKeyId,
+                    keys: Object.fromEntries(Object.keys(keyring.keys).map(id => [id, wrapped.keys[id]]))
+                };
+            }
+
+            await chrome.storage.local.set({ wrappedEncryptionKeyring: wrapped });
+            await chrome.storage.session.set({ unlockedEncryptionKeyring: keyring });
+        } else {
+            await chrome.storage.local.set({ encryptionKeyring: keyring });
+        }
+
+        await this.loadKeyring(keyring);
+    }
+
+    importRawKey(keyData) {
+        return crypto.subtle.importKey('raw', keyData, this.algorithm, false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Add a new data key and make it the one used for encryption. Older keys stay in the
+     * keyring until KeyRotation has re-encrypted everything that references them.
+     */
+    async generateNewKey(passphrase) {
+        let keyring;
+        if (this.passphraseProtected) {
+            keyring = await this.unwrapKeyring(passphrase);
+        } else {
+            keyring = await this.readKeyring() || { activeKeyId: null, keys: {} };
+        }
+
+        const key = await crypto.subtle.generateKey(
             this.algorithm, true, ['encrypt', 'decrypt']
         );
-        const keyData = await crypto.subtle.exportKey('raw', this.key);
-        await chrome.storage.local.set({
-            encryptionKey: this.arrayBufferToBase64(keyData)
-        });
+        const keyData = await crypto.subtle.exportKey('raw', key);
+        const keyId = this.nextKeyId(keyring);
+
+        await this.writeKeyring({
+            activeKeyId: keyId,
+            keys: { ...keyring.keys, [keyId]: this.arrayBufferToBase64(keyData) }
+        }, passphrase);
+
+        return keyId;
+    }
+
+    nextKeyId(keyring) {
+        const versions = Object.keys(keyring.keys).map(id => parseInt(id.slice(1)) || 0);
+        return `k${Math.max(0, ...versions) + 1}`;
+    }
+
+    getKeyIds() {
+        return Array.from(this.keys.keys());
+    }
+
+    /**
+     * Drop a key nothing references any more
+     */
+    async retireKey(keyId) {
+        if (keyId === this.activeKeyId) {
+            throw new Error('The active key cannot be retired');
+        }
+
+        if (this.passphraseProtected) {
+            const stored = await chrome.storage.local.get(['wrappedEncryptionKeyring']);
+            const wrapped = stored.wrappedEncryptionKeyring;
+            if (wrapped?.keys[keyId]) {
+                delete wrapped.keys[keyId];
+                await chrome.storage.local.set({ wrappedEncryptionKeyring: wrapped });
+            }
+
+            const session = await this.readKeyring();
+            if (session?.keys[keyId]) {
+                delete session.keys[keyId];
+                await chrome.storage.session.set({ unlockedEncryptionKeyring: session });
+            }
+            await this.loadSessionKeyring();
+        } else {
+            const keyring = await this.readKeyring();
+            delete keyring.keys[keyId];
+            await this.writeKeyring(keyring);
+        }
+    }
+
+    async deriveWrappingKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async wrapKeyring(keyring, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const wrappingKey = await this.deriveWrappingKey(passphrase, salt, this.kdfIterations);
+        const keys = {};
+
+        for (const [id, keyData] of Object.entries(keyring.keys)) {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const wrapped = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv }, wrappingKey, this.base64ToArrayBuffer(keyData)
+            );
+            keys[id] = {
+                iv: this.arrayBufferToBase64(iv),
+                wrapped: this.arrayBufferToBase64(wrapped)
+            };
+        }
+
+        return {
+            kdf: 'PBKDF2-SHA256',
+            iterations: this.kdfIterations,
+            salt: this.arrayBufferToBase64(salt),
+            activeKeyId: keyring.activeKeyId,
+            keys
+        };
+    }
+
+    async unwrapKeyring(passphrase) {
+        if (!passphrase) {
+            throw new Error('Passphrase required');
+        }
+
+        const stored = await chrome.storage.local.get(['wrappedEncryptionKeyring', 'wrappedEncryptionKey']);
+
+        // A single wrapped key predates the keyring; convert it once the passphrase is known
+        if (!stored.wrappedEncryptionKeyring && stored.wrappedEncryptionKey) {
+            const legacy = stored.wrappedEncryptionKey;
+            const keyData = await this.unwrapEntry(await this.deriveRecordKey(legacy, passphrase), legacy);
+            const keyring = {
+                activeKeyId: CookieEncryption.LEGACY_KEY_ID,
+                keys: { [CookieEncryption.LEGACY_KEY_ID]: this.arrayBufferToBase64(keyData) }
+            };
+            await this.writeKeyring(keyring, passphrase);
+            await chrome.storage.local.remove('wrappedEncryptionKey');
+            return keyring;
+        }
+
+        const record = stored.wrappedEncryptionKeyring;
+        if (!record) {
+            throw new Error('Encryption key is not passphrase protected');
+        }
+
+        // Every key in the record shares one salt, so one derivation opens them all
+        const wrappingKey = await this.deriveRecordKey(record, passphrase);
+        const keys = {};
+        for (const [id, entry] of Object.entries(record.keys)) {
+            keys[id] = this.arrayBufferToBase64(await this.unwrapEntry(wrappingKey, entry));
+        }
+
+        return { activeKeyId: record.activeKeyId, keys };
+    }
+
+    deriveRecordKey(record, passphrase) {
+        return this.deriveWrappingKey(passphrase, this.base64ToArrayBuffer(record.salt), record.iterations);
     }
 
-    async encryptCookie(value, domain) {
+    async unwrapEntry(wrappingKey, entry) {
+        try {
+            return await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.base64ToArrayBuffer(entry.iv) },
+                wrappingKey,
+                this.base64ToArrayBuffer(entry.wrapped)
+            );
+        } catch (error) {
+            throw new Error('Incorrect passphrase');
+        }
+    }
+
+    /**
+     * Protect the keyring with a passphrase, or change the existing passphrase
+     */
+    async enablePassphrase(passphrase, currentPassphrase) {
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('Passphrase must be at least 8 characters');
+        }
+
+        const keyring = this.passphraseProtected
+            ? await this.unwrapKeyring(currentPassphrase)
+            : await this.readKeyring();
+        if (!keyring) throw new Error('No encryption key found');
+
+        this.passphraseProtected = true;
+        await this.writeKeyring(keyring, passphrase);
+        await chrome.storage.local.remove('encryptionKeyring');
+        await this.touch(true);
+    }
+
+    /**
+     * Go back to storing the keyring unwrapped
+     */
+    async disablePassphrase(passphrase) {
+        const keyring = await this.unwrapKeyring(passphrase);
+
+        this.passphraseProtected = false;
+        await this.writeKeyring(keyring);
+        await chrome.storage.local.remove('wrappedEncryptionKeyring');
+        await chrome.storage.session.remove('unlockedEncryptionKeyring');
+        await chrome.alarms.clear(CookieEncryption.AUTO_LOCK_ALARM);
+    }
+
+    async unlock(passphrase) {
+        const keyring = await this.unwrapKeyring(passphrase);
+
+        await chrome.storage.session.set({ unlockedEncryptionKeyring: keyring });
+        await this.loadKeyring(keyring);
+        await this.touch(true);
+    }
+
+    async lock() {
+        if (!this.passphraseProtected) return;
+
+        await chrome.storage.session.remove('unlockedEncryptionKeyring');
+        await this.loadKeyring(null);
+        await chrome.alarms.clear(CookieEncryption.AUTO_LOCK_ALARM);
+    }
+
+    async isLocked() {
+        await this.ready;
+        if (!this.passphraseProtected) return false;
+        return !(await this.loadSessionKeyring());
+    }
+
+    async getState() {
+        const { encryptionAutoLockMinutes } = await chrome.storage.local.get(['encryptionAutoLockMinutes']);
+        return {
+            passphraseProtected: this.passphraseProtected,
+            locked: await this.isLocked(),
+            autoLockMinutes: encryptionAutoLockMinutes || 0,
+            activeKeyId: this.activeKeyId,
+            keyIds: this.getKeyIds()
+        };
+    }
+
+    async setAutoLock(minutes) {
+        await chrome.storage.local.set({ encryptionAutoLockMinutes: minutes });
+        if (minutes > 0) {
+            await this.touch(true);
+        } else {
+            await chrome.alarms.clear(CookieEncryption.AUTO_LOCK_ALARM);
+        }
+    }
+
+    /**
+     * Push the auto-lock deadline back after the key is used
+     */
+    async touch(force = false) {
+        if (!this.passphraseProtected) return;
+        if (!force && Date.now() - this.lastTouch < 30000) return;
+        this.lastTouch = Date.now();
+
+        const { encryptionAutoLockMinutes } = await chrome.storage.local.get(['encryptionAutoLockMinutes']);
+        if (encryptionAutoLockMinutes > 0) {
+            await chrome.alarms.create(CookieEncryption.AUTO_LOCK_ALARM, {
+                delayInMinutes: encryptionAutoLockMinutes
+            });
+        }
+    }
+
+    /**
+     * Data key for an ID (the active key by default); another context may have locked
+     * or rotated the keyring since this one loaded
+     */
+    async getKey(keyId) {
+        await this.ready;
+        if (this.passphraseProtected) {
+            await this.loadSessionKeyring();
+        } else {
+            await this.loadKeyring(await this.readKeyring());
+        }
+
+        if (this.keys.size === 0) {
+            throw new Error('Encryption is locked');
+        }
+
+        const key = this.keys.get(keyId || this.activeKeyId);
+        if (!key) {
+            throw new Error(`Encryption key ${keyId} is no longer available`);
+        }
+
+        await this.touch();
+        return key;
+    }
+
+    /**
+     * Encrypt a cookie value. `identity` is the cookie (or anything with storeId, domain,
+     * path and name); a plain domain string is accepted for callers without a cookie.
+     */
+    async encryptCookie(value, identity) {
+        const key = await this.getKey();
         const iv = crypto.getRandomValues(new Uint8Array(12));
         const encoder = new TextEncoder();
         const data = encoder.encode(value);
-        
+        const fields = CookieEncryption.getIdentity(identity);
+
         const encrypted = await crypto.subtle.encrypt(
-            { ...this.algorithm, iv },
-            this.key,
+            { ...this.algorithm, iv, additionalData: CookieEncryption.buildAad(fields, CookieEncryption.RECORD_VERSION) },
+            key,
             data
         );
 
         return {
+            v: CookieEncryption.RECORD_VERSION,
             encrypted: this.arrayBufferToBase64(encrypted),
             iv: this.arrayBufferToBase64(iv),
-            domain,
+            keyId: this.activeKeyId,
+            ...fields,
             timestamp: Date.now()
         };
     }
 
-    async decryptCookie(encryptedData) {
-        const decrypted = await crypto.subtle.decrypt(
-            { ...this.algorithm, iv: this.base64ToArrayBuffer(encryptedData.iv) },
-            this.key,
-            this.base64ToArrayBuffer(encryptedData.encrypted)
-        );
+    /**
+     * Decrypt a record. With `expected`, the record must also have been filed for that
+     * cookie; any field left undefined in `expected` is not checked.
+     */
+    async decryptCookie(encryptedData, expected) {
+        if (expected) {
+            const mismatch = CookieEncryption.findIdentityMismatch(encryptedData, expected);
+            if (mismatch) {
+                throw CookieEncryption.integrityError('RECORD_MISFILED', `Record belongs to a different ${mismatch}`);
+            }
+        }
+
+        const key = await this.getKey(CookieEncryption.getRecordKeyId(encryptedData));
+        const params = { ...this.algorithm, iv: this.base64ToArrayBuffer(encryptedData.iv) };
+        if (encryptedData.v >= 2) {
+            params.additionalData = CookieEncryption.buildAad(CookieEncryption.getIdentity(encryptedData), encryptedData.v);
+        }
+
+        let decrypted;
+        try {
+            decrypted = await crypto.subtle.decrypt(
+                params,
+                key,
+                this.base64ToArrayBuffer(encryptedData.encrypted)
+            );
+        } catch (error) {
+            throw CookieEncryption.integrityError('RECORD_TAMPERED', 'Record failed authentication');
+        }
 
         return new TextDecoder().decode(decrypted);
     }
 
+    static getIdentity(identity) {
+        if (typeof identity === 'string' || !identity) {
+            return { storeId: '', domain: identity || '', path: '', name: '' };
+        }
+        return {
+            storeId: identity.storeId || '',
+            domain: identity.domain || '',
+            path: identity.path || '',
+            name: identity.name || ''
+        };
+    }
+
+    /**
+     * Authenticated data for a record; `version` is the record's own, so older records
+     * keep decrypting after RECORD_VERSION moves on
+     */
+    static buildAad(identity, version) {
+        return new TextEncoder().encode(JSON.stringify([
+            'cookie-guardian',
+            version,
+            identity.storeId,
+            identity.domain,
+            identity.path,
+            identity.name
+        ]));
+    }
+
+    /**
+     * Identity of a cookie named in a message. Every field is required, so the record is
+     * bound to, and only opens for, exactly that cookie.
+     */
+    static requireIdentity(identity) {
+        const missing = CookieEncryption.IDENTITY_FIELDS.find(field => !identity?.[field] || typeof identity[field] !== 'string');
+        if (missing) {
+            const error = new Error(`Cookie identity is missing ${missing}`);
+            error.code = 'IDENTITY_REQUIRED';
+            throw error;
+        }
+        return CookieEncryption.getIdentity(identity);
+    }
+
+    /**
+     * First identity field where a record disagrees with where it was found, or null
+     */
+    static findIdentityMismatch(record, expected) {
+        return CookieEncryption.IDENTITY_FIELDS.find(field =>
+            expected[field] !== undefined && record[field] !== undefined &&
+            String(expected[field] || '') !== String(record[field] || '')
+        ) || null;
+    }
+
+    static integrityError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Key ID a ciphertext was produced with; records from before key IDs used the legacy key
+     */
+    static getRecordKeyId(encryptedData) {
+        return encryptedData.keyId || CookieEncryption.LEGACY_KEY_ID;
+    }
+
     // Utility methods
     arrayBufferToBase64(buffer) {
         return btoa(String.fromCharCode(...new Uint8Array(buffer)));
@@ -74,4 +539,9 @@ class CookieEncryption {
         }
         return bytes.buffer;
     }
-}
\ No newline at end of file
+}
+
+CookieEncryption.AUTO_LOCK_ALARM = 'encryptionAutoLock';
+CookieEncryption.LEGACY_KEY_ID = 'k1';
+CookieEncryption.RECORD_VERSION = 2;
+CookieEncryption.IDENTITY_FIELDS = ['storeId', 'domain', 'path', 'name'];
@@ -0,0 +1,182 @@
+// import-planner.js - Validate incoming data and diff it against what is stored
+// A plan lists, per storage key, which entries would be added, changed, removed or skipped
+// and which were rejected by the schema, together with the values to write. Nothing is
+// written here; callers show the plan as a dry run or apply plan.values.
+class ImportPlanner {
+    /**
+     * @param {Object} current  Stored values by storage key
+     * @param {Object} incoming Values to import by storage key
+     * @param {string} mode     merge: incoming wins conflicts; replace: incoming becomes the
+     *                          whole collection; skip: only entries not stored yet are added
+     */
+    static plan(current, incoming, mode = 'merge') {
+        if (!ImportPlanner.MODES.includes(mode)) {
+            throw new Error(`Unknown import mode "${mode}"`);
+        }
+        if (!StorageSchema.isType(incoming, 'object')) {
+            throw new Error('Import data must be an object');
+        }
+
+        const plan = {
+            mode,
+            changes: {},
+            ignored: [],
+            values: {},
+            summary: { added: 0, changed: 0, removed: 0, skipped: 0, rejected: 0 }
+        };
+
+        Object.entries(incoming).forEach(([key, value]) => {
+            const kind = ImportPlanner.COLLECTIONS[key];
+            if (!kind) {
+                plan.ignored.push(key);
+                return;
+            }
+
+            const diff = ImportPlanner.diffCollection(key, kind, current[key], value, mode);
+            plan.changes[key] = diff.changes;
+            if (diff.result !== undefined) {
+                plan.values[key] = diff.result;
+            }
+
+            ['added', 'changed', 'removed', 'skipped', 'rejected'].forEach(field => {
+                plan.summary[field] += diff.changes[field].length;
+            });
+        });
+
+        return plan;
+    }
+
+    /**
+     * The plan without the values to write, small enough to send to the options page
+     */
+    static describe(plan) {
+        const { values, ...preview } = plan;
+        return { ...preview, empty: Object.keys(values).length === 0 };
+    }
+
+    static diffCollection(key, kind, currentValue, incomingValue, mode) {
+        const changes = { added: [], changed: [], removed: [], skipped: [], rejected: [], unchanged: 0 };
+
+        const containerType = kind === 'set' || kind === 'log' ? 'array' : 'object';
+        if (!StorageSchema.isType(incomingValue, containerType)) {
+            changes.rejected.push({ id: key, errors: [`${key} must be ${containerType === 'array' ? 'a list' : 'an object'}`] });
+            return { changes };
+        }
+
+        const current = ImportPlanner.toEntries(kind, currentValue);
+        const incoming = new Map();
+
+        ImportPlanner.toEntries(kind, incomingValue).forEach((value, id) => {
+            const errors = ImportPlanner.validateEntry(key, id, value);
+            if (errors.length > 0) {
+                changes.rejected.push({ id, errors });
+            } else {
+                incoming.set(id, value);
+            }
+        });
+
+        const result = mode === 'replace' ? new Map() : new Map(current);
+
+        incoming.forEach((value, id) => {
+            if (!current.has(id)) {
+                changes.added.push(id);
+                result.set(id, value);
+            } else if (JSON.stringify(current.get(id)) === JSON.stringify(value)) {
+                changes.unchanged++;
+                result.set(id, value);
+            } else if (mode === 'skip') {
+                changes.skipped.push(id);
+            } else {
+                changes.changed.push(id);
+                result.set(id, value);
+            }
+        });
+
+        if (mode === 'replace') {
+            const rejected = new Set(changes.rejected.map(entry => entry.id));
+            current.forEach((value, id) => {
+                if (incoming.has(id)) return;
+
+                // A broken incoming copy is not a reason to lose the stored one
+                if (rejected.has(id)) {
+                    result.set(id, value);
+                } else {
+                    changes.removed.push(id);
+                }
+            });
+        }
+
+        const touched = changes.added.length + changes.changed.length + changes.removed.length;
+        return {
+            changes,
+            result: touched > 0 ? ImportPlanner.fromEntries(kind, result) : undefined
+        };
+    }
+
+    /**
+     * Errors for one entry of a collection, as readable lines; empty if it may be stored
+     */
+    static validateEntry(key, id, value) {
+        const schema = StorageSchema.KEYS[key];
+        const kind = ImportPlanner.COLLECTIONS[key];
+        const itemSchema = kind === 'settings' ? schema.properties[id] : (schema.additionalProperties || schema.items);
+        const errors = itemSchema
+            ? StorageSchema.validate(value, itemSchema, `${key}.${id}`).map(error => `${error.path} ${error.message}`)
+            : [`${key}.${id} is not a known setting`];
+
+        if (errors.length === 0 && ImportPlanner.ITEM_CHECKS[key]) {
+            errors.push(...ImportPlanner.ITEM_CHECKS[key](value).map(message => `${key}.${id}: ${message}`));
+        }
+        return errors;
+    }
+
+    /**
+     * Map of entry ID to value; list entries are their own ID, log entries are keyed by content
+     */
+    static toEntries(kind, value) {
+        switch (kind) {
+            case 'map':
+            case 'settings':
+                return new Map(StorageSchema.isType(value, 'object') ? Object.entries(value) : []);
+            case 'set':
+                return new Map((Array.isArray(value) ? value : []).map(item => [String(item), item]));
+            case 'log':
+                return new Map((Array.isArray(value) ? value : []).map(entry => [
+                    entry && typeof entry === 'object' ? `${entry.timestamp} ${entry.action || entry.changeType} ${entry.domain || ''} ${entry.cookie || ''}`.trim() : String(entry),
+                    entry
+                ]));
+        }
+    }
+
+    static fromEntries(kind, entries) {
+        switch (kind) {
+            case 'map':
+            case 'settings':
+                return Object.fromEntries(entries);
+            case 'set':
+                return [...entries.values()];
+            case 'log':
+                return [...entries.values()]
+                    .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+                    .slice(0, StorageSchema.KEYS.auditLog.maxItems);
+        }
+    }
+}
+
+ImportPlanner.MODES = ['merge', 'replace', 'skip'];
+
+// How each importable storage key is compared entry by entry
+ImportPlanner.COLLECTIONS = {
+    siteRules: 'map',
+    whitelistRules: 'map',
+    whitelist: 'set',
+    blacklist: 'set',
+    auditLog: 'log',
+    encryptionSettings: 'settings'
+};
+
+// Checks beyond what the schema can express, e.g. that a pattern's flags compile with it
+ImportPlanner.ITEM_CHECKS = {
+    siteRules: rule => RuleSchema.validateRule(rule),
+    whitelistRules: rule => RuleSchema.validateRule(rule)
+};
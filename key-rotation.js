@@ -0,0 +1,186 @@
+// key-rotation.js - Re-encrypt stored ciphertexts under the active key, in resumable batches
+// Job state is saved after every batch so a service worker restart, or the keyring being
+// locked mid-run, only pauses the job. Keys are retired once no record references them.
+class KeyRotation {
+    constructor(encryption, logAudit) {
+        this.encryption = encryption;
+        this.logAudit = logAudit || (() => {});
+        this.storageKey = 'keyRotationJob';
+        this.batchSize = 25;
+        this.running = false;
+    }
+
+    async getJob() {
+        const data = await chrome.storage.local.get([this.storageKey]);
+        return data[this.storageKey] || null;
+    }
+
+    async saveJob(job) {
+        await chrome.storage.local.set({ [this.storageKey]: job });
+    }
+
+    async getStatus() {
+        const job = await this.getJob();
+        return {
+            ...(job || { status: 'idle' }),
+            activeKeyId: this.encryption.activeKeyId,
+            keyIds: this.encryption.getKeyIds()
+        };
+    }
+
+    /**
+     * Add a new active key and start moving every record onto it
+     */
+    async start(passphrase) {
+        const current = await this.getJob();
+        if (current && (current.status === 'running' || current.status === 'paused')) {
+            throw new Error('A key rotation is already in progress');
+        }
+
+        const previousKeyId = this.encryption.activeKeyId;
+        const targetKeyId = await this.encryption.generateNewKey(passphrase);
+        const stale = await this.findStaleRecords(targetKeyId);
+
+        const job = {
+            status: 'running',
+            previousKeyId,
+            targetKeyId,
+            total: stale.length,
+            done: 0,
+            failed: [],
+            startedAt: new Date().toISOString()
+        };
+        await this.saveJob(job);
+
+        this.logAudit('KEY_ROTATION_STARTED', {
+            domain: '*',
+            keyId: targetKeyId,
+            records: stale.length
+        });
+
+        this.run();
+        return job;
+    }
+
+    /**
+     * Pick up an unfinished job, e.g. after a service worker restart or an unlock
+     */
+    async resume() {
+        const job = await this.getJob();
+        if (job && (job.status === 'running' || job.status === 'paused')) {
+            await this.run();
+        }
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            let job = await this.getJob();
+            job.status = 'running';
+
+            while (true) {
+                if (await this.encryption.isLocked()) {
+                    job.status = 'paused';
+                    job.reason = 'locked';
+                    await this.saveJob(job);
+                    return;
+                }
+                delete job.reason;
+
+                const batch = await this.findStaleRecords(job.targetKeyId, job.failed, this.batchSize);
+                if (batch.length === 0) break;
+
+                for (const ref of batch) {
+                    try {
+                        await this.reencrypt(ref);
+                        job.done++;
+                    } catch (error) {
+                        console.error(`Error re-encrypting ${ref.id}:`, error);
+                        job.failed.push(ref.id);
+                    }
+                }
+
+                await this.saveJob(job);
+            }
+
+            job.status = 'completed';
+            job.finishedAt = new Date().toISOString();
+            job.retired = await this.retireUnusedKeys();
+            await this.saveJob(job);
+
+            this.logAudit('KEY_ROTATION_COMPLETED', {
+                domain: '*',
+                keyId: job.targetKeyId,
+                records: job.done,
+                failed: job.failed.length,
+                retired: job.retired
+            });
+        } catch (error) {
+            console.error('Key rotation failed:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async findStaleRecords(targetKeyId, skip = [], limit = Infinity) {
+        const records = await this.collectRecords();
+        return records
+            .filter(ref => CookieEncryption.getRecordKeyId(ref.encrypted) !== targetKeyId)
+            .filter(ref => !skip.includes(ref.id))
+            .slice(0, limit);
+    }
+
+    /**
+     * Everything encrypted with the keyring: vault records and the stored sync sign-in
+     */
+    async collectRecords() {
+        const records = await CookieVault.collect();
+        if (typeof SyncAuth !== 'undefined') {
+            records.push(...await SyncAuth.collect());
+        }
+        return records;
+    }
+
+    async reencrypt(ref) {
+        // Decrypting against the filed identity keeps tampered records out of the new key
+        const value = await this.encryption.decryptCookie(ref.encrypted, ref.expected);
+        const encrypted = await this.encryption.encryptCookie(value, { ...ref.encrypted, ...ref.expected });
+
+        if (ref.storageKey) {
+            // A sync token refresh may have replaced the record meanwhile
+            const current = (await chrome.storage.local.get([ref.storageKey]))[ref.storageKey];
+            if (current?.iv === ref.encrypted.iv) {
+                await chrome.storage.local.set({ [ref.storageKey]: { ...ref.encrypted, ...encrypted } });
+            }
+            return;
+        }
+
+        // Read again right before writing; the proxy may have re-sealed the cookie meanwhile
+        const data = await chrome.storage.local.get(['proxiedCookies']);
+        const proxied = data.proxiedCookies || {};
+        if (proxied[ref.proxyKey]?.encrypted.iv === ref.encrypted.iv) {
+            proxied[ref.proxyKey].encrypted = encrypted;
+            await chrome.storage.local.set({ proxiedCookies: proxied });
+        }
+    }
+
+    /**
+     * Remove keys other than the active one that no stored record still needs
+     */
+    async retireUnusedKeys() {
+        const records = await this.collectRecords();
+        const referenced = new Set(records.map(ref => CookieEncryption.getRecordKeyId(ref.encrypted)));
+        const retired = [];
+
+        for (const keyId of this.encryption.getKeyIds()) {
+            if (keyId === this.encryption.activeKeyId || referenced.has(keyId)) continue;
+
+            await this.encryption.retireKey(keyId);
+            retired.push(keyId);
+        }
+
+        return retired;
+    }
+}
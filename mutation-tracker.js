@@ -0,0 +1,70 @@
+// mutation-tracker.js - Tell cookie changes made by Cookie Guardian apart from the site's own
+// Every write the extension makes triggers chrome.cookies.onChanged again (an overwrite
+// removal plus the new cookie), so writes are tagged here before they happen and the
+// matching change events are claimed instead of being run through the rules again.
+class MutationTracker {
+    constructor(options = {}) {
+        this.ttl = options.ttl || 5000;
+        this.debounceDelay = options.debounceDelay || 250;
+        this.pending = new Map();
+        this.timers = new Map();
+    }
+
+    /**
+     * Expect `events` onChanged notifications for this cookie caused by `feature`
+     */
+    mark(cookie, feature, events = 1) {
+        const key = CookieIdentity.getKey(cookie);
+        const entry = this.pending.get(key);
+
+        this.pending.set(key, {
+            feature,
+            remaining: (entry?.remaining || 0) + events,
+            expires: Date.now() + this.ttl
+        });
+    }
+
+    /**
+     * Forget a mark whose write never happened
+     */
+    unmark(cookie) {
+        this.pending.delete(CookieIdentity.getKey(cookie));
+    }
+
+    /**
+     * Feature that caused this change, or null if it came from outside the extension
+     */
+    claim(cookie) {
+        const key = CookieIdentity.getKey(cookie);
+        const entry = this.pending.get(key);
+        if (!entry) return null;
+
+        if (entry.expires < Date.now()) {
+            this.pending.delete(key);
+            return null;
+        }
+
+        entry.remaining--;
+        if (entry.remaining <= 0) {
+            this.pending.delete(key);
+        }
+        return entry.feature;
+    }
+
+    /**
+     * Collapse a burst of changes to one cookie into a single call with the latest change
+     */
+    debounce(cookie, callback) {
+        const key = CookieIdentity.getKey(cookie);
+        const existing = this.timers.get(key);
+        if (existing) clearTimeout(existing.timer);
+
+        const count = (existing?.count || 0) + 1;
+        const timer = setTimeout(() => {
+            this.timers.delete(key);
+            callback(count);
+        }, this.debounceDelay);
+
+        this.timers.set(key, { timer, count });
+    }
+}
@@ -4,11 +4,15 @@ class CookieGuardianOptions {
         this.chart = null;
         this.categorizer = new CookieCategorizer();
         this.syncManager = null;
+        this.editingRule = null;
+        this.vaultRecords = [];
+        this.revealingRecordId = null;
         this.init();
     }
 
     async init() {
         this.setupNavigation();
+        await this.loadCookieStores();
         await this.loadRules();
         await this.loadAuditLog();
         await this.loadLists();
@@ -49,6 +53,9 @@ class CookieGuardianOptions {
                     case 'whitelist':
                         this.loadLists();
                         break;
+                    case 'vault':
+                        this.loadVault();
+                        break;
                     case 'privacy-report':
                         this.loadPrivacyReport();
                         break;
@@ -61,6 +68,10 @@ class CookieGuardianOptions {
                 }
             });
         });
+        
+        // Deep links such as options.html#backup from the popup
+        const linked = location.hash && document.querySelector(`.nav-item[href="${CSS.escape(location.hash)}"]`);
+        if (linked) linked.click();
     }
 
     async loadRules() {
@@ -73,9 +84,22 @@ class CookieGuardianOptions {
         }
     }
 
+    async loadCookieStores() {
+        try {
+            const stores = await CookieStores.list();
+            document.getElementById('ruleStores').innerHTML = stores.map(store => 
+                `<option value="${store.id}">${CookieStores.getLabel(store.id)} (${store.id})</option>`
+            ).join('');
+        } catch (error) {
+            console.error('Error loading cookie stores:', error);
+        }
+    }
+
     renderRules(rules) {
         const rulesList = document.getElementById('rulesList');
         rulesList.innerHTML = '';
+        // Rules can arrive through sync or a backup import
+        const escape = CookieGuardianUtils.escapeHtml;
         
         Object.entries(rules).forEach(([domain, rule]) => {
             if (domain === '*') {
@@ -88,29 +112,38 @@ class CookieGuardianOptions {
             card.className = 'rule-card';
             card.innerHTML = `
                 <div class="rule-header">
-                    <span class="rule-domain">${domain}</span>
+                    <span class="rule-domain">${escape(domain)}</span>
                     <div class="rule-actions">
-                        <button class="btn-icon edit-rule" data-domain="${domain}">
+                        <button class="btn-icon edit-rule" data-domain="${escape(domain)}">
                             <i class="fas fa-edit"></i>
                         </button>
-                        <button class="btn-icon delete-rule" data-domain="${domain}">
+                        <button class="btn-icon delete-rule" data-domain="${escape(domain)}">
                             <i class="fas fa-trash"></i>
                         </button>
                     </div>
                 </div>
                 <div class="rule-details">
+                    ${rule.pattern ? `
+                    <div class="detail-item">
+                        <span class="detail-label">Pattern</span>
+                        <span class="detail-value">${escape(`/${rule.pattern.source}/${rule.pattern.flags || ''}`)}</span>
+                    </div>` : ''}
                     <div class="detail-item">
                         <span class="detail-label">Expiration</span>
                         <span class="detail-value">${rule.expiration || 30} minutes</span>
                     </div>
                     <div class="detail-item">
                         <span class="detail-label">Encryption</span>
-                        <span class="detail-value">${rule.encrypt ? 'Enabled' : 'Disabled'}</span>
+                        <span class="detail-value">${rule.encrypt ? `Enabled (${rule.encryptMode || RuleSchema.DEFAULT_ENCRYPT_MODE})` : 'Disabled'}</span>
                     </div>
                     <div class="detail-item">
                         <span class="detail-label">Auto-delete</span>
                         <span class="detail-value">${rule.autoDelete ? 'Yes' : 'No'}</span>
                     </div>
+                    <div class="detail-item">
+                        <span class="detail-label">Stores</span>
+                        <span class="detail-value">${rule.storeIds?.length ? rule.storeIds.map(id => CookieStores.getLabel(id)).join(', ') : 'All stores'}</span>
+                    </div>
                 </div>
                 <div>
                     <span class="rule-priority priority-${rule.priority || 'medium'}">
@@ -168,7 +201,7 @@ class CookieGuardianOptions {
                 <span class="audit-time">${time}</span>
                 <div>
                     <span class="audit-action">${log.cookie || log.action}</span>
-                    <span class="audit-domain">@${log.domain}</span>
+                    <span class="audit-domain">@${log.domain}${log.storeId && log.storeId !== '0' ? ` (${CookieStores.getLabel(log.storeId)})` : ''}${log.origin || log.feature ? ` via ${log.origin || log.feature}` : ''}</span>
                 </div>
                 <span class="audit-type ${typeClass}">
                     ${log.changeType || log.action}
@@ -186,6 +219,11 @@ class CookieGuardianOptions {
             case 'RULE_APPLIED': return 'type-rule';
             case 'BLACKLIST_DELETED': return 'type-blacklisted';
             case 'ENCRYPTED': return 'type-encrypted';
+            case 'COOKIE_EXTENDED': return 'type-set';
+            case 'COOKIE_DELETED':
+            case 'SANITIZED':
+            case 'COOKIE_MUTATION_FAILED':
+            case 'VAULT_INTEGRITY_FAILED': return 'type-removed';
             default: return 'type-rule';
         }
     }
@@ -199,12 +237,53 @@ class CookieGuardianOptions {
             
             this.renderList('whitelist', whitelist.whitelist || []);
             this.renderList('blacklist', blacklist.blacklist || []);
+            await this.loadBlockingMode();
         } catch (error) {
             console.error('Error loading lists:', error);
             this.showNotification('Failed to load lists', 'error');
         }
     }
 
+    async loadBlockingMode() {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_BLOCKING_STATUS' });
+        if (!response?.success) return;
+        this.renderBlockingStatus(response.status);
+    }
+
+    renderBlockingStatus(status) {
+        document.getElementById('blockingMode').checked = status.enabled;
+        
+        const text = document.getElementById('blockingStatus');
+        if (!status.enabled) {
+            text.textContent = '';
+            return;
+        }
+        
+        const parts = [
+            `${status.domains} domains and ${status.patterns} patterns blocked`,
+            `${status.exceptions} sites exempt`,
+            `${status.blockedTotal} third-party requests filtered so far`
+        ];
+        if (status.skipped.length > 0) {
+            parts.push(`not applied: ${status.skipped.join(', ')}`);
+        }
+        text.textContent = parts.join('; ');
+    }
+
+    async setBlockingMode(enabled) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'SET_BLOCKING_MODE', enabled });
+            if (!response?.success) throw new Error(response?.error || 'Unknown error');
+            
+            this.renderBlockingStatus(response.status);
+            this.showNotification(enabled ? 'Blocking mode enabled' : 'Blocking mode disabled', 'success');
+        } catch (error) {
+            console.error('Error changing blocking mode:', error);
+            document.getElementById('blockingMode').checked = !enabled;
+            this.showNotification(`Failed to change blocking mode: ${error.message}`, 'error');
+        }
+    }
+
     renderList(listType, items) {
         const container = document.getElementById(`${listType}Container`);
         
@@ -305,38 +384,364 @@ class CookieGuardianOptions {
             document.getElementById('autoEncryptBanking').checked = encryptionSettings.autoEncryptBanking || false;
             document.getElementById('autoEncryptSocial').checked = encryptionSettings.autoEncryptSocial || false;
             document.getElementById('autoEncryptShopping').checked = encryptionSettings.autoEncryptShopping || false;
+            
+            await this.loadLockStatus();
+            await this.loadRotationStatus();
         } catch (error) {
             console.error('Error loading encryption status:', error);
         }
     }
 
+    async loadLockStatus() {
+        const response = await chrome.runtime.sendMessage({ action: 'GET_ENCRYPTION_STATE' });
+        if (!response?.success) return;
+        
+        const { passphraseProtected, locked, autoLockMinutes } = response.state;
+        const show = (id, visible) => {
+            document.getElementById(id).style.display = visible ? '' : 'none';
+        };
+        
+        document.getElementById('lockStatus').textContent = !passphraseProtected
+            ? 'Key is not passphrase protected'
+            : locked ? 'Locked - unlock to encrypt or decrypt cookies' : 'Unlocked for this browser session';
+        document.getElementById('keyStatus').textContent = passphraseProtected
+            ? 'Wrapped with your passphrase'
+            : 'Generated and stored locally';
+        document.getElementById('autoLockMinutes').value = autoLockMinutes;
+        
+        show('passphraseInput', passphraseProtected);
+        show('unlockBtn', passphraseProtected && locked);
+        show('lockBtn', passphraseProtected && !locked);
+        show('removePassphraseBtn', passphraseProtected);
+        document.getElementById('setPassphraseBtn').textContent = passphraseProtected
+            ? 'Change Passphrase'
+            : 'Set Passphrase';
+    }
+
+    async sendLockAction(message, successMessage) {
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Request failed', 'error');
+                return false;
+            }
+            
+            document.getElementById('passphraseInput').value = '';
+            document.getElementById('newPassphraseInput').value = '';
+            this.showNotification(successMessage, 'success');
+            await this.loadLockStatus();
+            return true;
+        } catch (error) {
+            console.error('Error updating encryption lock:', error);
+            this.showNotification('Request failed', 'error');
+            return false;
+        }
+    }
+
     countEncryptedDomains() {
         // This would require checking all encrypted cookies
         // For now, return a placeholder
         return '0';
     }
 
+    async loadVault() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'GET_VAULT' });
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Failed to load vault', 'error');
+                return;
+            }
+            
+            this.vaultRecords = response.records;
+            this.renderVault(document.getElementById('vaultFilter').value);
+        } catch (error) {
+            console.error('Error loading vault:', error);
+            this.showNotification('Failed to load vault', 'error');
+        }
+    }
+
+    renderVault(filter = '') {
+        const vaultList = document.getElementById('vaultList');
+        const term = filter.toLowerCase();
+        const records = this.vaultRecords.filter(record =>
+            record.domain.toLowerCase().includes(term) || record.name.toLowerCase().includes(term)
+        );
+        
+        if (records.length === 0) {
+            vaultList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-vault"></i>
+                    <p>No encrypted records${filter ? ' match this filter' : ''}</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const escape = CookieGuardianUtils.escapeHtml;
+        let currentDomain = null;
+        vaultList.innerHTML = '';
+        
+        records.forEach(record => {
+            if (record.domain !== currentDomain) {
+                currentDomain = record.domain;
+                const header = document.createElement('div');
+                header.className = 'vault-domain';
+                header.textContent = record.domain;
+                vaultList.appendChild(header);
+            }
+            
+            const entry = document.createElement('div');
+            entry.className = 'audit-entry vault-entry';
+            entry.innerHTML = `
+                <span class="audit-time">${record.timestamp ? new Date(record.timestamp).toLocaleString() : 'Unknown'}</span>
+                <div>
+                    <span class="audit-action">${escape(record.name)}</span>
+                    <span class="audit-domain">${escape(record.type)} &middot; v${escape(String(record.version))} &middot; key ${escape(record.keyId)}${record.storeId && record.storeId !== '0' ? ` &middot; ${escape(CookieStores.getLabel(record.storeId))}` : ''}</span>
+                    ${record.exists ? '' : '<span class="audit-type type-removed">Orphaned</span>'}
+                    ${record.integrity ? `<span class="audit-type type-blacklisted">${record.integrity === 'tampered' ? 'Tampered' : 'Mis-filed'}</span>` : ''}
+                </div>
+                <div class="vault-actions">
+                    <button class="btn-icon" data-vault-action="reveal" data-id="${escape(record.id)}" title="Reveal value">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                    <button class="btn-icon" data-vault-action="restore" data-id="${escape(record.id)}" title="Restore cookie to the browser" ${record.exists ? '' : 'disabled'}>
+                        <i class="fas fa-undo"></i>
+                    </button>
+                    <button class="btn-icon" data-vault-action="purge" data-id="${escape(record.id)}" title="Delete record">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `;
+            vaultList.appendChild(entry);
+        });
+    }
+
+    async showVaultAuthModal(id) {
+        this.revealingRecordId = id;
+        document.getElementById('vaultAuthForm').reset();
+        document.getElementById('vaultRevealed').textContent = '';
+        
+        // Without a passphrase there is nothing to re-enter; an explicit confirmation stands in
+        const response = await chrome.runtime.sendMessage({ action: 'GET_ENCRYPTION_STATE' });
+        const passphraseProtected = response?.state?.passphraseProtected !== false;
+        document.getElementById('vaultAuthTitle').textContent = passphraseProtected ? 'Confirm Passphrase' : 'Confirm Reveal';
+        document.getElementById('vaultPassphraseGroup').style.display = passphraseProtected ? '' : 'none';
+        document.getElementById('vaultPassphrase').required = passphraseProtected;
+        document.getElementById('vaultConfirmGroup').style.display = passphraseProtected ? 'none' : '';
+        document.getElementById('vaultConfirm').required = !passphraseProtected;
+        
+        document.getElementById('vaultAuthModal').classList.add('active');
+    }
+
+    async revealVaultRecord() {
+        const passphraseInput = document.getElementById('vaultPassphrase');
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'REVEAL_VAULT_RECORD',
+                id: this.revealingRecordId,
+                passphrase: passphraseInput.value,
+                confirmed: document.getElementById('vaultConfirm').checked
+            });
+            passphraseInput.value = '';
+            
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Failed to reveal value', 'error');
+                return;
+            }
+            
+            document.getElementById('vaultRevealed').textContent = response.value;
+        } catch (error) {
+            console.error('Error revealing vault record:', error);
+            this.showNotification('Failed to reveal value', 'error');
+        }
+    }
+
+    async restoreVaultRecord(id) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'RESTORE_VAULT_RECORD', id });
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Failed to restore cookie', 'error');
+                return;
+            }
+            
+            this.showNotification('Cookie restored', 'success');
+            await this.loadVault();
+        } catch (error) {
+            console.error('Error restoring vault record:', error);
+            this.showNotification('Failed to restore cookie', 'error');
+        }
+    }
+
+    async verifyVault() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'VERIFY_VAULT' });
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Failed to verify vault', 'error');
+                return;
+            }
+            
+            const flagged = Object.keys(response.flagged).length;
+            this.showNotification(
+                flagged > 0
+                    ? `${flagged} of ${response.checked} records failed verification`
+                    : `All ${response.checked} records verified`,
+                flagged > 0 ? 'error' : 'success'
+            );
+            await this.loadVault();
+        } catch (error) {
+            console.error('Error verifying vault:', error);
+            this.showNotification('Failed to verify vault', 'error');
+        }
+    }
+
+    async purgeVault(options) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'PURGE_VAULT_RECORDS', ...options });
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Failed to purge records', 'error');
+                return;
+            }
+            
+            this.showNotification(`Purged ${response.purged} records`, 'success');
+            await this.loadVault();
+        } catch (error) {
+            console.error('Error purging vault:', error);
+            this.showNotification('Failed to purge records', 'error');
+        }
+    }
+
     async loadSyncStatus() {
         try {
-            const settings = await chrome.storage.local.get(['syncSettings']);
-            const syncSettings = settings.syncSettings || { enabled: false };
+            const { status } = await chrome.runtime.sendMessage({ action: 'GET_SYNC_STATUS' });
             
             const enableSyncCheckbox = document.getElementById('enableSync');
             const syncControls = document.getElementById('syncControls');
             
-            enableSyncCheckbox.checked = syncSettings.enabled || false;
+            enableSyncCheckbox.checked = status.enabled;
+            syncControls.style.display = status.enabled ? 'block' : 'none';
+            
+            document.getElementById('syncTransport').value = status.transport || 'rest';
+            document.getElementById('syncEndpoint').value = status.endpoint || '';
+            document.getElementById('syncUsername').value = status.username || '';
+            this.updateSyncFields();
+            this.renderSyncScope(status.scope, status.exclusions);
             
-            if (syncSettings.enabled) {
-                syncControls.style.display = 'block';
-                document.getElementById('syncEmail').value = syncSettings.email || '';
+            document.getElementById('signOutSyncBtn').style.display = status.signedIn ? '' : 'none';
+            
+            const statusText = document.getElementById('syncStatusText');
+            if (status.enabled && !status.active) {
+                statusText.textContent = 'Sync is enabled but its settings are invalid';
+            } else if (status.enabled && status.account && !status.signedIn) {
+                statusText.textContent = 'Signed out of the sync server; enter the password and save to sign in again';
+            } else if (status.enabled && status.lastError) {
+                const retry = status.nextAttemptAt
+                    ? `; retrying at ${new Date(status.nextAttemptAt).toLocaleTimeString()}`
+                    : '';
+                statusText.textContent = `Last sync attempt failed: ${status.lastError.message}${retry}`;
+            } else if (status.enabled && status.pending > 0) {
+                statusText.textContent = `Waiting to sync changes to ${status.pendingKeys.join(', ')}`;
+            } else if (status.lastSync) {
+                statusText.textContent = `Last synced ${new Date(status.lastSync).toLocaleString()}`;
             } else {
-                syncControls.style.display = 'none';
+                statusText.textContent = '';
             }
+            
+            await this.loadSyncConflicts();
         } catch (error) {
             console.error('Error loading sync status:', error);
         }
     }
 
+    async loadSyncConflicts() {
+        try {
+            const { conflicts } = await chrome.runtime.sendMessage({ action: 'GET_SYNC_CONFLICTS' });
+            this.renderSyncConflicts(conflicts || []);
+        } catch (error) {
+            console.error('Error loading sync conflicts:', error);
+        }
+    }
+
+    renderSyncConflicts(conflicts) {
+        const section = document.getElementById('syncConflictsSection');
+        const list = document.getElementById('syncConflicts');
+        section.style.display = conflicts.length > 0 ? 'block' : 'none';
+        
+        const escape = CookieGuardianUtils.escapeHtml;
+        const describe = value => value === null ? 'deleted' : escape(JSON.stringify(value));
+        
+        list.innerHTML = conflicts.map(conflict => `
+            <div class="audit-entry sync-conflict">
+                <span class="audit-time">${new Date(conflict.at).toLocaleString()}</span>
+                <div>
+                    <span class="audit-action">${escape(conflict.key)}: ${escape(conflict.entryId)}</span>
+                    <div class="conflict-value">Kept (${conflict.winner === 'local' ? 'this device' : 'other device'}): ${describe(conflict.kept)}</div>
+                    <div class="conflict-value">Discarded (${conflict.discardedLocal ? 'this device' : 'other device'}): ${describe(conflict.discarded)}</div>
+                </div>
+                <div class="vault-actions">
+                    <button class="btn-icon" data-conflict-action="resolve" data-id="${escape(conflict.id)}" title="Use the discarded version">
+                        <i class="fas fa-exchange-alt"></i>
+                    </button>
+                    <button class="btn-icon" data-conflict-action="dismiss" data-id="${escape(conflict.id)}" title="Keep the current version">
+                        <i class="fas fa-check"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async handleSyncConflict(action, id) {
+        const response = await chrome.runtime.sendMessage({
+            action: action === 'resolve' ? 'RESOLVE_SYNC_CONFLICT' : 'DISMISS_SYNC_CONFLICT',
+            id
+        });
+        if (!response?.success) {
+            this.showNotification(response?.error || 'Failed to update conflict', 'error');
+            return;
+        }
+        
+        if (action === 'resolve') {
+            this.showNotification('Switched to the other version; it will sync shortly', 'success');
+            await this.loadRules();
+            await this.loadLists();
+        }
+        await this.loadSyncConflicts();
+    }
+
+    renderSyncScope(scope, exclusions) {
+        document.getElementById('syncScopeRules').checked = scope.rules;
+        document.getElementById('syncScopeLists').checked = scope.lists;
+        document.getElementById('syncScopeOverrides').checked = scope.overrides;
+        document.getElementById('syncScopeSettings').checked = scope.settings;
+        document.getElementById('syncScopeAuditLog').value = scope.auditLog;
+        document.getElementById('syncExclusions').value = exclusions.join('\n');
+    }
+
+    saveSyncScope() {
+        const scope = {
+            rules: document.getElementById('syncScopeRules').checked,
+            lists: document.getElementById('syncScopeLists').checked,
+            overrides: document.getElementById('syncScopeOverrides').checked,
+            settings: document.getElementById('syncScopeSettings').checked,
+            auditLog: document.getElementById('syncScopeAuditLog').value
+        };
+        const exclusions = document.getElementById('syncExclusions').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+        
+        this.sendSyncAction({ action: 'SET_SYNC_SCOPE', scope, exclusions }, 'Sync scope saved');
+    }
+
+    /**
+     * Show only the fields the selected transport uses
+     */
+    updateSyncFields() {
+        const transport = document.getElementById('syncTransport').value;
+        document.querySelectorAll('.sync-remote').forEach(el => {
+            el.style.display = transport === 'chrome-sync' ? 'none' : '';
+        });
+    }
+
     async loadPrivacyReport() {
         try {
             const stats = await chrome.runtime.sendMessage({ action: 'GET_STATS' });
@@ -607,6 +1012,11 @@ class CookieGuardianOptions {
             this.exportAuditLog();
         });
         
+        // Blocking mode
+        document.getElementById('blockingMode').addEventListener('change', (e) => {
+            this.setBlockingMode(e.target.checked);
+        });
+        
         // Add to List Button
         document.getElementById('addToListBtn').addEventListener('click', () => {
             this.showListItemModal();
@@ -628,10 +1038,10 @@ class CookieGuardianOptions {
             });
         });
         
-        // Regenerate Encryption Key
+        // Rotate Encryption Key
         document.getElementById('regenerateKeyBtn').addEventListener('click', () => {
-            if (confirm('Regenerating the encryption key will make all previously encrypted cookies unreadable. Continue?')) {
-                this.regenerateEncryptionKey();
+            if (confirm('Rotating the encryption key re-encrypts every stored cookie with a new key. Continue?')) {
+                this.rotateEncryptionKey();
             }
         });
         
@@ -640,6 +1050,42 @@ class CookieGuardianOptions {
             this.exportEncryptionKey();
         });
         
+        // Passphrase Lock
+        document.getElementById('unlockBtn').addEventListener('click', () => {
+            this.sendLockAction({
+                action: 'UNLOCK_ENCRYPTION',
+                passphrase: document.getElementById('passphraseInput').value
+            }, 'Encryption unlocked');
+        });
+        
+        document.getElementById('lockBtn').addEventListener('click', () => {
+            this.sendLockAction({ action: 'LOCK_ENCRYPTION' }, 'Encryption locked');
+        });
+        
+        document.getElementById('setPassphraseBtn').addEventListener('click', () => {
+            this.sendLockAction({
+                action: 'SET_ENCRYPTION_PASSPHRASE',
+                passphrase: document.getElementById('newPassphraseInput').value,
+                currentPassphrase: document.getElementById('passphraseInput').value
+            }, 'Passphrase saved');
+        });
+        
+        document.getElementById('removePassphraseBtn').addEventListener('click', () => {
+            if (confirm('Removing the passphrase stores the encryption key unprotected on this device. Continue?')) {
+                this.sendLockAction({
+                    action: 'REMOVE_ENCRYPTION_PASSPHRASE',
+                    passphrase: document.getElementById('passphraseInput').value
+                }, 'Passphrase removed');
+            }
+        });
+        
+        document.getElementById('autoLockMinutes').addEventListener('change', (e) => {
+            this.sendLockAction({
+                action: 'SET_AUTO_LOCK',
+                minutes: Math.max(0, parseInt(e.target.value) || 0)
+            }, 'Auto-lock updated');
+        });
+        
         // Save Encryption Settings
         document.getElementById('saveEncryptionSettings').addEventListener('click', () => {
             this.saveEncryptionSettings();
@@ -657,9 +1103,18 @@ class CookieGuardianOptions {
         });
         
         // Sync Checkbox
-        document.getElementById('enableSync').addEventListener('change', (e) => {
+        document.getElementById('enableSync').addEventListener('change', async (e) => {
             const syncControls = document.getElementById('syncControls');
             syncControls.style.display = e.target.checked ? 'block' : 'none';
+            
+            if (!e.target.checked) {
+                await chrome.runtime.sendMessage({ action: 'DISABLE_SYNC' });
+                this.showNotification('Sync disabled', 'info');
+            }
+        });
+        
+        document.getElementById('syncTransport').addEventListener('change', () => {
+            this.updateSyncFields();
         });
         
         // Setup Sync
@@ -667,64 +1122,51 @@ class CookieGuardianOptions {
             this.setupCloudSync();
         });
         
-        // Create Backup
-        document.getElementById('createBackupBtn').addEventListener('click', async () => {
-            try {
-                const syncManager = new SyncManager();
-                const backup = await syncManager.exportBackup();
-                
-                // Trigger download
-                const dataStr = JSON.stringify(backup, null, 2);
-                const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
-                
-                const link = document.createElement('a');
-                link.setAttribute('href', dataUri);
-                link.setAttribute('download', `cookie-guardian-backup-${new Date().toISOString().split('T')[0]}.json`);
-                link.click();
-                
-                // Save to history
-                await this.saveBackupToHistory(backup);
-                
-                this.showNotification('Backup created successfully', 'success');
-            } catch (error) {
-                console.error('Error creating backup:', error);
-                this.showNotification('Failed to create backup', 'error');
+        document.getElementById('testSyncBtn').addEventListener('click', () => {
+            this.sendSyncAction({ action: 'TEST_SYNC', settings: this.readSyncForm() }, 'Connection works');
+        });
+        
+        document.getElementById('syncNowBtn').addEventListener('click', async () => {
+            if (await this.sendSyncAction({ action: 'SYNC_NOW' }, 'Sync completed')) {
+                await this.loadRules();
+                await this.loadLists();
+            }
+        });
+        
+        document.getElementById('pullSyncBtn').addEventListener('click', async () => {
+            if (await this.sendSyncAction({ action: 'RESTORE_FROM_SYNC' }, 'Remote data merged')) {
+                await this.loadRules();
+                await this.loadLists();
             }
         });
         
+        document.getElementById('saveSyncScopeBtn').addEventListener('click', () => {
+            this.saveSyncScope();
+        });
+        
+        document.getElementById('signOutSyncBtn').addEventListener('click', () => {
+            this.sendSyncAction({ action: 'SIGN_OUT_SYNC' }, 'Signed out of the sync server');
+        });
+        
+        document.getElementById('syncConflicts').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-conflict-action]');
+            if (button) {
+                this.handleSyncConflict(button.dataset.conflictAction, button.dataset.id);
+            }
+        });
+        
+        document.getElementById('clearSyncConflictsBtn').addEventListener('click', () => {
+            this.handleSyncConflict('dismiss', null);
+        });
+        
+        // Create Backup
+        document.getElementById('createBackupBtn').addEventListener('click', () => {
+            this.createBackup('cookie-guardian-backup');
+        });
+        
         // Restore Backup
         document.getElementById('restoreBackupBtn').addEventListener('click', () => {
-            const input = document.createElement('input');
-            input.type = 'file';
-            input.accept = '.json';
-            
-            input.onchange = async (e) => {
-                const file = e.target.files[0];
-                const reader = new FileReader();
-                
-                reader.onload = async (event) => {
-                    try {
-                        const backup = JSON.parse(event.target.result);
-                        const syncManager = new SyncManager();
-                        await syncManager.importBackup(backup);
-                        
-                        this.showNotification('Backup restored successfully', 'success');
-                        
-                        // Reload all data
-                        await this.loadRules();
-                        await this.loadLists();
-                        await this.loadStats();
-                        await this.loadEncryptionStatus();
-                    } catch (error) {
-                        console.error('Error restoring backup:', error);
-                        this.showNotification('Failed to restore backup. Invalid format.', 'error');
-                    }
-                };
-                
-                reader.readAsText(file);
-            };
-            
-            input.click();
+            this.restoreBackup();
         });
         
         // Import/Export
@@ -762,6 +1204,58 @@ class CookieGuardianOptions {
             this.saveListItem();
         });
         
+        // Vault
+        document.getElementById('refreshVaultBtn').addEventListener('click', () => {
+            this.loadVault();
+        });
+        
+        document.getElementById('verifyVaultBtn').addEventListener('click', () => {
+            this.verifyVault();
+        });
+        
+        document.getElementById('purgeOrphanedBtn').addEventListener('click', () => {
+            if (confirm('Delete every vault record whose cookie no longer exists? This cannot be undone.')) {
+                this.purgeVault({ orphaned: true });
+            }
+        });
+        
+        document.getElementById('vaultFilter').addEventListener('input', (e) => {
+            this.renderVault(e.target.value);
+        });
+        
+        document.getElementById('vaultList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-vault-action]');
+            if (!button) return;
+            
+            const id = button.dataset.id;
+            switch (button.dataset.vaultAction) {
+                case 'reveal':
+                    this.showVaultAuthModal(id);
+                    break;
+                case 'restore':
+                    this.restoreVaultRecord(id);
+                    break;
+                case 'purge':
+                    if (confirm('Delete this encrypted record? This cannot be undone.')) {
+                        this.purgeVault({ ids: [id] });
+                    }
+                    break;
+            }
+        });
+        
+        const vaultModal = document.getElementById('vaultAuthModal');
+        document.querySelectorAll('.close-vault-modal').forEach(btn => {
+            btn.addEventListener('click', () => {
+                vaultModal.classList.remove('active');
+                document.getElementById('vaultRevealed').textContent = '';
+            });
+        });
+        
+        document.getElementById('vaultAuthForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.revealVaultRecord();
+        });
+        
         // Filter Audit Log
         document.getElementById('auditFilter').addEventListener('input', (e) => {
             this.filterAuditLog(e.target.value);
@@ -776,6 +1270,8 @@ class CookieGuardianOptions {
         const modal = document.getElementById('ruleModal');
         const form = document.getElementById('ruleForm');
         
+        this.editingRule = rule;
+        
         if (domain && rule) {
             // Edit mode
             form.dataset.mode = 'edit';
@@ -784,7 +1280,11 @@ class CookieGuardianOptions {
             document.getElementById('ruleExpiration').value = rule.expiration || 30;
             document.getElementById('ruleEncrypt').checked = rule.encrypt || false;
             document.getElementById('ruleAutoDelete').checked = rule.autoDelete || false;
+            document.getElementById('ruleEncryptMode').value = rule.encryptMode || RuleSchema.DEFAULT_ENCRYPT_MODE;
             document.getElementById('rulePriority').value = rule.priority || 'medium';
+            Array.from(document.getElementById('ruleStores').options).forEach(option => {
+                option.selected = (rule.storeIds || []).includes(option.value);
+            });
         } else {
             // Add mode
             form.dataset.mode = 'add';
@@ -813,17 +1313,36 @@ class CookieGuardianOptions {
         const rule = {
             expiration: parseInt(document.getElementById('ruleExpiration').value),
             encrypt: document.getElementById('ruleEncrypt').checked,
+            encryptMode: document.getElementById('ruleEncryptMode').value,
             autoDelete: document.getElementById('ruleAutoDelete').checked,
             priority: document.getElementById('rulePriority').value
         };
         
+        const storeIds = Array.from(document.getElementById('ruleStores').selectedOptions).map(option => option.value);
+        if (storeIds.length > 0) {
+            rule.storeIds = storeIds;
+        }
+        
+        // "/source/flags" entries are stored as pattern rules; edits keep an existing pattern
+        const regexInput = domain.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexInput) {
+            rule.pattern = { source: regexInput[1], flags: regexInput[2] };
+        } else if (mode === 'edit' && this.editingRule?.pattern) {
+            rule.pattern = this.editingRule.pattern;
+        }
+        
         try {
-            await chrome.runtime.sendMessage({
+            const response = await chrome.runtime.sendMessage({
                 action: 'SAVE_RULE',
                 domain: mode === 'edit' ? form.dataset.domain : domain,
                 rule
             });
             
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Failed to save rule', 'error');
+                return;
+            }
+            
             document.getElementById('ruleModal').classList.remove('active');
             await this.loadRules();
             this.showNotification('Rule saved successfully', 'success');
@@ -840,12 +1359,17 @@ class CookieGuardianOptions {
         };
         
         try {
-            await chrome.runtime.sendMessage({
+            const response = await chrome.runtime.sendMessage({
                 action: 'SAVE_RULE',
                 domain: '*',
                 rule
             });
             
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Failed to save default rule', 'error');
+                return;
+            }
+            
             this.showNotification('Default rule saved', 'success');
         } catch (error) {
             console.error('Error saving default rule:', error);
@@ -929,33 +1453,76 @@ class CookieGuardianOptions {
         this.showNotification('Audit log exported', 'success');
     }
 
-    async regenerateEncryptionKey() {
+    async rotateEncryptionKey() {
         try {
-            const encryption = new CookieEncryption();
-            await encryption.generateNewKey();
+            const response = await chrome.runtime.sendMessage({
+                action: 'ROTATE_ENCRYPTION_KEY',
+                passphrase: document.getElementById('passphraseInput').value
+            });
+            
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Failed to rotate key', 'error');
+                return;
+            }
             
-            this.showNotification('Encryption key regenerated', 'success');
-            await this.loadEncryptionStatus();
+            this.showNotification('Key rotation started', 'success');
+            await this.loadRotationStatus();
         } catch (error) {
-            console.error('Error regenerating encryption key:', error);
-            this.showNotification('Failed to regenerate key', 'error');
+            console.error('Error rotating encryption key:', error);
+            this.showNotification('Failed to rotate key', 'error');
+        }
+    }
+
+    async loadRotationStatus() {
+        clearTimeout(this.rotationPoll);
+        
+        const response = await chrome.runtime.sendMessage({ action: 'GET_KEY_ROTATION_STATUS' });
+        if (!response?.success) return;
+        
+        const status = response.status;
+        const statusText = document.getElementById('rotationStatus');
+        const progress = document.getElementById('rotationProgress');
+        const percent = status.total > 0 ? Math.round((status.done / status.total) * 100) : 100;
+        
+        progress.style.display = status.status === 'running' || status.status === 'paused' ? '' : 'none';
+        document.getElementById('rotationProgressBar').style.width = `${percent}%`;
+        
+        switch (status.status) {
+            case 'running':
+                statusText.textContent = `Rotating to key ${status.targetKeyId}: ${status.done} of ${status.total} re-encrypted`;
+                this.rotationPoll = setTimeout(() => this.loadRotationStatus(), 1000);
+                break;
+            case 'paused':
+                statusText.textContent = `Rotation paused at ${status.done} of ${status.total} - unlock to continue`;
+                break;
+            case 'completed':
+                statusText.textContent = `Active key ${status.activeKeyId}` +
+                    (status.failed.length > 0 ? ` (${status.failed.length} records could not be re-encrypted)` : '') +
+                    (status.retired?.length > 0 ? `, retired ${status.retired.join(', ')}` : '');
+                break;
+            default:
+                statusText.textContent = status.activeKeyId ? `Active key ${status.activeKeyId}` : '';
         }
     }
 
     async exportEncryptionKey() {
         try {
-            const data = await chrome.storage.local.get(['encryptionKey']);
-            const key = data.encryptionKey;
+            const data = await chrome.storage.local.get(['encryptionKeyring', 'wrappedEncryptionKeyring']);
             
-            if (!key) {
+            if (!data.encryptionKeyring && !data.wrappedEncryptionKeyring) {
                 this.showNotification('No encryption key found', 'error');
                 return;
             }
             
+            // A passphrase-protected keyring is only ever exported in its wrapped form
             const dataStr = JSON.stringify({ 
-                encryptionKey: key,
+                ...(data.wrappedEncryptionKeyring
+                    ? { wrappedEncryptionKeyring: data.wrappedEncryptionKeyring }
+                    : { encryptionKeyring: data.encryptionKeyring }),
                 exported: new Date().toISOString(),
-                warning: 'Keep this key safe! Without it, encrypted cookies cannot be decrypted.'
+                warning: data.wrappedEncryptionKeyring
+                    ? 'This key is wrapped with your passphrase and cannot be used without it.'
+                    : 'Keep this key safe! Without it, encrypted cookies cannot be decrypted.'
             }, null, 2);
             
             const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
@@ -984,37 +1551,203 @@ class CookieGuardianOptions {
         this.showNotification('Encryption settings saved', 'success');
     }
 
+    /**
+     * Sync settings from the form. The sync server gets the password to sign in with; a
+     * WebDAV share keeps it as its credential. An empty field keeps the saved sign-in or
+     * password, which the background never sends back to this page.
+     */
+    readSyncForm() {
+        const password = document.getElementById('syncPassword').value || undefined;
+        const transport = document.getElementById('syncTransport').value;
+        return {
+            transport,
+            endpoint: document.getElementById('syncEndpoint').value.trim(),
+            username: document.getElementById('syncUsername').value.trim(),
+            ...(transport === 'rest' ? { password } : { authToken: password })
+        };
+    }
+
+    async sendSyncAction(message, successMessage) {
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Sync failed', 'error');
+                return false;
+            }
+            
+            this.showNotification(successMessage, 'success');
+            await this.loadSyncStatus();
+            return true;
+        } catch (error) {
+            console.error('Error running sync action:', error);
+            this.showNotification('Sync failed', 'error');
+            return false;
+        }
+    }
+
     async setupCloudSync() {
-        const email = document.getElementById('syncEmail').value;
-        const password = document.getElementById('syncPassword').value;
-        
-        if (!email || !password) {
-            this.showNotification('Please fill in all fields', 'error');
+        const settings = this.readSyncForm();
+        if (settings.transport !== 'chrome-sync' && !settings.endpoint) {
+            this.showNotification('Please enter the endpoint URL', 'error');
+            return;
+        }
+        if (settings.transport === 'rest' && !settings.username) {
+            this.showNotification('Please enter your sync account username', 'error');
             return;
         }
         
-        try {
-            // In a real implementation, this would call your backend
-            // For now, we'll simulate success
-            const authToken = btoa(`${email}:${password}`);
+        if (await this.sendSyncAction({ action: 'ENABLE_SYNC', settings }, 'Sync enabled successfully')) {
+            document.getElementById('syncPassword').value = '';
+        }
+    }
+
+    /**
+     * Ask for the backup passphrase; resolves to the form values, or null if cancelled
+     */
+    promptBackupPassphrase(mode) {
+        const exporting = mode === 'export';
+        const modalContent = `
+            <div class="modal-header">
+                <h3>${exporting ? 'Encrypt Backup' : 'Unlock Backup'}</h3>
+                <button class="btn-icon close-backup-passphrase">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <form class="modal-body" id="backupPassphraseForm">
+                <div class="form-group">
+                    <label>Backup passphrase</label>
+                    <input type="password" id="backupPassphrase" required minlength="8"
+                           autocomplete="${exporting ? 'new-password' : 'current-password'}">
+                </div>
+                ${exporting ? `
+                <div class="form-group">
+                    <input type="password" id="backupPassphraseConfirm" required minlength="8"
+                           placeholder="Repeat passphrase" autocomplete="new-password">
+                </div>` : ''}
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="backupVault">
+                        ${exporting
+                            ? 'Include encrypted vault records and the encryption key'
+                            : 'Replace the local vault and encryption key with the ones in this backup'}
+                    </label>
+                </div>
+                <button type="submit" class="btn-primary">
+                    ${exporting ? 'Create Backup' : 'Restore Backup'}
+                </button>
+            </form>
+        `;
+        
+        this.showCustomModal(modalContent);
+        
+        return new Promise(resolve => {
+            const overlay = document.querySelector('.custom-modal-overlay');
+            const finish = (result) => {
+                resolve(result);
+                this.closeCustomModal();
+            };
             
-            await chrome.storage.local.set({
-                syncSettings: {
-                    enabled: true,
-                    authToken,
-                    email,
-                    lastSync: new Date().toISOString()
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) resolve(null);
+            });
+            document.querySelector('.close-backup-passphrase').addEventListener('click', () => finish(null));
+            
+            document.getElementById('backupPassphraseForm').addEventListener('submit', (e) => {
+                e.preventDefault();
+                const passphrase = document.getElementById('backupPassphrase').value;
+                const confirmation = document.getElementById('backupPassphraseConfirm');
+                
+                if (confirmation && confirmation.value !== passphrase) {
+                    this.showNotification('Passphrases do not match', 'error');
+                    return;
                 }
+                
+                finish({ passphrase, vault: document.getElementById('backupVault').checked });
             });
+        });
+    }
+
+    async createBackup(filePrefix) {
+        const options = await this.promptBackupPassphrase('export');
+        if (!options) return;
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'EXPORT_BACKUP',
+                passphrase: options.passphrase,
+                includeVault: options.vault
+            });
+            if (!response?.success) {
+                this.showNotification(response?.error || 'Failed to create backup', 'error');
+                return;
+            }
             
-            this.showNotification('Sync enabled successfully', 'success');
-            await this.loadSyncStatus();
+            // Trigger download
+            const dataStr = JSON.stringify(response.backup, null, 2);
+            const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+            
+            const link = document.createElement('a');
+            link.setAttribute('href', dataUri);
+            link.setAttribute('download', `${filePrefix}-${new Date().toISOString().split('T')[0]}.json`);
+            link.click();
+            
+            // Save to history
+            await this.saveBackupToHistory(response.backup);
+            
+            this.showNotification('Encrypted backup created', 'success');
         } catch (error) {
-            console.error('Error enabling sync:', error);
-            this.showNotification('Failed to enable sync', 'error');
+            console.error('Error creating backup:', error);
+            this.showNotification('Failed to create backup', 'error');
         }
     }
 
+    restoreBackup() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            
+            try {
+                const backup = JSON.parse(await file.text());
+                
+                // Plaintext backups from older versions have no passphrase to ask for
+                let options = { passphrase: null, vault: false };
+                if (BackupContainer.isContainer(backup)) {
+                    options = await this.promptBackupPassphrase('import');
+                    if (!options) return;
+                }
+                
+                await this.showImportPreview({
+                    action: 'IMPORT_BACKUP',
+                    backup,
+                    passphrase: options.passphrase,
+                    restoreVault: options.vault
+                }, async (response) => {
+                    this.showNotification(
+                        response.vaultRestored
+                            ? `Backup restored with ${response.vaultRecords} vault record(s)`
+                            : 'Backup restored successfully',
+                        'success'
+                    );
+                    
+                    // Reload all data
+                    await this.loadRules();
+                    await this.loadLists();
+                    await this.loadStats();
+                    await this.loadEncryptionStatus();
+                    await this.loadLockStatus();
+                });
+            } catch (error) {
+                console.error('Error restoring backup:', error);
+                this.showNotification('Failed to restore backup. Invalid format.', 'error');
+            }
+        };
+        
+        input.click();
+    }
+
     async saveBackupToHistory(backup) {
         try {
             const data = await chrome.storage.local.get(['backupHistory']);
@@ -1096,25 +1829,9 @@ class CookieGuardianOptions {
             this.closeCustomModal();
         });
         
-        document.getElementById('exportAllBtn').addEventListener('click', async () => {
-            try {
-                const syncManager = new SyncManager();
-                const backup = await syncManager.exportBackup();
-                
-                const dataStr = JSON.stringify(backup, null, 2);
-                const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
-                
-                const linkElement = document.createElement('a');
-                linkElement.setAttribute('href', dataUri);
-                linkElement.setAttribute('download', `cookie-guardian-full-${new Date().toISOString().split('T')[0]}.json`);
-                linkElement.click();
-                
-                this.showNotification('All data exported', 'success');
-                this.closeCustomModal();
-            } catch (error) {
-                console.error('Error exporting all data:', error);
-                this.showNotification('Failed to export data', 'error');
-            }
+        document.getElementById('exportAllBtn').addEventListener('click', () => {
+            this.closeCustomModal();
+            this.createBackup('cookie-guardian-full');
         });
         
         document.querySelector('.close-import-export').addEventListener('click', () => {
@@ -1135,19 +1852,15 @@ class CookieGuardianOptions {
                 try {
                     const rules = JSON.parse(event.target.result);
                     
-                    if (typeof rules !== 'object') {
+                    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
                         throw new Error('Invalid rules format');
                     }
                     
-                    // Merge with existing rules
-                    const existing = await chrome.runtime.sendMessage({ action: 'GET_RULES' });
-                    const mergedRules = { ...existing.rules, ...rules };
-                    
-                    await chrome.storage.local.set({ siteRules: mergedRules });
-                    
-                    this.showNotification('Rules imported successfully', 'success');
-                    await this.loadRules();
                     this.closeCustomModal();
+                    await this.showImportPreview({ action: 'IMPORT_RULES', rules }, async (response) => {
+                        this.showNotification(`Rules imported (${response.plan.summary.added} added, ${response.plan.summary.changed} changed)`, 'success');
+                        await this.loadRules();
+                    });
                 } catch (error) {
                     console.error('Error importing rules:', error);
                     this.showNotification('Failed to import rules. Invalid format.', 'error');
@@ -1160,6 +1873,128 @@ class CookieGuardianOptions {
         input.click();
     }
 
+    /**
+     * Run an import as a dry run, show what it would change and apply it in the chosen
+     * mode. `request` is the import message without mode/dryRun.
+     */
+    async showImportPreview(request, onApplied) {
+        const preview = async (mode) => {
+            const response = await chrome.runtime.sendMessage({ ...request, mode, dryRun: true });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Import could not be checked');
+            }
+            return response;
+        };
+        
+        let mode = 'merge';
+        let response;
+        try {
+            response = await preview(mode);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        
+        const modalContent = `
+            <div class="modal-header">
+                <h3>Import Preview</h3>
+                <button class="btn-icon close-import-preview">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label>When an entry already exists</label>
+                    <select id="importMode">
+                        <option value="merge">Merge: use the imported version</option>
+                        <option value="skip">Skip conflicts: keep the current version</option>
+                        <option value="replace">Replace: remove entries not in the import</option>
+                    </select>
+                </div>
+                <div class="import-preview" id="importPreview"></div>
+                <button class="btn-primary" id="applyImportBtn">Apply Import</button>
+            </div>
+        `;
+        
+        this.showCustomModal(modalContent);
+        this.renderImportPreview(response);
+        
+        document.querySelector('.close-import-preview').addEventListener('click', () => {
+            this.closeCustomModal();
+        });
+        
+        document.getElementById('importMode').addEventListener('change', async (e) => {
+            mode = e.target.value;
+            try {
+                this.renderImportPreview(await preview(mode));
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+        
+        document.getElementById('applyImportBtn').addEventListener('click', async () => {
+            try {
+                const result = await chrome.runtime.sendMessage({ ...request, mode, dryRun: false });
+                if (!result?.success) {
+                    this.showNotification(result?.error || 'Import failed', 'error');
+                    return;
+                }
+                
+                this.closeCustomModal();
+                await onApplied(result);
+            } catch (error) {
+                console.error('Error applying import:', error);
+                this.showNotification('Import failed', 'error');
+            }
+        });
+    }
+
+    renderImportPreview(response) {
+        const escape = CookieGuardianUtils.escapeHtml;
+        const { plan } = response;
+        const container = document.getElementById('importPreview');
+        const list = (ids) => ids.slice(0, 20).map(escape).join(', ') + (ids.length > 20 ? `, ...${ids.length - 20} more` : '');
+        
+        const sections = Object.entries(plan.changes).map(([key, changes]) => {
+            const rows = [
+                ['added', 'Added', changes.added],
+                ['changed', 'Changed', changes.changed],
+                ['removed', 'Removed', changes.removed],
+                ['skipped', 'Kept (conflict)', changes.skipped]
+            ]
+                .filter(([, , ids]) => ids.length > 0)
+                .map(([type, label, ids]) => `
+                    <div class="import-change ${type}">
+                        <strong>${label} (${ids.length}):</strong> ${list(ids)}
+                    </div>
+                `);
+            
+            changes.rejected.forEach(entry => {
+                rows.push(`
+                    <div class="import-change rejected">
+                        <strong>Rejected ${escape(entry.id)}:</strong> ${entry.errors.map(escape).join('; ')}
+                    </div>
+                `);
+            });
+            
+            if (rows.length === 0) {
+                rows.push(`<div class="import-change">No changes (${changes.unchanged} identical)</div>`);
+            }
+            
+            return `<div class="import-key"><h4>${escape(key)}</h4>${rows.join('')}</div>`;
+        });
+        
+        if (plan.ignored.length > 0) {
+            sections.push(`<div class="import-change">Not imported: ${list(plan.ignored)}</div>`);
+        }
+        if (response.vaultRecords > 0) {
+            sections.push(`<div class="import-change changed">Vault will be replaced with ${response.vaultRecords} record(s) and the backup's encryption key</div>`);
+        }
+        
+        container.innerHTML = sections.join('') || '<div class="import-change">Nothing to import</div>';
+        document.getElementById('applyImportBtn').disabled = plan.empty && !response.vaultRecords;
+    }
+
     showCustomModal(content) {
         // Remove existing custom modals
         const existing = document.querySelectorAll('.custom-modal-overlay');
@@ -0,0 +1,185 @@
+// page-hooks.js - Cookie, storage and network instrumentation in the page's own JavaScript world
+// Registered by the background with world: 'MAIN', so the hooks see the calls page scripts
+// make; content scripts live in an isolated world and cannot. This file has no extension
+// APIs. It reports to content.js over a MessageChannel whose port is handed over once, in a
+// handshake posted at document_start. The handshake is delivered asynchronously, so a page
+// script that registers a message listener first receives the same port and can read or
+// post on it. The port only keeps events off later window messages; page scripts can
+// also undo or feed these hooks, so content.js treats everything it receives as untrusted.
+(() => {
+    const CHANNEL = 'cookie-guardian-page-hooks';
+    const VERSION = 1;
+    const FLUSH_MS = 1000;
+    const MAX_PENDING = 100;
+    const SENSITIVE_KEY = /cookie|token|session/i;
+    const STACK_URL = /(https?:\/\/[^\s()]+?):\d+:\d+/;
+
+    // Captured before page scripts can replace them
+    const postMessage = window.postMessage.bind(window);
+    const setTimer = window.setTimeout.bind(window);
+    const NativeError = Error;
+    const pageOrigin = location.origin;
+    const pageHost = location.hostname;
+
+    const channel = new MessageChannel();
+    const port = channel.port1;
+
+    // Repeated reads of the same cookie or key are counted, not reported one by one
+    const pending = new Map();
+    let flushTimer = null;
+
+    function flush() {
+        flushTimer = null;
+        if (pending.size === 0) return;
+        const events = [...pending.values()];
+        pending.clear();
+        port.postMessage({ type: 'events', version: VERSION, events });
+    }
+
+    function report(event) {
+        try {
+            const key = JSON.stringify(event);
+            const existing = pending.get(key);
+            if (existing) {
+                existing.count++;
+            } else if (pending.size < MAX_PENDING) {
+                pending.set(key, { ...event, count: 1, at: Date.now() });
+            }
+            if (flushTimer === null) flushTimer = setTimer(flush, FLUSH_MS);
+        } catch (error) {
+            // Never let instrumentation break the page
+        }
+    }
+
+    function resolveUrl(url) {
+        try {
+            return new URL(String(url), location.href);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * URL of the script that called into a hook, from the first web frame of the stack;
+     * this file's own frames are chrome-extension: URLs. Inline scripts report the page URL.
+     */
+    function callingScript() {
+        try {
+            const limit = NativeError.stackTraceLimit;
+            NativeError.stackTraceLimit = 30;
+            const stack = new NativeError().stack;
+            NativeError.stackTraceLimit = limit;
+            if (typeof stack !== 'string') return '';
+
+            for (const line of stack.split('\n')) {
+                const match = STACK_URL.exec(line);
+                if (match) {
+                    const url = new URL(match[1]);
+                    return url.origin + url.pathname;
+                }
+            }
+        } catch (error) {
+            // Stack formats and Error itself are under the page's control
+        }
+        return '';
+    }
+
+    // Credentialed requests to other origins are the ones that carry cookies to third parties
+    function reportRequest(type, url, credentials) {
+        const target = resolveUrl(url);
+        if (!target || target.origin === pageOrigin || !/^https?:$/.test(target.protocol)) return;
+        report({ kind: 'network', type, url: target.origin + target.pathname, credentials });
+    }
+
+    function hookDocumentCookie() {
+        const descriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+        if (!descriptor?.get || !descriptor?.set || !descriptor.configurable) return;
+
+        Object.defineProperty(Document.prototype, 'cookie', {
+            configurable: true,
+            enumerable: descriptor.enumerable,
+            get() {
+                report({ kind: 'cookie', action: 'GET', name: '' });
+                return descriptor.get.call(this);
+            },
+            set(value) {
+                const [pair, ...attributes] = String(value).split(';');
+                const name = pair.split('=')[0].trim();
+                // Written for this frame's host unless a Domain attribute widens it
+                const domainAttribute = attributes.map(part => part.trim()).find(part => /^domain=/i.test(part));
+                const domain = (domainAttribute ? domainAttribute.slice('domain='.length) : pageHost)
+                    .trim().replace(/^\./, '').toLowerCase();
+                report({ kind: 'cookie', action: 'SET', name, domain, script: callingScript() });
+                descriptor.set.call(this, value);
+            }
+        });
+    }
+
+    function hookStorage() {
+        const storageArea = storage => {
+            try {
+                return storage === window.sessionStorage ? 'session' : 'local';
+            } catch (error) {
+                return 'local';
+            }
+        };
+        const wrap = (method, action) => {
+            const original = Storage.prototype[method];
+            Storage.prototype[method] = function(key) {
+                if (SENSITIVE_KEY.test(String(key))) {
+                    report({ kind: 'storage', action, key: String(key), area: storageArea(this) });
+                }
+                return original.apply(this, arguments);
+            };
+        };
+        wrap('getItem', 'GET');
+        wrap('setItem', 'SET');
+        wrap('removeItem', 'REMOVE');
+    }
+
+    function hookFetch() {
+        const originalFetch = window.fetch;
+        if (typeof originalFetch !== 'function') return;
+
+        window.fetch = function(input, init) {
+            try {
+                const request = input instanceof Request ? input : null;
+                const credentials = init?.credentials || request?.credentials || 'same-origin';
+                if (credentials === 'include') {
+                    reportRequest('FETCH', request ? request.url : input, credentials);
+                }
+            } catch (error) {
+                // Never let instrumentation break the page
+            }
+            return originalFetch.apply(this, arguments);
+        };
+    }
+
+    function hookXhr() {
+        const urls = new WeakMap();
+        const originalOpen = XMLHttpRequest.prototype.open;
+        const originalSend = XMLHttpRequest.prototype.send;
+
+        XMLHttpRequest.prototype.open = function(method, url) {
+            urls.set(this, url);
+            return originalOpen.apply(this, arguments);
+        };
+        XMLHttpRequest.prototype.send = function() {
+            try {
+                if (this.withCredentials && urls.has(this)) {
+                    reportRequest('XHR', urls.get(this), 'include');
+                }
+            } catch (error) {
+                // Never let instrumentation break the page
+            }
+            return originalSend.apply(this, arguments);
+        };
+    }
+
+    postMessage({ channel: CHANNEL, type: 'handshake', version: VERSION }, '*', [channel.port2]);
+
+    hookDocumentCookie();
+    hookStorage();
+    hookFetch();
+    hookXhr();
+})();
@@ -2,6 +2,8 @@ class CookieGuardianPopup {
     constructor() {
         this.currentTab = null;
         this.cookies = [];
+        this.cookieStores = [];
+        this.selectedStoreId = undefined;
         this.rules = {};
         this.whitelist = [];
         this.blacklist = [];
@@ -16,12 +18,14 @@ class CookieGuardianPopup {
             // Initialize categorizer if available
             if (typeof CookieCategorizer !== 'undefined') {
                 this.categorizer = new CookieCategorizer();
+                await this.categorizer.ready;
             } else {
                 console.warn('CookieCategorizer not available, skipping');
                 this.categorizer = null;
             }
 
             await this.getCurrentTab();
+            await this.loadCookieStores();
             await this.loadRules();
             await this.loadLists();
             await this.loadCookies();
@@ -57,14 +61,20 @@ class CookieGuardianPopup {
             // Display current site rules
             if (this.currentTab?.url) {
                 const domain = new URL(this.currentTab.url).hostname;
-                const siteRule = this.rules[domain] || this.rules['*'] || { expiration: 30 };
-                
+                const { resolution } = await chrome.runtime.sendMessage({
+                    action: 'RESOLVE_RULE',
+                    domain,
+                    storeId: this.selectedStoreId
+                });
+                const siteRule = resolution?.rule || { expiration: 30 };
+                const ruleName = !resolution?.key || resolution.key === '*' ? 'Default Rule' : resolution.key;
+
                 const rulesList = document.getElementById('currentRules');
                 if (rulesList) {
                     rulesList.innerHTML = `
-                        <div class="rule-item">
-                            <span class="rule-name">${domain}</span>
-                            <span class="rule-timer">${siteRule.expiration} minutes</span>
+                        <div class="rule-item" title="${CookieGuardianUtils.escapeHtml(resolution?.explanation || '')}">
+                            <span class="rule-name">${CookieGuardianUtils.escapeHtml(ruleName)}</span>
+                            <span class="rule-timer">${siteRule.autoDelete ? 'On browser close' : `${siteRule.expiration} minutes`}</span>
                         </div>
                     `;
                 }
@@ -74,6 +84,30 @@ class CookieGuardianPopup {
         }
     }
 
+    async loadCookieStores() {
+        try {
+            this.cookieStores = await CookieStores.list();
+            
+            // Default to the store the active tab lives in (e.g. incognito)
+            const tabStore = this.cookieStores.find(store => 
+                this.currentTab && store.tabIds.includes(this.currentTab.id)
+            );
+            this.selectedStoreId = tabStore ? tabStore.id : this.cookieStores[0]?.id;
+            
+            const storeSelect = document.getElementById('storeSelect');
+            if (storeSelect) {
+                storeSelect.innerHTML = this.cookieStores.map(store => `
+                    <option value="${store.id}" ${store.id === this.selectedStoreId ? 'selected' : ''}>
+                        ${CookieStores.getLabel(store.id)}
+                    </option>
+                `).join('');
+                storeSelect.style.display = this.cookieStores.length > 1 ? '' : 'none';
+            }
+        } catch (error) {
+            console.error('Error loading cookie stores:', error);
+        }
+    }
+
     async loadLists() {
         try {
             const data = await chrome.storage.local.get(['whitelist', 'blacklist']);
@@ -93,8 +127,25 @@ class CookieGuardianPopup {
         try {
             const url = new URL(this.currentTab.url);
             const domain = url.hostname;
+            const topLevelSite = `${url.protocol}//${DomainMatcher.getRegistrableDomain(domain) || domain}`;
+            
+            const [siteCookies, embeddedCookies] = await Promise.all([
+                CookieStores.getAll({ domain, storeId: this.selectedStoreId }),
+                CookieStores.getAll({ storeId: this.selectedStoreId, partitionKey: { topLevelSite } })
+                    .catch(() => [])
+            ]);
+            
+            // Partitioned cookies from embedded third parties live under this site's partition
+            const seen = new Set(siteCookies.map(c => this.getCookieKey(c)));
+            const cookies = siteCookies.concat(
+                embeddedCookies.filter(c => c.partitionKey && !seen.has(this.getCookieKey(c)))
+            );
+            
+            // Unpartitioned cookies first, then one group per top-level site
+            cookies.sort((a, b) => 
+                (CookieStores.getPartitionSite(a) || '').localeCompare(CookieStores.getPartitionSite(b) || '')
+            );
             
-            const cookies = await chrome.cookies.getAll({ domain });
             this.cookies = cookies;
             this.renderCookies(cookies);
         } catch (error) {
@@ -118,15 +169,26 @@ class CookieGuardianPopup {
         }
 
         jar.innerHTML = '';
+        let currentGroup = null;
         
         cookies.forEach(cookie => {
+            const partitionSite = CookieStores.getPartitionSite(cookie);
+            if (partitionSite && partitionSite !== currentGroup) {
+                const header = document.createElement('div');
+                header.className = 'partition-header';
+                header.innerHTML = `<i class="fas fa-layer-group"></i> Partitioned under ${partitionSite}`;
+                jar.appendChild(header);
+            }
+            currentGroup = partitionSite;
+            
             const clone = template.content.cloneNode(true);
             const item = clone.querySelector('.cookie-item');
             const expiresIn = this.calculateTimeRemaining(cookie);
             const category = this.categorizer ? this.categorizer.categorizeCookie(cookie) : { category: 'unknown', risk: 'medium' };
             
             clone.querySelector('.cookie-name').textContent = cookie.name;
-            clone.querySelector('.cookie-domain').textContent = cookie.domain;
+            clone.querySelector('.cookie-domain').textContent = CookieStores.isThirdPartyPartitioned(cookie) ?
+                `${cookie.domain} (3rd-party)` : cookie.domain;
             clone.querySelector('.cookie-expiry').textContent = this.formatExpiration(cookie);
             clone.querySelector('.cookie-category').textContent = category.category;
             
@@ -169,6 +231,10 @@ class CookieGuardianPopup {
         });
     }
 
+    getCookieKey(cookie) {
+        return [cookie.storeId, cookie.domain, cookie.path, cookie.name, CookieStores.getPartitionSite(cookie)].join('|');
+    }
+
     async loadCategories() {
         try {
             if (!this.categorizer) {
@@ -234,27 +300,39 @@ class CookieGuardianPopup {
 
     async loadSyncStatus() {
         try {
-            const data = await chrome.storage.local.get(['syncSettings']);
-            const syncSettings = data.syncSettings || { enabled: false };
+            const { status } = await chrome.runtime.sendMessage({ action: 'GET_SYNC_STATUS' });
             
             const syncIcon = document.getElementById('syncIcon');
             const syncStatus = document.getElementById('syncStatus');
             const lastSync = document.getElementById('lastSync');
             const toggleSyncBtn = document.getElementById('toggleSyncBtn');
+            const formatTime = time => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
             
-            if (syncSettings.enabled) {
-                syncIcon.style.color = 'var(--success)';
-                syncStatus.textContent = 'Sync Active';
+            if (status?.enabled) {
                 toggleSyncBtn.textContent = 'Disable Sync';
                 toggleSyncBtn.classList.add('danger');
+                syncStatus.title = status.lastError ? status.lastError.message : '';
                 
-                if (syncSettings.lastSync) {
-                    const lastSyncDate = new Date(syncSettings.lastSync);
-                    lastSync.textContent = `Last: ${lastSyncDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+                if (status.lastError) {
+                    const needsSignIn = status.lastError.code === 'SYNC_AUTH_REQUIRED';
+                    syncIcon.style.color = needsSignIn ? 'var(--danger)' : 'var(--warning)';
+                    syncStatus.textContent = needsSignIn ? 'Sign-in Needed' : 'Sync Failing';
+                } else if (status.pending > 0) {
+                    syncIcon.style.color = 'var(--warning)';
+                    syncStatus.textContent = `Sync Pending (${status.pending})`;
+                } else {
+                    syncIcon.style.color = 'var(--success)';
+                    syncStatus.textContent = 'Sync Active';
                 }
+                
+                const parts = [];
+                if (status.lastSync) parts.push(`Last: ${formatTime(status.lastSync)}`);
+                if (status.nextAttemptAt) parts.push(`Retry: ${formatTime(status.nextAttemptAt)}`);
+                lastSync.textContent = parts.join(', ') || 'Never';
             } else {
                 syncIcon.style.color = 'var(--gray)';
                 syncStatus.textContent = 'Sync Disabled';
+                syncStatus.title = '';
                 toggleSyncBtn.textContent = 'Enable Sync';
                 toggleSyncBtn.classList.remove('danger');
                 lastSync.textContent = 'Never';
@@ -295,11 +373,16 @@ class CookieGuardianPopup {
 
     async deleteCookie(cookie) {
         try {
-            const url = `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path}`;
-            await chrome.cookies.remove({
-                url: url,
-                name: cookie.name
+            const result = await chrome.runtime.sendMessage({
+                action: 'REMOVE_COOKIES',
+                cookies: [cookie],
+                feature: 'popup_delete',
+                auditAction: 'COOKIE_DELETED'
             });
+            if (!result.success) {
+                this.showNotification(`Failed to delete cookie: ${result.failed[0]?.error || result.error}`, 'error');
+                return;
+            }
             
             this.showNotification('Cookie deleted', 'success');
             await this.loadCookies();
@@ -314,12 +397,19 @@ class CookieGuardianPopup {
     async extendCookie(cookie) {
         try {
             const newExpiration = Date.now() + (60 * 60 * 1000); // 1 hour
-            const updatedCookie = {
-                ...cookie,
-                expirationDate: newExpiration / 1000
-            };
+            const result = await chrome.runtime.sendMessage({
+                action: 'SET_COOKIE',
+                cookie,
+                changes: { expirationDate: newExpiration / 1000 },
+                feature: 'popup_extend',
+                auditAction: 'COOKIE_EXTENDED'
+            });
+            
+            if (!result.success) {
+                this.showNotification(`Failed to extend cookie: ${result.error}`, 'error');
+                return;
+            }
             
-            await chrome.cookies.set(updatedCookie);
             this.showNotification('Cookie extended by 1 hour', 'success');
             await this.loadCookies();
         } catch (error) {
@@ -328,13 +418,17 @@ class CookieGuardianPopup {
         }
     }
 
-    showCookieInfo(cookie, category) {
+    async showCookieInfo(cookie, category) {
+        const setBy = await this.getCookieSetter(cookie);
         const info = `
             <strong>Name:</strong> ${cookie.name}<br>
             <strong>Domain:</strong> ${cookie.domain}<br>
             <strong>Path:</strong> ${cookie.path}<br>
             <strong>Secure:</strong> ${cookie.secure ? 'Yes' : 'No'}<br>
             <strong>HTTP Only:</strong> ${cookie.httpOnly ? 'Yes' : 'No'}<br>
+            <strong>Store:</strong> ${CookieStores.getLabel(cookie.storeId)}<br>
+            ${cookie.partitionKey ? `<strong>Partition:</strong> ${CookieStores.getPartitionSite(cookie)}${CookieStores.isThirdPartyPartitioned(cookie) ? ' (third-party)' : ''}<br>` : ''}
+            ${setBy ? `<strong>Set by:</strong> ${CookieGuardianUtils.escapeHtml(setBy.script)}${setBy.thirdParty ? ' (third-party)' : ''}<br>` : ''}
             <strong>Category:</strong> ${category.category}<br>
             <strong>Risk Level:</strong> ${category.risk}<br>
             <strong>Description:</strong> ${category.description}
@@ -343,22 +437,38 @@ class CookieGuardianPopup {
         this.showModal('Cookie Information', info);
     }
 
+    /**
+     * Script that last wrote this cookie through document.cookie, from the access profiles
+     */
+    async getCookieSetter(cookie) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_ACCESS_PROFILES',
+                cookie: { name: cookie.name, domain: cookie.domain }
+            });
+            return response?.setBy || null;
+        } catch (error) {
+            console.error('Error loading cookie attribution:', error);
+            return null;
+        }
+    }
+
     async sanitizeNonEssential() {
         try {
             const essentialDomains = ['google.com', 'github.com', 'stackoverflow.com'];
             const currentDomain = this.currentTab?.url ? new URL(this.currentTab.url).hostname : '';
             
-            const cookies = await chrome.cookies.getAll({});
+            const cookies = await CookieStores.getAll();
             const toDelete = cookies.filter(cookie => {
                 // Keep current domain cookies
-                if (currentDomain && cookie.domain.includes(currentDomain)) return false;
+                if (currentDomain && DomainMatcher.cookieMatchesHost(cookie, currentDomain)) return false;
                 
                 // Keep essential domains
-                if (essentialDomains.some(domain => cookie.domain.includes(domain))) return false;
+                if (essentialDomains.some(domain => DomainMatcher.matchesPattern(cookie.domain, domain))) return false;
                 
                 // Keep whitelisted domains
                 if (this.whitelist.some(pattern => 
-                    new RegExp(pattern.replace(/\*/g, '.*')).test(cookie.domain)
+                    DomainMatcher.matchesPattern(cookie.domain, pattern)
                 )) return false;
                 
                 // Keep cookies from essential categories
@@ -369,12 +479,19 @@ class CookieGuardianPopup {
                 return true;
             });
             
-            for (const cookie of toDelete) {
-                const url = `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path}`;
-                await chrome.cookies.remove({ url: url, name: cookie.name });
-            }
+            const { removed, failed } = await chrome.runtime.sendMessage({
+                action: 'REMOVE_COOKIES',
+                cookies: toDelete,
+                feature: 'popup_sanitize',
+                auditAction: 'SANITIZED'
+            });
+            failed.forEach(f => console.error(`Failed to delete cookie ${f.key}:`, f.error));
             
-            this.showNotification(`Cleaned ${toDelete.length} non-essential cookies`, 'success');
+            if (failed.length > 0) {
+                this.showNotification(`Cleaned ${removed} non-essential cookies, ${failed.length} failed`, 'warning');
+            } else {
+                this.showNotification(`Cleaned ${removed} non-essential cookies`, 'success');
+            }
             await this.loadCookies();
             await this.loadCategories();
             this.updateStats();
@@ -387,7 +504,7 @@ class CookieGuardianPopup {
     async encryptSensitiveCookies() {
         try {
             const sensitiveDomains = ['bank', 'credit', 'paypal', 'stripe', 'login', 'auth'];
-            const cookies = await chrome.cookies.getAll({});
+            const cookies = await CookieStores.getAll();
             
             const toEncrypt = cookies.filter(cookie => 
                 sensitiveDomains.some(keyword => 
@@ -398,10 +515,11 @@ class CookieGuardianPopup {
             // Import encryption module
             const encryption = new CookieEncryption();
             let encryptedCount = 0;
+            let failedCount = 0;
             
             for (const cookie of toEncrypt) {
                 try {
-                    const encrypted = await encryption.encryptCookie(cookie.value, cookie.domain);
+                    const encrypted = await encryption.encryptCookie(cookie.value, cookie);
                     
                     // Store encrypted version
                     await chrome.storage.local.set({
@@ -409,19 +527,29 @@ class CookieGuardianPopup {
                     });
                     
                     // Update cookie with encrypted reference
-                    const updatedCookie = {
-                        ...cookie,
-                        value: `ENCRYPTED_REF_${cookie.domain}_${cookie.name}`
-                    };
+                    const result = await chrome.runtime.sendMessage({
+                        action: 'SET_COOKIE',
+                        cookie,
+                        changes: { value: `ENCRYPTED_REF_${cookie.domain}_${cookie.name}` },
+                        feature: 'popup_encrypt',
+                        auditAction: 'ENCRYPTED'
+                    });
                     
-                    await chrome.cookies.set(updatedCookie);
+                    if (!result.success) {
+                        throw new Error(result.error);
+                    }
                     encryptedCount++;
                 } catch (error) {
+                    failedCount++;
                     console.error(`Failed to encrypt cookie ${cookie.name}:`, error);
                 }
             }
             
-            this.showNotification(`Encrypted ${encryptedCount} sensitive cookies`, 'success');
+            if (failedCount > 0) {
+                this.showNotification(`Encrypted ${encryptedCount} sensitive cookies, ${failedCount} failed`, 'warning');
+            } else {
+                this.showNotification(`Encrypted ${encryptedCount} sensitive cookies`, 'success');
+            }
             await this.loadCookies();
         } catch (error) {
             console.error('Error encrypting cookies:', error);
@@ -574,6 +702,18 @@ class CookieGuardianPopup {
                 });
             }
             
+            // Cookie store picker
+            const storeSelect = document.getElementById('storeSelect');
+            if (storeSelect) {
+                storeSelect.addEventListener('change', async () => {
+                    this.selectedStoreId = storeSelect.value;
+                    await this.loadRules();
+                    await this.loadCookies();
+                    await this.loadCategories();
+                    this.updateStats();
+                });
+            }
+            
             // Sanitize button
             const sanitizeBtn = document.getElementById('sanitizeBtn');
             if (sanitizeBtn) {
@@ -591,7 +731,7 @@ class CookieGuardianPopup {
                         }
                         
                         const domain = new URL(this.currentTab.url).hostname;
-                        const cookies = await chrome.cookies.getAll({ domain });
+                        const cookies = await CookieStores.getAll({ domain, storeId: this.selectedStoreId });
                         
                         for (const cookie of cookies) {
                             await this.extendCookie(cookie);
@@ -641,76 +781,15 @@ class CookieGuardianPopup {
                 optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
             }
             
-            // Backup button
-            const backupBtn = document.getElementById('backupBtn');
-            if (backupBtn) {
-                backupBtn.addEventListener('click', async () => {
-                    try {
-                        if (typeof SyncManager === 'undefined') {
-                            this.showNotification('Sync module not available', 'error');
-                            return;
-                        }
-                        
-                        const syncManager = new SyncManager();
-                        const backup = await syncManager.exportBackup();
-                        
-                        // Trigger download
-                        const dataStr = JSON.stringify(backup, null, 2);
-                        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
-                        
-                const link = document.createElement('a');
-                link.setAttribute('href', dataUri);
-                link.setAttribute('download', `cookie-guardian-backup-${new Date().toISOString().split('T')[0]}.json`);
-                link.click();
-                
-                this.showNotification('Backup created successfully', 'success');
-                    } catch (error) {
-                        console.error('Error creating backup:', error);
-                        this.showNotification('Failed to create backup', 'error');
-                    }
-                });
-            }
-            
-            // Restore button
-            const restoreBtn = document.getElementById('restoreBtn');
-            if (restoreBtn) {
-                restoreBtn.addEventListener('click', () => {
-                    if (typeof SyncManager === 'undefined') {
-                        this.showNotification('Sync module not available', 'error');
-                        return;
-                    }
-                    
-                    const input = document.createElement('input');
-                    input.type = 'file';
-                    input.accept = '.json';
-                    
-                    input.onchange = async (e) => {
-                        const file = e.target.files[0];
-                        const reader = new FileReader();
-                        
-                        reader.onload = async (event) => {
-                            try {
-                                const backup = JSON.parse(event.target.result);
-                                const syncManager = new SyncManager();
-                                await syncManager.importBackup(backup);
-                                
-                                this.showNotification('Backup restored successfully', 'success');
-                                await this.loadCookies();
-                                await this.loadRules();
-                                await this.loadCategories();
-                                await this.loadSyncStatus();
-                            } catch (error) {
-                                console.error('Error restoring backup:', error);
-                                this.showNotification('Failed to restore backup. Invalid format.', 'error');
-                            }
-                        };
-                        
-                        reader.readAsText(file);
-                    };
-                    
-                    input.click();
-                });
-            }
+            // Backup and restore need a passphrase and a preview, which live on the options page
+            ['backupBtn', 'restoreBtn'].forEach(id => {
+                const button = document.getElementById(id);
+                if (button) {
+                    button.addEventListener('click', () => {
+                        chrome.tabs.create({ url: chrome.runtime.getURL('options.html#backup') });
+                    });
+                }
+            });
             
             // Toggle sync button
             const toggleSyncBtn = document.getElementById('toggleSyncBtn');
@@ -721,14 +800,11 @@ class CookieGuardianPopup {
                         const syncSettings = data.syncSettings || { enabled: false };
                         
                         if (syncSettings.enabled) {
-                            // Disable sync
-                            await chrome.storage.local.set({
-                                syncSettings: { enabled: false }
-                            });
+                            await chrome.runtime.sendMessage({ action: 'DISABLE_SYNC' });
                             this.showNotification('Sync disabled', 'info');
                         } else {
-                            // Enable sync - show setup modal
-                            this.showSyncSetupModal();
+                            // The transport and endpoint are set up on the options page
+                            chrome.tabs.create({ url: chrome.runtime.getURL('options.html#backup') });
                         }
                         
                         await this.loadSyncStatus();
@@ -743,114 +819,6 @@ class CookieGuardianPopup {
         }
     }
 
-    showSyncSetupModal() {
-        const overlay = document.createElement('div');
-        overlay.className = 'modal-overlay';
-        overlay.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.7);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            z-index: 10000;
-            animation: fadeIn 0.3s ease;
-        `;
-        
-        const modal = document.createElement('div');
-        modal.className = 'modal-content';
-        modal.style.cssText = `
-            background: var(--card-bg);
-            border-radius: 12px;
-            padding: 25px;
-            max-width: 400px;
-            width: 90%;
-            border: 1px solid var(--border-color);
-            animation: slideIn 0.3s ease;
-        `;
-        
-        modal.innerHTML = `
-            <div class="modal-header">
-                <h3 style="margin: 0 0 15px 0; color: var(--light);">Enable Cloud Sync</h3>
-                <button class="close-modal" style="background: none; border: none; color: var(--gray); cursor: pointer;">
-                    <i class="fas fa-times"></i>
-                </button>
-            </div>
-            <div class="modal-body" style="color: var(--light);">
-                <p style="margin-bottom: 20px;">Sync your cookie rules and settings across browsers.</p>
-                <div class="form-group" style="margin-bottom: 15px;">
-                    <label style="display: block; margin-bottom: 5px; font-size: 14px;">Email Address</label>
-                    <input type="email" id="syncEmail" 
-                           style="width: 100%; padding: 10px; background: rgba(255,255,255,0.1); 
-                                  border: 1px solid var(--border-color); border-radius: 6px; 
-                                  color: var(--light);">
-                </div>
-                <div class="form-group" style="margin-bottom: 20px;">
-                    <label style="display: block; margin-bottom: 5px; font-size: 14px;">Password</label>
-                    <input type="password" id="syncPassword" 
-                           style="width: 100%; padding: 10px; background: rgba(255,255,255,0.1); 
-                                  border: 1px solid var(--border-color); border-radius: 6px; 
-                                  color: var(--light);">
-                </div>
-                <p style="font-size: 12px; color: var(--gray); margin-bottom: 20px;">
-                    Your data will be encrypted end-to-end. We never see your cookie data.
-                </p>
-            </div>
-            <div class="modal-footer" style="display: flex; gap: 10px; justify-content: flex-end;">
-                <button class="btn-secondary" id="cancelSync" style="padding: 8px 16px;">Cancel</button>
-                <button class="btn-primary" id="setupSync" style="padding: 8px 16px;">Setup Sync</button>
-            </div>
-        `;
-        
-        overlay.appendChild(modal);
-        document.body.appendChild(overlay);
-        
-        // Add event listeners
-        const closeModal = () => overlay.remove();
-        
-        overlay.querySelector('.close-modal').addEventListener('click', closeModal);
-        overlay.querySelector('#cancelSync').addEventListener('click', closeModal);
-        
-        overlay.querySelector('#setupSync').addEventListener('click', async () => {
-            const email = overlay.querySelector('#syncEmail').value;
-            const password = overlay.querySelector('#syncPassword').value;
-            
-            if (!email || !password) {
-                this.showNotification('Please fill in all fields', 'error');
-                return;
-            }
-            
-            try {
-                // In a real implementation, this would call your backend
-                // For now, we'll simulate success
-                const authToken = btoa(`${email}:${password}`);
-                
-                await chrome.storage.local.set({
-                    syncSettings: {
-                        enabled: true,
-                        authToken,
-                        email,
-                        lastSync: new Date().toISOString()
-                    }
-                });
-                
-                this.showNotification('Sync enabled successfully', 'success');
-                closeModal();
-                await this.loadSyncStatus();
-            } catch (error) {
-                console.error('Error enabling sync:', error);
-                this.showNotification('Failed to enable sync', 'error');
-            }
-        });
-        
-        overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) closeModal();
-        });
-    }
-
     startRealtimeUpdates() {
         // Update timers every second
         setInterval(() => {
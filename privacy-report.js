@@ -13,9 +13,10 @@ class PrivacyReport {
     }
 
     async loadData() {
-        const cookies = await chrome.cookies.getAll({});
+        const cookies = await CookieStores.getAll();
         const rules = await chrome.storage.local.get(['siteRules']);
         const auditLog = await chrome.storage.local.get(['auditLog']);
+        await this.categorizer.ready;
         
         this.data = {
             cookies,
@@ -23,6 +24,8 @@ class PrivacyReport {
             auditLog: auditLog.auditLog || [],
             categorizedCookies: this.categorizeAllCookies(cookies)
         };
+        // Resolves like the background does, so "protected" means a rule other than the default applies
+        this.ruleEngine = new RuleEngine(RuleSchema.migrate(this.data.rules, RuleSchema.VERSION, {}).rules);
     }
 
     categorizeAllCookies(cookies) {
@@ -54,6 +57,9 @@ class PrivacyReport {
         document.getElementById('encryptedCount').textContent = 
             Object.values(this.data.rules).filter(rule => rule.encrypt).length;
         
+        document.getElementById('thirdPartyPartitioned').textContent = 
+            this.data.cookies.filter(c => CookieStores.isThirdPartyPartitioned(c)).length;
+        
         // Calculate privacy score
         const score = this.calculatePrivacyScore();
         document.getElementById('privacyScore').textContent = score;
@@ -131,12 +137,13 @@ class PrivacyReport {
             });
         }
         
-        // Sites without encryption
-        const sitesWithCookies = [...new Set(categorized.map(c => c.domain))];
-        const sitesWithRules = Object.keys(this.data.rules);
-        const unprotectedSites = sitesWithCookies.filter(site => 
-            !sitesWithRules.some(rule => site.includes(rule))
-        );
+        // Sites only the default rule (or no rule) covers
+        const unprotectedSites = [...new Set(categorized
+            .filter(c => {
+                const resolution = this.ruleEngine.resolve(c.domain, c.storeId);
+                return !resolution.rule || resolution.matchType === 'default';
+            })
+            .map(c => c.domain))];
         
         if (unprotectedSites.length > 3) {
             risks.push({
@@ -149,6 +156,20 @@ class PrivacyReport {
             });
         }
         
+        // Third parties keeping state under other sites' partitions
+        const partitionedTrackers = this.data.cookies.filter(c => CookieStores.isThirdPartyPartitioned(c));
+        if (partitionedTrackers.length > 0) {
+            const sites = new Set(partitionedTrackers.map(c => CookieStores.getPartitionSite(c)));
+            risks.push({
+                level: 'medium',
+                icon: 'layer-group',
+                title: 'Third-Party Partitioned Cookies',
+                description: `${partitionedTrackers.length} embedded third-party cookies across ${sites.size} top-level sites`,
+                action: 'addProtectionRules()',
+                actionText: 'Review'
+            });
+        }
+        
         return risks;
     }
 
@@ -353,6 +374,8 @@ class PrivacyReport {
             totalCookies: this.data.cookies.length,
             protectedCookies: this.data.categorizedCookies.filter(c => c.category.risk === 'low').length,
             trackersBlocked: this.data.categorizedCookies.filter(c => c.category.category === 'advertising').length,
+            partitionedCookies: this.data.cookies.filter(c => c.partitionKey).length,
+            thirdPartyPartitioned: this.data.cookies.filter(c => CookieStores.isThirdPartyPartitioned(c)).length,
             encryptedSites: Object.values(this.data.rules).filter(rule => rule.encrypt).length
         };
     }
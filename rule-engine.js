@@ -0,0 +1,168 @@
+// rule-engine.js - Site rule resolution with explicit precedence
+class RuleEngine {
+    constructor(rules = {}) {
+        // Higher values win; a rule's tier is decided per lookup, not per rule
+        this.precedence = {
+            exact: 4,
+            suffix: 3,
+            wildcard: 2,
+            pattern: 1,
+            default: 0
+        };
+        this.priorityWeights = { high: 3, medium: 2, low: 1 };
+        this.entries = [];
+        this.defaultEntry = null;
+        this.compile(rules);
+    }
+
+    compile(rules) {
+        this.entries = [];
+        this.defaultEntry = null;
+
+        Object.entries(rules || {}).forEach(([key, rule], index) => {
+            if (!rule || typeof rule !== 'object') return;
+
+            if (key === '*') {
+                this.defaultEntry = { key, rule, kind: 'default', index };
+                return;
+            }
+
+            const entry = this.compileEntry(key, rule, index);
+            if (entry) {
+                this.entries.push(entry);
+            }
+        });
+    }
+
+    compileEntry(key, rule, index) {
+        if (rule.pattern instanceof RegExp) {
+            return { key, rule, kind: 'pattern', regex: rule.pattern, index };
+        }
+
+        const host = DomainMatcher.normalizeHost(key);
+
+        if (host.includes('*')) {
+            return { key, rule, kind: 'wildcard', pattern: host, index };
+        }
+
+        if (host.includes('.')) {
+            // A rule keyed on a public suffix (e.g. "co.uk") must not cover every site under it
+            const allowSubdomains = DomainMatcher.getRegistrableDomain(host) !== null;
+            return { key, rule, kind: 'host', host, allowSubdomains, index };
+        }
+
+        // Named rules (e.g. 'banking') only match through their pattern
+        return null;
+    }
+
+    resolve(domain, storeId) {
+        const host = DomainMatcher.normalizeHost(domain);
+        const candidates = [];
+
+        for (const entry of this.entries) {
+            if (!this.appliesToStore(entry.rule, storeId)) continue;
+
+            const matchType = this.matchEntry(entry, host);
+            if (matchType) {
+                candidates.push({ entry, matchType });
+            }
+        }
+
+        if (candidates.length === 0) {
+            if (!this.defaultEntry || !this.appliesToStore(this.defaultEntry.rule, storeId)) {
+                return {
+                    key: null,
+                    rule: null,
+                    matchType: null,
+                    explanation: `No rule matched ${host} and no default rule is configured`,
+                    overridden: []
+                };
+            }
+
+            return {
+                key: '*',
+                rule: this.defaultEntry.rule,
+                matchType: 'default',
+                explanation: `No site rule matched ${host}; using the default rule`,
+                overridden: []
+            };
+        }
+
+        candidates.sort((a, b) => this.compareCandidates(a, b));
+        const [winner, ...losers] = candidates;
+
+        return {
+            key: winner.entry.key,
+            rule: winner.entry.rule,
+            matchType: winner.matchType,
+            explanation: this.explain(winner, losers, host),
+            overridden: losers.map(c => c.entry.key).concat(this.defaultEntry ? ['*'] : [])
+        };
+    }
+
+    matchEntry(entry, host) {
+        switch (entry.kind) {
+            case 'host':
+                if (host === entry.host) return 'exact';
+                if (entry.allowSubdomains && DomainMatcher.isSameOrSubdomain(host, entry.host)) return 'suffix';
+                return null;
+            case 'wildcard':
+                return DomainMatcher.matchesPattern(host, entry.pattern) ? 'wildcard' : null;
+            case 'pattern':
+                // Stateful (g/y) patterns would otherwise skip matches on later calls
+                entry.regex.lastIndex = 0;
+                return entry.regex.test(host) ? 'pattern' : null;
+            default:
+                return null;
+        }
+    }
+
+    appliesToStore(rule, storeId) {
+        // Rules without storeIds cover every store; so does a lookup without a store
+        if (!Array.isArray(rule.storeIds) || rule.storeIds.length === 0) return true;
+        if (storeId === undefined || storeId === null) return true;
+        return rule.storeIds.includes(storeId);
+    }
+
+    compareCandidates(a, b) {
+        const tier = this.precedence[b.matchType] - this.precedence[a.matchType];
+        if (tier !== 0) return tier;
+
+        const priority = this.getPriorityWeight(b.entry.rule) - this.getPriorityWeight(a.entry.rule);
+        if (priority !== 0) return priority;
+
+        // More specific keys win ties, then the rule that was defined first
+        const specificity = b.entry.key.length - a.entry.key.length;
+        if (specificity !== 0) return specificity;
+
+        return a.entry.index - b.entry.index;
+    }
+
+    explain(winner, losers, host) {
+        const reasons = {
+            exact: `exact host match for ${host}`,
+            suffix: `${host} is a subdomain of ${winner.entry.host}`,
+            wildcard: `wildcard "${winner.entry.key}" matched ${host}`,
+            pattern: `pattern ${winner.entry.regex} matched ${host}`
+        };
+
+        let explanation = `Rule "${winner.entry.key}" applies: ${reasons[winner.matchType]}`;
+
+        if (Array.isArray(winner.entry.rule.storeIds) && winner.entry.rule.storeIds.length > 0) {
+            explanation += ` in store ${winner.entry.rule.storeIds.join(', ')}`;
+        }
+
+        if (losers.length > 0) {
+            const runnerUp = losers[0];
+            const tieBroken = this.precedence[runnerUp.matchType] === this.precedence[winner.matchType];
+            const why = tieBroken ? 'priority and specificity' : `${winner.matchType} outranks ${runnerUp.matchType}`;
+            explanation += ` (won over ${losers.map(c => `"${c.entry.key}"`).join(', ')} by ${why})`;
+        }
+
+        return explanation;
+    }
+
+    getPriorityWeight(rule) {
+        return this.priorityWeights[rule.priority] || this.priorityWeights.medium;
+    }
+}
@@ -0,0 +1,142 @@
+// rule-schema.js - Versioned storage format for site rules
+// RegExp patterns do not survive chrome.storage (they serialize to {}), so rules are
+// persisted with patterns as { source, flags } and rehydrated when loaded.
+class RuleSchema {
+    static serializeRules(rules) {
+        const serialized = {};
+        Object.entries(rules || {}).forEach(([key, rule]) => {
+            serialized[key] = RuleSchema.serializeRule(rule);
+        });
+        return serialized;
+    }
+
+    static serializeRule(rule) {
+        if (!rule || rule.pattern === undefined) return rule;
+
+        const pattern = rule.pattern instanceof RegExp
+            ? { source: rule.pattern.source, flags: rule.pattern.flags }
+            : rule.pattern;
+        return { ...rule, pattern };
+    }
+
+    static hydrateRule(rule) {
+        if (!rule || rule.pattern === undefined) return rule;
+        return { ...rule, pattern: RuleSchema.compilePattern(rule.pattern) };
+    }
+
+    static compilePattern(pattern) {
+        if (pattern instanceof RegExp) return pattern;
+
+        let source = null;
+        let flags = '';
+
+        if (typeof pattern === 'string') {
+            source = pattern;
+        } else if (pattern && typeof pattern.source === 'string') {
+            source = pattern.source;
+            flags = typeof pattern.flags === 'string' ? pattern.flags : '';
+        }
+
+        if (!source) {
+            throw new Error('Pattern is missing its source');
+        }
+
+        try {
+            return new RegExp(source, flags);
+        } catch (error) {
+            throw new Error(`Invalid pattern /${source}/${flags}: ${error.message}`);
+        }
+    }
+
+    static validateRule(rule) {
+        const errors = [];
+
+        if (!rule || typeof rule !== 'object') {
+            return ['Rule must be an object'];
+        }
+
+        if (rule.expiration !== undefined &&
+            (typeof rule.expiration !== 'number' || !Number.isFinite(rule.expiration) || rule.expiration <= 0)) {
+            errors.push('Expiration must be a positive number of minutes');
+        }
+
+        if (rule.priority !== undefined && !['low', 'medium', 'high'].includes(rule.priority)) {
+            errors.push(`Unknown priority "${rule.priority}"`);
+        }
+
+        ['encrypt', 'autoDelete'].forEach(flag => {
+            if (rule[flag] !== undefined && typeof rule[flag] !== 'boolean') {
+                errors.push(`${flag} must be true or false`);
+            }
+        });
+
+        if (rule.encryptMode !== undefined && !RuleSchema.ENCRYPT_MODES.includes(rule.encryptMode)) {
+            errors.push(`Unknown encryption mode "${rule.encryptMode}"`);
+        }
+
+        if (rule.storeIds !== undefined &&
+            (!Array.isArray(rule.storeIds) || rule.storeIds.some(id => typeof id !== 'string'))) {
+            errors.push('storeIds must be a list of cookie store IDs');
+        }
+
+        if (rule.pattern !== undefined) {
+            try {
+                RuleSchema.compilePattern(rule.pattern);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Bring stored rules up to the current version. Patterns that were flattened
+     * to {} by older builds are restored from the defaults, or dropped if unknown.
+     */
+    static migrate(storedRules, storedVersion, defaultRules) {
+        if (!storedRules || typeof storedRules !== 'object') {
+            return { rules: defaultRules, changed: true, repaired: [] };
+        }
+
+        const rules = {};
+        const repaired = [];
+
+        Object.entries(storedRules).forEach(([key, rule]) => {
+            if (!rule || typeof rule !== 'object') {
+                repaired.push(key);
+                return;
+            }
+
+            const hydrated = { ...rule };
+
+            if (rule.pattern !== undefined) {
+                try {
+                    hydrated.pattern = RuleSchema.compilePattern(rule.pattern);
+                } catch (error) {
+                    const fallback = defaultRules[key]?.pattern;
+                    if (fallback) {
+                        hydrated.pattern = fallback;
+                    } else {
+                        delete hydrated.pattern;
+                    }
+                    repaired.push(key);
+                }
+            }
+
+            rules[key] = hydrated;
+        });
+
+        return {
+            rules,
+            changed: storedVersion !== RuleSchema.VERSION || repaired.length > 0,
+            repaired
+        };
+    }
+}
+
+RuleSchema.VERSION = 2;
+// transparent: value proxied onto requests; reference: value replaced by an ENCRYPTED_REF_ marker
+RuleSchema.ENCRYPT_MODES = ['transparent', 'reference'];
+// Rules from before encryptMode existed keep encrypting by reference
+RuleSchema.DEFAULT_ENCRYPT_MODE = 'reference';
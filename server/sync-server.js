@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+// server/sync-server.js - Reference Cookie Guardian sync server (REST + minimal WebDAV)
+// No dependencies; run with `node server/sync-server.js`. Meant for local testing and as
+// a starting point for self-hosting, not as a hardened production service.
+// See server/PROTOCOL.md for the wire format.
+//
+// Environment:
+//   PORT         port to listen on (default 8787)
+//   HOST         interface to bind (default 127.0.0.1)
+//   DATA_DIR     where documents are kept (default ./sync-data)
+//   SYNC_USERS   comma-separated user:password pairs that can sign in to the REST API
+//   SYNC_TOKENS  comma-separated static bearer tokens accepted by the REST API; with neither
+//                this nor SYNC_USERS set, any token is accepted
+//   DAV_USERS    comma-separated user:password pairs for /dav/; unset = no authentication
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROTOCOL_VERSION = 2;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const ACCESS_TOKEN_TTL = 15 * 60;
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+
+const config = {
+    port: Number(process.env.PORT) || 8787,
+    host: process.env.HOST || '127.0.0.1',
+    dataDir: path.resolve(process.env.DATA_DIR || 'sync-data'),
+    tokens: splitList(process.env.SYNC_TOKENS),
+    users: splitPairs(process.env.SYNC_USERS),
+    davUsers: splitPairs(process.env.DAV_USERS)
+};
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function splitPairs(value) {
+    return new Map(splitList(value).map(pair => {
+        const separator = pair.indexOf(':');
+        return [pair.slice(0, separator), pair.slice(separator + 1)];
+    }));
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// --- Storage --------------------------------------------------------------
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Write to a temporary file and rename, so a crash never leaves half a document
+function writeFileAtomic(file, contents) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, contents);
+    fs.renameSync(temp, file);
+}
+
+function etagOf(contents) {
+    return `"${hash(contents).slice(0, 32)}"`;
+}
+
+/**
+ * Enforce If-Match / If-None-Match against the file's current contents
+ */
+function checkPrecondition(req, file) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    const ifMatch = req.headers['if-match'];
+    const ifNoneMatch = req.headers['if-none-match'];
+
+    if (ifNoneMatch === '*' && current !== null) {
+        throw new HttpError(412, 'Document already exists');
+    }
+    if (ifMatch && (current === null || ifMatch !== etagOf(current))) {
+        throw new HttpError(412, 'Document changed since it was read');
+    }
+}
+
+function documentFile(owner) {
+    // Each account or static token gets its own document; tokens are never written to disk
+    return path.join(config.dataDir, 'documents', `${hash(owner || 'anonymous')}.json`);
+}
+
+// --- Accounts and tokens --------------------------------------------------
+// Access tokens are short-lived and kept in memory only. Refresh tokens are stored hashed
+// in DATA_DIR/auth.json and rotated on every use; a rotated token presented again means it
+// leaked, so its whole family (everything issued from the same sign-in) is revoked.
+
+const accessTokens = new Map();
+const authFile = path.join(config.dataDir, 'auth.json');
+let refreshTokens = loadRefreshTokens();
+
+function loadRefreshTokens() {
+    try {
+        return JSON.parse(fs.readFileSync(authFile, 'utf8')).refreshTokens || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveRefreshTokens() {
+    const now = Date.now();
+    Object.entries(refreshTokens).forEach(([key, entry]) => {
+        if (entry.expiresAt < now) delete refreshTokens[key];
+    });
+    writeFileAtomic(authFile, JSON.stringify({ refreshTokens }));
+}
+
+function checkPassword(user, password) {
+    const expected = config.users.get(user);
+    if (expected === undefined || typeof password !== 'string') return false;
+    return crypto.timingSafeEqual(Buffer.from(hash(expected), 'hex'), Buffer.from(hash(password), 'hex'));
+}
+
+function issueTokens(user, family) {
+    const accessToken = `cga_${crypto.randomBytes(32).toString('base64url')}`;
+    const refreshToken = `cgr_${crypto.randomBytes(32).toString('base64url')}`;
+
+    accessTokens.forEach((entry, key) => {
+        if (entry.expiresAt < Date.now()) accessTokens.delete(key);
+    });
+
+    accessTokens.set(hash(accessToken), { user, family, expiresAt: Date.now() + ACCESS_TOKEN_TTL * 1000 });
+    refreshTokens[hash(refreshToken)] = { user, family, expiresAt: Date.now() + REFRESH_TOKEN_TTL * 1000 };
+    saveRefreshTokens();
+
+    return {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: ACCESS_TOKEN_TTL,
+        refresh_token: refreshToken,
+        refresh_expires_in: REFRESH_TOKEN_TTL
+    };
+}
+
+function revokeFamily(family) {
+    Object.entries(refreshTokens).forEach(([key, entry]) => {
+        if (entry.family === family) delete refreshTokens[key];
+    });
+    accessTokens.forEach((entry, key) => {
+        if (entry.family === family) accessTokens.delete(key);
+    });
+    saveRefreshTokens();
+}
+
+function grantTokens(body) {
+    switch (body.grant_type) {
+        case 'password':
+            if (!checkPassword(body.username, body.password)) {
+                throw new HttpError(400, 'invalid_grant');
+            }
+            return issueTokens(body.username, crypto.randomUUID());
+
+        case 'refresh_token': {
+            const key = hash(String(body.refresh_token || ''));
+            const entry = refreshTokens[key];
+            if (!entry || entry.expiresAt < Date.now() || !config.users.has(entry.user)) {
+                throw new HttpError(400, 'invalid_grant');
+            }
+            if (entry.rotated) {
+                revokeFamily(entry.family);
+                throw new HttpError(400, 'invalid_grant');
+            }
+
+            // Keep the old token until it expires so a replay can be recognised
+            entry.rotated = true;
+            return issueTokens(entry.user, entry.family);
+        }
+
+        default:
+            throw new HttpError(400, 'unsupported_grant_type');
+    }
+}
+
+// Revoking either token of a sign-in ends the whole sign-in (RFC 7009: unknown tokens are not an error)
+function revokeToken(token) {
+    const key = hash(String(token || ''));
+    const entry = refreshTokens[key] || accessTokens.get(key);
+    if (entry) revokeFamily(entry.family);
+}
+
+function davFile(user, name) {
+    if (!/^[A-Za-z0-9._-]+$/.test(name) || name.startsWith('.')) {
+        throw new HttpError(400, 'Invalid file name');
+    }
+    return path.join(config.dataDir, 'dav', hash(user || 'anonymous'), name);
+}
+
+// --- HTTP helpers ---------------------------------------------------------
+
+function send(res, status, body, headers = {}) {
+    const payload = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, If-Match, If-None-Match',
+        'Access-Control-Allow-Methods': 'GET, PUT, POST, PROPFIND, OPTIONS',
+        'Access-Control-Expose-Headers': 'ETag',
+        ...(typeof body === 'object' ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+    });
+    res.end(payload);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+async function readJsonBody(req) {
+    try {
+        return JSON.parse(await readBody(req));
+    } catch (error) {
+        if (error instanceof HttpError) throw error;
+        throw new HttpError(400, 'Body is not valid JSON');
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Who owns the requested document: an account signed in with an access token, or a
+ * static token
+ */
+function documentOwner(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const token = match ? match[1] : null;
+
+    if (token && token.startsWith('cga_')) {
+        const entry = accessTokens.get(hash(token));
+        if (!entry || entry.expiresAt < Date.now()) {
+            throw new HttpError(401, 'Access token expired or revoked');
+        }
+        return `user:${entry.user}`;
+    }
+
+    const open = config.tokens.length === 0 && config.users.size === 0;
+    if (!open && !config.tokens.includes(token)) {
+        throw new HttpError(401, 'Invalid or missing token');
+    }
+    return token;
+}
+
+function basicUser(req) {
+    if (config.davUsers.size === 0) return null;
+
+    const match = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    const [user, password] = match
+        ? Buffer.from(match[1], 'base64').toString('utf8').split(/:(.*)/s)
+        : [];
+
+    if (!user || config.davUsers.get(user) !== password) {
+        throw new HttpError(401, 'Invalid or missing credentials');
+    }
+    return user;
+}
+
+// --- REST API -------------------------------------------------------------
+
+async function handleRest(req, res, pathname) {
+    if (pathname === '/v1/health' && req.method === 'GET') {
+        return send(res, 200, { ok: true, protocol: PROTOCOL_VERSION, accounts: config.users.size > 0 });
+    }
+
+    if (pathname === '/v1/auth/token' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        if (!isObject(body)) throw new HttpError(400, 'invalid_request');
+        return send(res, 200, grantTokens(body), { 'Cache-Control': 'no-store' });
+    }
+
+    if (pathname === '/v1/auth/revoke' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        revokeToken(isObject(body) ? body.token : null);
+        return send(res, 200, {});
+    }
+
+    if (pathname !== '/v1/document') {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const file = documentFile(documentOwner(req));
+
+    switch (req.method) {
+        case 'GET': {
+            if (!fs.existsSync(file)) throw new HttpError(404, 'No document yet');
+            const contents = fs.readFileSync(file, 'utf8');
+            return send(res, 200, contents, { 'Content-Type': 'application/json', 'ETag': etagOf(contents) });
+        }
+
+        case 'PUT': {
+            const body = await readJsonBody(req);
+            if (!isObject(body) || !isObject(body.data)) {
+                throw new HttpError(400, 'Document must have a data object');
+            }
+            if (body.revisions !== undefined && !isObject(body.revisions)) {
+                throw new HttpError(400, 'revisions must be an object');
+            }
+
+            checkPrecondition(req, file);
+            const contents = storeDocument(file, body);
+            return send(res, 200, { updatedAt: body.updatedAt }, { 'ETag': etagOf(contents) });
+        }
+
+        default:
+            throw new HttpError(405, 'Method not allowed');
+    }
+}
+
+// The server does not merge; clients pull, merge and push back with If-Match
+function storeDocument(file, body) {
+    const contents = JSON.stringify({
+        data: body.data,
+        revisions: body.revisions,
+        updatedAt: typeof body.updatedAt === 'string' ? body.updatedAt : new Date().toISOString(),
+        deviceId: typeof body.deviceId === 'string' ? body.deviceId : null,
+        receivedAt: new Date().toISOString()
+    });
+    writeFileAtomic(file, contents);
+    return contents;
+}
+
+// --- WebDAV (just enough for the extension's WebDAV transport) -------------
+
+// A stray % in the URL is the client's mistake, not a server error
+function decodePath(path) {
+    try {
+        return decodeURIComponent(path);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed path');
+    }
+}
+
+async function handleDav(req, res, pathname) {
+    const user = basicUser(req);
+    const name = decodePath(pathname.slice('/dav/'.length));
+
+    switch (req.method) {
+        case 'PROPFIND': {
+            if (name) throw new HttpError(404, 'Only the collection can be listed');
+            const xml = '<?xml version="1.0" encoding="utf-8"?>' +
+                '<d:multistatus xmlns:d="DAV:"><d:response><d:href>/dav/</d:href>' +
+                '<d:propstat><d:prop><d:resourcetype><d:collection/></d:resourcetype></d:prop>' +
+                '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response></d:multistatus>';
+            return send(res, 207, xml, { 'Content-Type': 'application/xml; charset=utf-8' });
+        }
+
+        case 'GET': {
+            const file = davFile(user, name);
+            if (!fs.existsSync(file)) throw new HttpError(404, 'Not found');
+            const contents = fs.readFileSync(file, 'utf8');
+            return send(res, 200, contents, { 'Content-Type': 'application/json', 'ETag': etagOf(contents) });
+        }
+
+        case 'PUT': {
+            const file = davFile(user, name);
+            const existed = fs.existsSync(file);
+            const contents = await readBody(req);
+            checkPrecondition(req, file);
+            writeFileAtomic(file, contents);
+            return send(res, existed ? 204 : 201, undefined, { 'ETag': etagOf(contents) });
+        }
+
+        default:
+            throw new HttpError(405, 'Method not allowed');
+    }
+}
+
+// --- Server ---------------------------------------------------------------
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+        if (req.method === 'OPTIONS') {
+            return send(res, 204);
+        }
+        if (pathname === '/dav' || pathname.startsWith('/dav/')) {
+            return await handleDav(req, res, pathname === '/dav' ? '/dav/' : pathname);
+        }
+        return await handleRest(req, res, pathname);
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) console.error(error);
+        send(res, status, { error: status === 500 ? 'Internal error' : error.message });
+    } finally {
+        console.log(`${new Date().toISOString()} ${req.method} ${pathname} ${res.statusCode}`);
+    }
+});
+
+server.listen(config.port, config.host, () => {
+    console.log(`Cookie Guardian sync server listening on http://${config.host}:${config.port}`);
+    console.log(`Data directory: ${config.dataDir}`);
+    if (config.tokens.length === 0 && config.users.size === 0) {
+        console.log('Neither SYNC_USERS nor SYNC_TOKENS is set: any bearer token is accepted (each gets its own document)');
+    }
+});
@@ -0,0 +1,198 @@
+// set-cookie-observer.js - Which response set a cookie, from the Set-Cookie headers the browser received
+// chrome.cookies.onChanged says what changed but not which request caused it. Set-Cookie
+// headers are read here (they need the extraHeaders option) and kept for a few seconds,
+// until the matching change event claims them, so the audit entry can name the response
+// URL, its initiator and whether it was a third-party response. Cookie values are not kept.
+// The top-level site of each tab is mirrored to chrome.storage.session, so subresource
+// responses are still judged against it after the service worker restarts.
+class SetCookieObserver {
+    constructor(options = {}) {
+        this.ttl = options.ttl || 5000;
+        this.pending = new Map();
+        this.tabSites = new Map();
+        this.ready = Promise.resolve();
+        // Called with every cookie a response sets or deletes, before the jar changes
+        this.onSetCookie = null;
+        this.extensionOrigin = chrome.runtime.getURL('').replace(/\/$/, '');
+    }
+
+    start() {
+        this.ready = this.loadTabSites();
+        chrome.webRequest.onHeadersReceived.addListener(
+            (details) => {
+                this.observe(details).catch(error => console.error('Error observing Set-Cookie headers:', error));
+            },
+            { urls: ['http://*/*', 'https://*/*'] },
+            ['responseHeaders', 'extraHeaders']
+        );
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            if (this.tabSites.delete(tabId)) this.saveTabSites();
+        });
+    }
+
+    async loadTabSites() {
+        try {
+            const data = await chrome.storage.session.get([SetCookieObserver.TAB_SITES_KEY]);
+            Object.entries(data[SetCookieObserver.TAB_SITES_KEY] || {}).forEach(([tabId, site]) => {
+                // Navigations seen while loading are newer
+                if (!this.tabSites.has(Number(tabId))) this.tabSites.set(Number(tabId), site);
+            });
+        } catch (error) {
+            console.error('Error loading tab sites:', error);
+        }
+    }
+
+    saveTabSites() {
+        chrome.storage.session.set({ [SetCookieObserver.TAB_SITES_KEY]: Object.fromEntries(this.tabSites) })
+            .catch(error => console.error('Error saving tab sites:', error));
+    }
+
+    async observe(details) {
+        // Responses to the extension's own requests (sync, for example) are not the sites'
+        if (details.initiator === this.extensionOrigin) return;
+
+        const site = SetCookieObserver.siteOf(details.url);
+        if (details.type === 'main_frame' && details.tabId >= 0 && this.tabSites.get(details.tabId) !== site) {
+            this.tabSites.set(details.tabId, site);
+            this.saveTabSites();
+        }
+
+        const headers = (details.responseHeaders || [])
+            .filter(header => header.name.toLowerCase() === 'set-cookie' && header.value);
+        if (headers.length === 0) return;
+
+        await this.ready;
+        const url = new URL(details.url);
+        const topSite = details.type === 'main_frame'
+            ? site
+            : this.tabSites.get(details.tabId) || SetCookieObserver.siteOf(details.initiator);
+        const now = Date.now();
+
+        headers.forEach(header => {
+            const parsed = SetCookieObserver.parse(header.value);
+            if (!parsed) return;
+
+            this.prune(now);
+            const host = parsed.attributes.domain || url.hostname;
+            if (this.onSetCookie) {
+                this.onSetCookie({
+                    name: parsed.name,
+                    domain: host,
+                    hostOnly: !parsed.attributes.domain,
+                    path: parsed.attributes.path || SetCookieObserver.defaultPath(url.pathname),
+                    deleted: SetCookieObserver.isDeletion(parsed.attributes, now)
+                });
+            }
+            this.pending.set(SetCookieObserver.key(parsed.name, host), {
+                url: url.origin + url.pathname,
+                initiator: details.initiator || null,
+                resourceType: details.type,
+                thirdParty: !!topSite && site !== topSite,
+                attributes: parsed.attributes,
+                expires: now + this.ttl
+            });
+        });
+    }
+
+    /**
+     * The Set-Cookie observation behind this cookie change, or null if none was seen
+     */
+    claim(cookie) {
+        const key = SetCookieObserver.key(cookie.name, cookie.domain);
+        const entry = this.pending.get(key);
+        if (!entry) return null;
+
+        this.pending.delete(key);
+        if (entry.expires < Date.now()) return null;
+
+        const { expires, ...observation } = entry;
+        return observation;
+    }
+
+    prune(now) {
+        if (this.pending.size < SetCookieObserver.MAX_PENDING) return;
+        this.pending.forEach((entry, key) => {
+            if (entry.expires < now) this.pending.delete(key);
+        });
+        // Still full: drop the oldest observations
+        for (const key of this.pending.keys()) {
+            if (this.pending.size < SetCookieObserver.MAX_PENDING) break;
+            this.pending.delete(key);
+        }
+    }
+
+    /**
+     * Name and attributes of a Set-Cookie header value; the value itself is dropped
+     */
+    static parse(header) {
+        const [pair, ...parts] = header.split(';');
+        const separator = pair.indexOf('=');
+        const name = (separator === -1 ? '' : pair.slice(0, separator)).trim();
+        if (separator === -1 && !pair.trim()) return null;
+
+        const attributes = { secure: false, httpOnly: false, partitioned: false };
+        parts.forEach(part => {
+            const index = part.indexOf('=');
+            const key = (index === -1 ? part : part.slice(0, index)).trim().toLowerCase();
+            const value = index === -1 ? '' : part.slice(index + 1).trim();
+
+            switch (key) {
+                case 'domain':
+                    if (value) attributes.domain = value.replace(/^\./, '').toLowerCase();
+                    break;
+                case 'path':
+                    if (value.startsWith('/')) attributes.path = value;
+                    break;
+                case 'expires':
+                    if (!Number.isNaN(Date.parse(value))) attributes.expires = new Date(value).toISOString();
+                    break;
+                case 'max-age':
+                    if (/^-?\d+$/.test(value)) attributes.maxAge = Number(value);
+                    break;
+                case 'samesite':
+                    attributes.sameSite = value.toLowerCase();
+                    break;
+                case 'secure':
+                    attributes.secure = true;
+                    break;
+                case 'httponly':
+                    attributes.httpOnly = true;
+                    break;
+                case 'partitioned':
+                    attributes.partitioned = true;
+                    break;
+            }
+        });
+
+        return { name, attributes };
+    }
+
+    /**
+     * Path a cookie gets when Set-Cookie names none (RFC 6265 5.1.4)
+     */
+    static defaultPath(pathname) {
+        const index = (pathname || '').lastIndexOf('/');
+        return index > 0 ? pathname.slice(0, index) : '/';
+    }
+
+    static isDeletion(attributes, now) {
+        if (attributes.maxAge !== undefined) return attributes.maxAge <= 0;
+        return attributes.expires !== undefined && Date.parse(attributes.expires) <= now;
+    }
+
+    static key(name, domain) {
+        return `${name}|${DomainMatcher.normalizeHost(domain)}`;
+    }
+
+    static siteOf(url) {
+        try {
+            const host = new URL(url).hostname;
+            return DomainMatcher.getRegistrableDomain(host) || host;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+SetCookieObserver.MAX_PENDING = 500;
+SetCookieObserver.TAB_SITES_KEY = 'tabSites';
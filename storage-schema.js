@@ -0,0 +1,426 @@
+// storage-schema.js - JSON-Schema-style definitions for everything kept in chrome.storage
+// Used to check data coming from outside the extension (backups, rule files) before it is
+// written. The validator implements the subset of JSON Schema these definitions use:
+// type, enum, const, properties, required, additionalProperties, items, anyOf, minimum,
+// exclusiveMinimum, maximum, minLength, maxItems, pattern, format and $ref.
+class StorageSchema {
+    /**
+     * Validate a value against a schema; returns a list of { path, message }
+     */
+    static validate(value, schema, path = '') {
+        const errors = [];
+        const fail = message => errors.push({ path: path || '(root)', message });
+
+        if (schema.$ref) {
+            const definition = StorageSchema.resolve(schema.$ref);
+            return StorageSchema.validate(value, definition, path);
+        }
+
+        if (schema.anyOf) {
+            const matches = schema.anyOf.some(option => StorageSchema.validate(value, option, path).length === 0);
+            if (!matches) fail(schema.description || 'does not match any allowed form');
+            return errors;
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => StorageSchema.isType(value, type))) {
+                fail(`must be ${types.join(' or ')}`);
+                return errors;
+            }
+        }
+
+        if (schema.const !== undefined && value !== schema.const) {
+            fail(`must be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                fail(`must be > ${schema.exclusiveMinimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(`must be at least ${schema.minLength} character(s)`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail(`must match ${schema.pattern}`);
+            }
+            if (schema.format) {
+                const problem = StorageSchema.checkFormat(value, schema.format);
+                if (problem) fail(problem);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail(`must have at most ${schema.maxItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...StorageSchema.validate(item, schema.items, `${path}[${index}]`));
+                });
+            }
+        }
+
+        if (StorageSchema.isType(value, 'object')) {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) fail(`is missing "${key}"`);
+            });
+
+            Object.entries(value).forEach(([key, child]) => {
+                const childPath = path ? `${path}.${key}` : key;
+                if (schema.properties?.[key]) {
+                    errors.push(...StorageSchema.validate(child, schema.properties[key], childPath));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: 'is not allowed' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...StorageSchema.validate(child, schema.additionalProperties, childPath));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate the value stored under a storage key; unknown keys are an error
+     */
+    static validateKey(key, value) {
+        const schema = StorageSchema.schemaForKey(key);
+        if (!schema) return [{ path: key, message: 'is not a known storage key' }];
+        return StorageSchema.validate(value, schema, key);
+    }
+
+    static schemaForKey(key) {
+        if (key.startsWith('encrypted_')) return StorageSchema.DEFINITIONS.encryptedRecord;
+        return StorageSchema.KEYS[key] || null;
+    }
+
+    static resolve(ref) {
+        const name = ref.replace('#/definitions/', '');
+        const definition = StorageSchema.DEFINITIONS[name];
+        if (!definition) throw new Error(`Unknown schema reference ${ref}`);
+        return definition;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    static checkFormat(value, format) {
+        switch (format) {
+            case 'regex':
+                try {
+                    new RegExp(value);
+                    return null;
+                } catch (error) {
+                    return `is not a valid regular expression: ${error.message}`;
+                }
+            case 'date-time':
+                return Number.isNaN(Date.parse(value)) ? 'is not a valid date' : null;
+            case 'base64':
+                return /^[A-Za-z0-9+/]*={0,2}$/.test(value) ? null : 'is not base64';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Flatten errors into readable lines for notifications and previews
+     */
+    static format(errors, limit = 5) {
+        const lines = errors.slice(0, limit).map(error => `${error.path} ${error.message}`);
+        if (errors.length > limit) lines.push(`...and ${errors.length - limit} more`);
+        return lines.join('; ');
+    }
+}
+
+StorageSchema.DEFINITIONS = {
+    rulePattern: {
+        description: 'must be a regular expression string or { source, flags }',
+        anyOf: [
+            { type: 'string', minLength: 1, format: 'regex' },
+            {
+                type: 'object',
+                required: ['source'],
+                properties: {
+                    source: { type: 'string', minLength: 1 },
+                    flags: { type: 'string', pattern: '^[dgimsuvy]*$' }
+                },
+                additionalProperties: false
+            }
+        ]
+    },
+    rule: {
+        type: 'object',
+        properties: {
+            pattern: { $ref: '#/definitions/rulePattern' },
+            expiration: { type: 'number', exclusiveMinimum: 0 },
+            priority: { enum: ['low', 'medium', 'high'] },
+            encrypt: { type: 'boolean' },
+            encryptMode: { enum: RuleSchema.ENCRYPT_MODES },
+            autoDelete: { type: 'boolean' },
+            storeIds: { type: 'array', items: { type: 'string' } },
+            description: { type: 'string' }
+        },
+        additionalProperties: false
+    },
+    domainPattern: { type: 'string', minLength: 1, pattern: '^\\S+$' },
+    // Feature events (logAudit) carry an action; cookie changes (logCookieChange) a changeType
+    auditEntry: {
+        description: 'must be an audit entry with "action" or "changeType"',
+        anyOf: [
+            { $ref: '#/definitions/auditEvent' },
+            { $ref: '#/definitions/cookieChangeEntry' }
+        ]
+    },
+    auditEvent: {
+        type: 'object',
+        required: ['timestamp', 'action'],
+        properties: {
+            timestamp: { type: 'string', format: 'date-time' },
+            action: { type: 'string', pattern: '^[A-Z_]+$' },
+            domain: { type: 'string' },
+            cookie: { type: 'string' }
+        }
+    },
+    cookieChangeEntry: {
+        type: 'object',
+        required: ['timestamp', 'changeType'],
+        properties: {
+            timestamp: { type: 'string', format: 'date-time' },
+            changeType: { type: 'string', minLength: 1 },
+            domain: { type: 'string' },
+            cookie: { type: 'string' }
+        }
+    },
+    encryptedRecord: {
+        type: 'object',
+        required: ['encrypted', 'iv'],
+        properties: {
+            v: { type: 'integer', minimum: 1 },
+            encrypted: { type: 'string', format: 'base64' },
+            iv: { type: 'string', format: 'base64' },
+            keyId: { type: 'string', minLength: 1 },
+            storeId: { type: 'string' },
+            domain: { type: 'string' },
+            path: { type: 'string' },
+            name: { type: 'string' },
+            timestamp: { type: 'number' }
+        }
+    },
+    keyring: {
+        type: 'object',
+        required: ['activeKeyId', 'keys'],
+        properties: {
+            activeKeyId: { type: 'string', minLength: 1 },
+            keys: { type: 'object', additionalProperties: { type: 'string', format: 'base64' } }
+        },
+        additionalProperties: false
+    },
+    wrappedKeyring: {
+        type: 'object',
+        required: ['kdf', 'iterations', 'salt', 'activeKeyId', 'keys'],
+        properties: {
+            kdf: { const: 'PBKDF2-SHA256' },
+            iterations: { type: 'integer', minimum: 1 },
+            salt: { type: 'string', format: 'base64' },
+            activeKeyId: { type: 'string', minLength: 1 },
+            keys: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['iv', 'wrapped'],
+                    properties: {
+                        iv: { type: 'string', format: 'base64' },
+                        wrapped: { type: 'string', format: 'base64' }
+                    },
+                    additionalProperties: false
+                }
+            }
+        },
+        additionalProperties: false
+    },
+    proxiedCookie: {
+        type: 'object',
+        required: ['ruleId', 'cookie', 'encrypted'],
+        properties: {
+            ruleId: { type: 'integer', minimum: 1 },
+            cookie: {
+                type: 'object',
+                required: ['name', 'domain'],
+                properties: {
+                    name: { type: 'string' },
+                    domain: { type: 'string', minLength: 1 },
+                    path: { type: 'string' }
+                }
+            },
+            encrypted: { $ref: '#/definitions/encryptedRecord' },
+            sealedAt: { type: 'number' }
+        }
+    },
+    syncRevision: {
+        type: 'object',
+        required: ['clock', 'deviceId'],
+        properties: {
+            clock: { type: 'integer', minimum: 0 },
+            deviceId: { type: 'string', minLength: 1 },
+            at: { type: 'string', format: 'date-time' },
+            hash: { type: 'string', pattern: '^[0-9a-f]{8}$' },
+            deleted: { const: true }
+        }
+    },
+    syncRevisions: {
+        type: 'object',
+        required: ['clock', 'entries'],
+        properties: {
+            clock: { type: 'integer', minimum: 0 },
+            entries: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    additionalProperties: { $ref: '#/definitions/syncRevision' }
+                }
+            }
+        }
+    }
+};
+
+// Schema for each storage key; encrypted_<domain>_<name> records are matched by prefix
+StorageSchema.KEYS = {
+    siteRules: { type: 'object', additionalProperties: { $ref: '#/definitions/rule' } },
+    siteRulesVersion: { type: 'integer', minimum: 1 },
+    whitelist: { type: 'array', items: { $ref: '#/definitions/domainPattern' } },
+    blacklist: { type: 'array', items: { $ref: '#/definitions/domainPattern' } },
+    whitelistRules: { type: 'object', additionalProperties: { $ref: '#/definitions/rule' } },
+    auditLog: { type: 'array', maxItems: 1000, items: { $ref: '#/definitions/auditEntry' } },
+    encryptionSettings: {
+        type: 'object',
+        properties: {
+            autoEncryptBanking: { type: 'boolean' },
+            autoEncryptSocial: { type: 'boolean' },
+            autoEncryptShopping: { type: 'boolean' }
+        },
+        additionalProperties: false
+    },
+    encryptionAutoLockMinutes: { type: 'integer', minimum: 0, maximum: 1440 },
+    encryptionKeyring: { $ref: '#/definitions/keyring' },
+    wrappedEncryptionKeyring: { $ref: '#/definitions/wrappedKeyring' },
+    proxiedCookies: { type: 'object', additionalProperties: { $ref: '#/definitions/proxiedCookie' } },
+    syncSettings: {
+        type: 'object',
+        required: ['enabled'],
+        properties: {
+            enabled: { type: 'boolean' },
+            transport: { enum: ['rest', 'webdav', 'chrome-sync'] },
+            endpoint: { type: 'string' },
+            username: { type: 'string' },
+            authToken: { type: ['string', 'null'] },
+            lastSync: { type: 'string', format: 'date-time' },
+            scope: {
+                type: 'object',
+                properties: {
+                    rules: { type: 'boolean' },
+                    lists: { type: 'boolean' },
+                    overrides: { type: 'boolean' },
+                    settings: { type: 'boolean' },
+                    auditLog: { enum: ['off', 'redacted', 'full'] }
+                },
+                additionalProperties: false
+            },
+            exclusions: { type: 'array', maxItems: 500, items: { $ref: '#/definitions/domainPattern' } }
+        }
+    },
+    blockingSettings: {
+        type: 'object',
+        properties: { enabled: { type: 'boolean' } },
+        additionalProperties: false
+    },
+    syncDeviceId: { type: 'string', minLength: 1 },
+    syncQueue: {
+        type: 'object',
+        properties: {
+            keys: {
+                type: 'array',
+                items: { enum: ['siteRules', 'whitelist', 'blacklist', 'whitelistRules', 'encryptionSettings', 'auditLog'] }
+            },
+            attempts: { type: 'integer', minimum: 0 },
+            nextAttemptAt: { type: ['number', 'null'] },
+            lastError: {
+                anyOf: [
+                    { type: 'null' },
+                    {
+                        type: 'object',
+                        required: ['message', 'at'],
+                        properties: {
+                            message: { type: 'string' },
+                            code: { type: ['string', 'null'] },
+                            at: { type: 'string', format: 'date-time' }
+                        }
+                    }
+                ]
+            }
+        }
+    },
+    syncRefreshToken: {
+        ...StorageSchema.DEFINITIONS.encryptedRecord,
+        required: [...StorageSchema.DEFINITIONS.encryptedRecord.required, 'endpoint', 'username'],
+        properties: {
+            ...StorageSchema.DEFINITIONS.encryptedRecord.properties,
+            endpoint: { type: 'string', minLength: 1 },
+            username: { type: 'string', minLength: 1 }
+        }
+    },
+    syncRevisions: { $ref: '#/definitions/syncRevisions' },
+    syncBase: {
+        type: 'object',
+        required: ['data', 'revisions'],
+        properties: {
+            data: { type: 'object' },
+            revisions: { $ref: '#/definitions/syncRevisions' }
+        }
+    },
+    syncConflicts: {
+        type: 'array',
+        maxItems: 200,
+        items: {
+            type: 'object',
+            required: ['id', 'at', 'key', 'entryId', 'winner'],
+            properties: {
+                id: { type: 'string' },
+                at: { type: 'string', format: 'date-time' },
+                key: { type: 'string' },
+                entryId: { type: 'string' },
+                winner: { enum: ['local', 'remote'] },
+                discardedLocal: { type: 'boolean' }
+            }
+        }
+    },
+    backupHistory: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['timestamp'],
+            properties: {
+                timestamp: { type: 'string', format: 'date-time' },
+                name: { type: 'string' },
+                size: { type: 'integer', minimum: 0 }
+            }
+        }
+    }
+};
@@ -0,0 +1,260 @@
+// sync-auth.js - Account sign-in for the REST sync transport
+// A username and password are exchanged once for a short-lived access token and a refresh
+// token (OAuth 2 password and refresh_token grants against <endpoint>/v1/auth/token). The
+// password is never stored. The refresh token is stored encrypted with the cookie
+// encryption keyring and bound to its endpoint; access tokens only live in memory and are
+// refreshed when they expire or the server answers 401. The password of a WebDAV share or
+// the static token of a REST server without accounts is kept the same way.
+class SyncAuth {
+    constructor(encryption) {
+        this.encryption = encryption;
+        this.accessToken = null;
+        this.expiresAt = 0;
+        this.endpoint = null;
+        this.refreshing = null;
+    }
+
+    /**
+     * Exchange credentials for tokens and keep the refresh token; replaces any previous sign-in
+     */
+    async signIn(endpoint, username, password) {
+        const tokens = await SyncAuth.requestTokens(endpoint, { grant_type: 'password', username, password });
+        await this.revokeStored();
+        await this.storeTokens(endpoint, username, tokens);
+    }
+
+    /**
+     * Revoke the stored sign-in at the server and forget it locally
+     */
+    async signOut() {
+        await this.revokeStored();
+        await chrome.storage.local.remove(SyncAuth.STORAGE_KEY);
+    }
+
+    /**
+     * Whether a refresh token for this endpoint and user is stored
+     */
+    async hasSession(endpoint, username) {
+        const record = await SyncAuth.readRecord();
+        return !!record && record.endpoint === endpoint && record.username === username;
+    }
+
+    /**
+     * A current access token for the endpoint, refreshing it when needed
+     */
+    async getAccessToken(endpoint) {
+        const valid = this.accessToken && this.endpoint === endpoint &&
+            Date.now() < this.expiresAt - SyncAuth.EXPIRY_SKEW_MS;
+        return valid ? this.accessToken : this.refresh(endpoint);
+    }
+
+    /**
+     * Drop the cached access token, e.g. after the server rejected it
+     */
+    invalidate() {
+        this.accessToken = null;
+    }
+
+    /**
+     * Trade the stored refresh token for new tokens. Concurrent callers share one request:
+     * the server rotates refresh tokens and treats a reused one as stolen.
+     */
+    refresh(endpoint) {
+        if (!this.refreshing) {
+            this.refreshing = this.runRefresh(endpoint).finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async runRefresh(endpoint) {
+        const record = await SyncAuth.readRecord();
+        if (!record || record.endpoint !== endpoint) {
+            throw SyncAuth.authRequired('Not signed in to the sync server');
+        }
+
+        let tokens;
+        try {
+            tokens = await SyncAuth.requestTokens(endpoint, {
+                grant_type: 'refresh_token',
+                refresh_token: await this.decryptRecord(record)
+            });
+        } catch (error) {
+            if (error.code === 'SYNC_AUTH_REJECTED') {
+                await chrome.storage.local.remove(SyncAuth.STORAGE_KEY);
+                throw SyncAuth.authRequired('Sync sign-in expired; sign in again');
+            }
+            throw error;
+        }
+
+        await this.storeTokens(endpoint, record.username, tokens);
+        return this.accessToken;
+    }
+
+    async storeTokens(endpoint, username, tokens) {
+        const encrypted = await this.encryption.encryptCookie(tokens.refresh_token, SyncAuth.identity(endpoint));
+        await chrome.storage.local.set({
+            [SyncAuth.STORAGE_KEY]: { ...encrypted, endpoint, username }
+        });
+
+        this.accessToken = tokens.access_token;
+        this.expiresAt = Date.now() + tokens.expires_in * 1000;
+        this.endpoint = endpoint;
+    }
+
+    async decryptRecord(record) {
+        if (await this.encryption.isLocked()) {
+            throw SyncAuth.authRequired('Unlock encryption to sync');
+        }
+
+        try {
+            return await this.encryption.decryptCookie(record, SyncAuth.identity(record.endpoint));
+        } catch (error) {
+            // The keyring was replaced (e.g. by a vault restore); the token is unrecoverable
+            await chrome.storage.local.remove(SyncAuth.STORAGE_KEY);
+            throw SyncAuth.authRequired('Stored sync sign-in can no longer be read; sign in again');
+        }
+    }
+
+    /**
+     * Best-effort revocation of the stored refresh token; a sign-out works offline too
+     */
+    async revokeStored() {
+        const record = await SyncAuth.readRecord();
+        this.invalidate();
+        if (!record) return;
+
+        try {
+            const token = await this.encryption.decryptCookie(record, SyncAuth.identity(record.endpoint));
+            await SyncAuth.revoke(record.endpoint, token);
+        } catch (error) {
+            console.error('Failed to revoke sync tokens:', error);
+        }
+    }
+
+    /**
+     * Keep the password or static token for a transport and endpoint; none forgets it
+     */
+    async storeSecret(transport, endpoint, secret) {
+        if (!secret) {
+            await chrome.storage.local.remove(SyncAuth.SECRET_KEY);
+            return;
+        }
+
+        const encrypted = await this.encryption.encryptCookie(secret, SyncAuth.secretIdentity(transport, endpoint));
+        await chrome.storage.local.set({
+            [SyncAuth.SECRET_KEY]: { ...encrypted, transport, endpoint }
+        });
+    }
+
+    /**
+     * The stored password or token for a transport and endpoint; null if none is stored
+     */
+    async readSecret(transport, endpoint) {
+        const { [SyncAuth.SECRET_KEY]: record } = await chrome.storage.local.get([SyncAuth.SECRET_KEY]);
+        if (!record || record.transport !== transport || record.endpoint !== endpoint) return null;
+
+        if (await this.encryption.isLocked()) {
+            throw SyncAuth.authRequired('Unlock encryption to sync');
+        }
+
+        try {
+            return await this.encryption.decryptCookie(record, SyncAuth.secretIdentity(transport, endpoint));
+        } catch (error) {
+            await chrome.storage.local.remove(SyncAuth.SECRET_KEY);
+            throw SyncAuth.authRequired('Stored sync password can no longer be read; enter it again');
+        }
+    }
+
+    static async requestTokens(endpoint, params) {
+        const response = await SyncAuth.post(endpoint, '/v1/auth/token', params);
+        const body = await response.json().catch(() => ({}));
+
+        if (response.status === 400 || response.status === 401) {
+            const error = new Error(body.error === 'invalid_grant'
+                ? 'Sync server rejected the credentials'
+                : `Sync server refused sign-in: ${body.error || response.status}`);
+            error.code = 'SYNC_AUTH_REJECTED';
+            throw error;
+        }
+        if (!response.ok || !body.access_token || !body.refresh_token) {
+            throw new Error(`Sync server returned ${response.status} ${response.statusText}`);
+        }
+        return body;
+    }
+
+    static async revoke(endpoint, token) {
+        const response = await SyncAuth.post(endpoint, '/v1/auth/revoke', { token });
+        if (!response.ok) {
+            throw new Error(`Sync server returned ${response.status} ${response.statusText}`);
+        }
+    }
+
+    static post(endpoint, path, body) {
+        return fetch(SyncTransports.joinUrl(endpoint, path), {
+            method: 'POST',
+            headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            credentials: 'omit'
+        });
+    }
+
+    static async readRecord() {
+        const stored = await chrome.storage.local.get([SyncAuth.STORAGE_KEY]);
+        return stored[SyncAuth.STORAGE_KEY] || null;
+    }
+
+    /**
+     * Encryption identity binding the token to its endpoint, so a record copied to
+     * another endpoint does not decrypt
+     */
+    static identity(endpoint) {
+        return { storeId: '', domain: endpoint, path: '/v1/auth', name: 'refresh_token' };
+    }
+
+    static secretIdentity(transport, endpoint) {
+        return { storeId: '', domain: endpoint, path: `/${transport}`, name: 'secret' };
+    }
+
+    /**
+     * The stored token and secret in KeyRotation's record format, so rotation re-encrypts them
+     */
+    static async collect() {
+        const stored = await chrome.storage.local.get([SyncAuth.STORAGE_KEY, SyncAuth.SECRET_KEY]);
+        const token = stored[SyncAuth.STORAGE_KEY];
+        const secret = stored[SyncAuth.SECRET_KEY];
+        const records = [];
+
+        if (token?.encrypted) {
+            records.push({
+                id: SyncAuth.STORAGE_KEY,
+                type: 'credential',
+                storageKey: SyncAuth.STORAGE_KEY,
+                encrypted: token,
+                expected: SyncAuth.identity(token.endpoint)
+            });
+        }
+        if (secret?.encrypted) {
+            records.push({
+                id: SyncAuth.SECRET_KEY,
+                type: 'credential',
+                storageKey: SyncAuth.SECRET_KEY,
+                encrypted: secret,
+                expected: SyncAuth.secretIdentity(secret.transport, secret.endpoint)
+            });
+        }
+        return records;
+    }
+
+    static authRequired(message) {
+        const error = new Error(message);
+        error.code = 'SYNC_AUTH_REQUIRED';
+        return error;
+    }
+}
+
+SyncAuth.STORAGE_KEY = 'syncRefreshToken';
+SyncAuth.SECRET_KEY = 'syncSecret';
+// Refresh this long before the server's expiry so requests in flight do not fail
+SyncAuth.EXPIRY_SKEW_MS = 30 * 1000;
@@ -1,115 +1,563 @@
 // sync-manager.js - Cloud synchronization and backup
+// The remote side is a pluggable SyncTransport picked by syncSettings.transport; entries
+// are merged with per-entry revisions (see sync-merge.js). What syncs is chosen per device
+// by syncSettings.scope and .exclusions (see sync-scope.js). A REST transport configured with
+// a username signs in to the server through SyncAuth instead of using a static token.
 class SyncManager {
-    constructor() {
+    constructor(encryption) {
         this.syncEnabled = false;
-        this.syncEndpoint = 'https://api.cookieguardian.com/sync'; // Example endpoint
+        this.settings = null;
+        this.transport = null;
+        this.auth = encryption ? new SyncAuth(encryption) : null;
+        this.queue = Promise.resolve();
+        this.syncTimer = null;
+        // Set by the owner to reload whatever it caches from storage after a pull
+        this.onRemoteChange = null;
         this.init();
     }
 
     async init() {
-        const settings = await chrome.storage.local.get(['syncSettings']);
-        this.syncEnabled = settings.syncSettings?.enabled || false;
+        await this.loadSettings();
         this.setupSyncListeners();
+        await this.resumeQueue();
+    }
+
+    async loadSettings() {
+        const { syncSettings } = await chrome.storage.local.get(['syncSettings']);
+        this.settings = syncSettings || { enabled: false };
+        this.transport = null;
+
+        if (this.settings.enabled) {
+            try {
+                this.transport = SyncTransports.create(this.settings, this.authFor(this.settings));
+            } catch (error) {
+                console.error('Invalid sync settings:', error);
+            }
+        }
+        this.syncEnabled = !!this.transport;
     }
 
     setupSyncListeners() {
         // Sync on changes
         chrome.storage.onChanged.addListener((changes, namespace) => {
-            if (namespace === 'local' && this.syncEnabled) {
+            if (namespace !== 'local') return;
+
+            if (changes.syncSettings) {
+                this.loadSettings();
+            } else if (this.syncEnabled) {
                 this.syncChanges(changes);
             }
         });
 
-        // Periodic sync
+        // Periodic sync, and retries of a failed one
         chrome.alarms.create('periodicSync', { periodInMinutes: 30 });
         chrome.alarms.onAlarm.addListener((alarm) => {
-            if (alarm.name === 'periodicSync' && this.syncEnabled) {
-                this.fullSync();
+            const scheduled = alarm.name === 'periodicSync' || alarm.name === SyncManager.RETRY_ALARM;
+            if (scheduled && this.syncEnabled) {
+                this.fullSync().catch(() => {});
+            } else if (alarm.name === SyncManager.LOG_SYNC_ALARM && this.syncEnabled) {
+                this.queueLogs();
             }
         });
     }
 
+    /**
+     * Local edits to synced keys get their revisions now and are synced shortly after,
+     * unless a failed sync is waiting for its retry. Audit log entries carry no revisions;
+     * they are batched and queued once per LOG_SYNC_DELAY_MS.
+     */
     async syncChanges(changes) {
-        const syncData = {};
-        
-        for (const [key, change] of Object.entries(changes)) {
-            if (this.shouldSyncKey(key)) {
-                syncData[key] = change.newValue;
-            }
+        const keys = Object.keys(changes).filter(key => this.shouldSyncKey(key));
+        if (keys.length === 0) return;
+
+        if (keys.every(key => SyncManager.isLogKey(key))) {
+            await this.scheduleLogSync();
+            return;
         }
-        
-        if (Object.keys(syncData).length > 0) {
-            await this.sendToCloud('PATCH', { changes: syncData });
+
+        const { changed, queue } = await this.serialize(async () => {
+            const stamped = await this.stampLocal();
+            return { ...stamped, queue: await this.updateQueue() };
+        });
+        if (changed && this.syncEnabled && !SyncManager.isBackingOff(queue)) {
+            this.scheduleSync();
         }
     }
 
+    /**
+     * The outbound queue: which synced keys differ from what was last synced, and how
+     * the last attempt to sync them went. It lives in storage so pending changes and the
+     * retry schedule survive service worker restarts and going offline.
+     */
+    async getQueue() {
+        const { syncQueue } = await chrome.storage.local.get(['syncQueue']);
+        return { keys: [], attempts: 0, nextAttemptAt: null, lastError: null, ...syncQueue };
+    }
+
+    /**
+     * Recompute the pending keys by comparing storage with the last synced state, so any
+     * number of edits to a key coalesce into one entry and an edit undone drops out.
+     * Logs are only compared once queued, by queueLogs, so each write does not pay for it.
+     */
+    async updateQueue(updates = {}, { withLogs = false } = {}) {
+        const current = await this.getQueue();
+        const candidates = this.syncKeys().filter(key =>
+            !SyncManager.isLogKey(key) || withLogs || current.keys.includes(key)
+        );
+        const stored = await chrome.storage.local.get([...candidates, 'syncBase']);
+        const keys = candidates.filter(key =>
+            stored[key] !== undefined &&
+            JSON.stringify(stored[key]) !== JSON.stringify(stored.syncBase?.data?.[key])
+        );
+
+        const queue = { ...current, ...updates, keys };
+        await chrome.storage.local.set({ syncQueue: queue });
+        return queue;
+    }
+
+    /**
+     * Start the batch window for log writes; later writes join it instead of moving it.
+     * An alarm rather than a timer, so the batch survives the service worker stopping.
+     */
+    async scheduleLogSync() {
+        if (await chrome.alarms.get(SyncManager.LOG_SYNC_ALARM)) return;
+        chrome.alarms.create(SyncManager.LOG_SYNC_ALARM, { when: Date.now() + SyncManager.LOG_SYNC_DELAY_MS });
+    }
+
+    /**
+     * End of a batch window: queue the logs that changed and sync them
+     */
+    async queueLogs() {
+        const queue = await this.serialize(() => this.updateQueue({}, { withLogs: true }));
+        if (queue.keys.some(key => SyncManager.isLogKey(key)) && !SyncManager.isBackingOff(queue)) {
+            this.scheduleSync();
+        }
+    }
+
+    static isLogKey(key) {
+        return ImportPlanner.COLLECTIONS[key] === 'log';
+    }
+
+    /**
+     * After a restart: sync what was left pending, or re-arm the retry it was waiting for
+     */
+    async resumeQueue() {
+        if (!this.syncEnabled) return;
+
+        const queue = await this.getQueue();
+        if (SyncManager.isBackingOff(queue)) {
+            chrome.alarms.create(SyncManager.RETRY_ALARM, { when: queue.nextAttemptAt });
+        } else if (queue.keys.length > 0 || queue.lastError) {
+            this.scheduleSync();
+        }
+    }
+
+    async recordSuccess() {
+        clearTimeout(this.syncTimer);
+        await chrome.alarms.clear(SyncManager.RETRY_ALARM);
+        await this.updateQueue({ attempts: 0, nextAttemptAt: null, lastError: null });
+    }
+
+    /**
+     * Remember the error and schedule a retry with exponential backoff. Errors a retry
+     * cannot fix, like a sign-in that has to be repeated, wait for the user instead.
+     */
+    async recordFailure(error) {
+        const queue = await this.getQueue();
+        const attempts = queue.attempts + 1;
+        const retry = this.syncEnabled && error.code !== 'SYNC_AUTH_REQUIRED';
+        const nextAttemptAt = retry ? Date.now() + SyncManager.backoffDelay(attempts) : null;
+
+        if (retry) {
+            chrome.alarms.create(SyncManager.RETRY_ALARM, { when: nextAttemptAt });
+        }
+        await this.updateQueue({
+            attempts,
+            nextAttemptAt,
+            lastError: { message: error.message, code: error.code || null, at: new Date().toISOString() }
+        });
+    }
+
+    /**
+     * Delay before retry number `attempts`: doubling from RETRY_BASE_MS up to RETRY_MAX_MS,
+     * with 20% jitter so devices that went offline together do not retry in lockstep
+     */
+    static backoffDelay(attempts) {
+        const delay = Math.min(SyncManager.RETRY_BASE_MS * 2 ** (attempts - 1), SyncManager.RETRY_MAX_MS);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    static isBackingOff(queue) {
+        return !!queue.nextAttemptAt && queue.nextAttemptAt > Date.now();
+    }
+
+    scheduleSync() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => {
+            this.fullSync().catch(() => {});
+        }, SyncManager.SYNC_DELAY_MS);
+    }
+
+    /**
+     * Pull, three-way merge against the last synced state, push the result back and
+     * apply it locally. A push rejected because another device pushed in between is
+     * retried from a fresh pull.
+     */
     async fullSync() {
-        try {
-            const allData = await chrome.storage.local.get(null);
-            const syncData = this.filterSyncData(allData);
-            
-            const response = await this.sendToCloud('POST', { data: syncData });
-            
-            if (response.success) {
+        return this.serialize(async () => {
+            try {
+                const result = await this.runSync();
+                await this.recordSuccess();
                 console.log('Full sync completed');
+                return result;
+            } catch (error) {
+                console.error('Sync failed:', error);
+                await this.recordFailure(error);
+                throw error;
             }
-        } catch (error) {
-            console.error('Sync failed:', error);
+        });
+    }
+
+    async runSync() {
+        const transport = await this.getTransport();
+        const deviceId = await SyncManager.getDeviceId();
+        const keys = this.syncKeys();
+        const { scope, exclusions } = this.settings;
+
+        for (let attempt = 1; ; attempt++) {
+            const local = await this.stampLocal();
+            const { document, etag } = await transport.pull();
+            const { syncBase } = await chrome.storage.local.get(['syncBase']);
+            const remote = SyncMerge.fromDocument(document, keys);
+
+            // Entries of excluded domains take no part in the merge
+            const [baseParts, localParts, remoteParts] = [syncBase || SyncMerge.emptyState(), local, remote]
+                .map(state => SyncScope.split(state, keys, exclusions));
+
+            const merged = SyncMerge.merge(
+                baseParts.shared,
+                localParts.shared,
+                remoteParts.shared,
+                keys,
+                (key, id, value) => ImportPlanner.validateEntry(key, id, value)
+            );
+            SyncMerge.pruneTombstones(merged.revisions);
+
+            // Each side gets its own excluded entries back; keys outside this device's
+            // scope pass through the remote document untouched
+            const outgoing = SyncScope.combine(merged, remoteParts.kept, keys);
+            const result = SyncScope.combine(merged, localParts.kept, keys);
+
+            try {
+                await transport.push({
+                    data: SyncScope.redact({ ...remote.data, ...outgoing.data }, scope),
+                    revisions: {
+                        clock: Math.max(remote.revisions.clock, outgoing.revisions.clock),
+                        entries: { ...remote.revisions.entries, ...outgoing.revisions.entries }
+                    },
+                    updatedAt: new Date().toISOString(),
+                    deviceId
+                }, etag);
+            } catch (error) {
+                if (error.code === 'SYNC_PRECONDITION_FAILED' && attempt < SyncManager.MAX_SYNC_ATTEMPTS) {
+                    continue;
+                }
+                throw error;
+            }
+
+            const changedKeys = keys.filter(key => JSON.stringify(result.data[key]) !== JSON.stringify(local.data[key]));
+            await chrome.storage.local.set({
+                ...Object.fromEntries(changedKeys.map(key => [key, result.data[key]])),
+                syncRevisions: result.revisions,
+                syncBase: { data: result.data, revisions: result.revisions }
+            });
+
+            await this.logConflicts(merged.conflicts, deviceId);
+            await this.recordSync();
+
+            if (changedKeys.length > 0 && this.onRemoteChange) {
+                await this.onRemoteChange(changedKeys);
+            }
+
+            return {
+                changedKeys,
+                conflicts: merged.conflicts.length,
+                rejected: merged.rejected
+            };
+        }
+    }
+
+    /**
+     * Bring the revisions of local entries up to date with what is stored
+     */
+    async stampLocal() {
+        const keys = this.syncKeys();
+        const stored = await chrome.storage.local.get([...keys, 'syncRevisions']);
+        const { revisions, changed } = SyncMerge.stamp(
+            stored.syncRevisions,
+            stored,
+            await SyncManager.getDeviceId(),
+            keys
+        );
+
+        if (changed) {
+            await chrome.storage.local.set({ syncRevisions: revisions });
         }
+        return { data: this.filterSyncData(stored), revisions, changed };
     }
 
+    /**
+     * Run stamping and syncing one at a time so revisions are never read and written
+     * by two of them at once
+     */
+    serialize(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Pull remote changes into local storage; true if anything local changed
+     */
     async restoreFromCloud() {
-        try {
-            const response = await this.sendToCloud('GET', {});
-            
-            if (response.data) {
-                await chrome.storage.local.set(response.data);
-                return true;
-            }
-        } catch (error) {
-            console.error('Restore failed:', error);
-            throw error;
+        const result = await this.fullSync();
+        return result.changedKeys.length > 0;
+    }
+
+    async getConflicts() {
+        const { syncConflicts } = await chrome.storage.local.get(['syncConflicts']);
+        return syncConflicts || [];
+    }
+
+    async logConflicts(conflicts, deviceId) {
+        if (conflicts.length === 0) return;
+
+        const at = new Date().toISOString();
+        const entries = conflicts.map(conflict => ({
+            id: crypto.randomUUID(),
+            at,
+            ...conflict,
+            discardedLocal: conflict.discardedRevision?.deviceId === deviceId
+        }));
+
+        const existing = await this.getConflicts();
+        await chrome.storage.local.set({
+            syncConflicts: [...entries, ...existing].slice(0, SyncManager.MAX_CONFLICTS)
+        });
+    }
+
+    /**
+     * Apply the version a conflict discarded as a new local edit, so it wins on the
+     * next sync, and drop the conflict from the log
+     */
+    async resolveConflict(id) {
+        const conflict = (await this.getConflicts()).find(entry => entry.id === id);
+        if (!conflict) throw new Error('Conflict not found');
+
+        const kind = ImportPlanner.COLLECTIONS[conflict.key];
+        const stored = await chrome.storage.local.get([conflict.key]);
+        const entries = ImportPlanner.toEntries(kind, stored[conflict.key]);
+
+        if (conflict.discarded === null) {
+            entries.delete(conflict.entryId);
+        } else {
+            entries.set(conflict.entryId, conflict.discarded);
         }
-        return false;
+
+        await chrome.storage.local.set({ [conflict.key]: ImportPlanner.fromEntries(kind, entries) });
+        await this.dismissConflicts([id]);
+        return conflict;
+    }
+
+    async dismissConflicts(ids) {
+        const remaining = ids
+            ? (await this.getConflicts()).filter(entry => !ids.includes(entry.id))
+            : [];
+        await chrome.storage.local.set({ syncConflicts: remaining });
     }
 
-    async exportBackup() {
+    /**
+     * Build an encrypted backup container. Settings and rules are always included;
+     * vault records and the key that opens them only when asked for.
+     */
+    async exportBackup({ passphrase, includeVault = false } = {}) {
         const allData = await chrome.storage.local.get(null);
-        const filteredData = this.filterSyncData(allData);
-        
-        return {
+        const payload = {
+            schemaVersion: SyncManager.BACKUP_SCHEMA_VERSION,
             timestamp: new Date().toISOString(),
-            version: '1.0',
-            data: filteredData
+            extensionVersion: chrome.runtime.getManifest().version,
+            data: this.filterBackupData(allData)
         };
+
+        if (includeVault) {
+            payload.vault = this.collectVault(allData);
+        }
+
+        return BackupContainer.seal(payload, passphrase);
     }
 
-    async importBackup(backupData) {
-        // Validate backup
-        if (!this.validateBackup(backupData)) {
+    /**
+     * Verify and decrypt a backup, diff it against storage and apply it. Nothing is
+     * written unless the MAC and schema version check out; entries that fail schema
+     * validation are reported and left out. With dryRun only the diff is returned.
+     */
+    async importBackup(backupData, { passphrase, restoreVault = false, mode = 'merge', dryRun = false } = {}) {
+        let payload;
+        if (BackupContainer.isContainer(backupData)) {
+            payload = await BackupContainer.open(backupData, passphrase);
+        } else if (this.validateBackup(backupData)) {
+            // Plaintext backups from before the container format; never carry vault data
+            payload = { schemaVersion: 0, data: backupData.data };
+        } else {
             throw new Error('Invalid backup format');
         }
-        
-        await chrome.storage.local.set(backupData.data);
-        return true;
+
+        if (payload.schemaVersion > SyncManager.BACKUP_SCHEMA_VERSION) {
+            throw new Error(`Backup schema ${payload.schemaVersion} is newer than this extension supports`);
+        }
+        if (!payload.data || typeof payload.data !== 'object') {
+            throw new Error('Invalid backup format');
+        }
+        if (restoreVault && !payload.vault) {
+            throw new Error('This backup does not contain vault records');
+        }
+
+        const existing = await chrome.storage.local.get(null);
+        const plan = ImportPlanner.plan(this.filterBackupData(existing), payload.data, mode);
+        const vault = restoreVault ? this.validateVault(payload.vault) : null;
+        const vaultRecords = vault
+            ? Object.keys(vault.records).length + Object.keys(vault.proxiedCookies).length
+            : 0;
+
+        const result = {
+            success: true,
+            dryRun,
+            schemaVersion: payload.schemaVersion,
+            plan: ImportPlanner.describe(plan),
+            vaultRestored: !dryRun && restoreVault,
+            vaultRecords
+        };
+        if (dryRun) return result;
+
+        const updates = { ...plan.values };
+        let removals = [];
+
+        if (vault) {
+            // The vault is replaced as a whole: its records only open with its own keyring
+            removals = [
+                ...Object.keys(existing).filter(key => key.startsWith('encrypted_')),
+                ...SyncManager.KEYRING_KEYS,
+                'vaultVerification',
+                'keyRotationJob'
+            ];
+            Object.assign(updates, vault.records, {
+                proxiedCookies: vault.proxiedCookies,
+                [vault.keyring.type === 'wrapped' ? 'wrappedEncryptionKeyring' : 'encryptionKeyring']: vault.keyring.value
+            });
+        }
+
+        if (removals.length > 0) {
+            await chrome.storage.local.remove(removals.filter(key => !(key in updates)));
+        }
+        if (Object.keys(updates).length > 0) {
+            await chrome.storage.local.set(updates);
+        }
+
+        return result;
+    }
+
+    filterBackupData(data) {
+        const filtered = {};
+        SyncManager.BACKUP_KEYS.forEach(key => {
+            if (data[key] !== undefined) {
+                filtered[key] = data[key];
+            }
+        });
+        return filtered;
+    }
+
+    /**
+     * Ciphertexts exactly as stored, plus the keyring in its stored form: wrapped if an
+     * encryption passphrase is set, raw otherwise (the container encrypts it either way)
+     */
+    collectVault(data) {
+        const records = Object.fromEntries(
+            Object.entries(data).filter(([key, record]) => key.startsWith('encrypted_') && record?.encrypted)
+        );
+
+        const keyring = data.wrappedEncryptionKeyring
+            ? { type: 'wrapped', value: data.wrappedEncryptionKeyring }
+            : data.encryptionKeyring
+                ? { type: 'raw', value: data.encryptionKeyring }
+                : null;
+
+        if (!keyring) {
+            throw new Error('No encryption keyring to back up');
+        }
+
+        return {
+            records,
+            proxiedCookies: data.proxiedCookies || {},
+            keyring
+        };
+    }
+
+    validateVault(vault) {
+        const errors = StorageSchema.validate(vault, SyncManager.VAULT_SCHEMA, 'vault');
+        Object.entries(vault?.records || {}).forEach(([key, record]) => {
+            errors.push(...StorageSchema.validateKey(key, record).map(error => ({ ...error, path: `vault.records.${error.path}` })));
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Backup vault section is malformed: ${StorageSchema.format(errors)}`);
+        }
+        return vault;
     }
 
     filterSyncData(data) {
         const filtered = {};
-        const syncKeys = ['siteRules', 'auditLog', 'syncSettings', 'whitelist', 'blacklist'];
-        
-        syncKeys.forEach(key => {
+        this.syncKeys().forEach(key => {
             if (data[key] !== undefined) {
                 filtered[key] = data[key];
             }
         });
-        
         return filtered;
     }
 
     shouldSyncKey(key) {
-        const syncKeys = ['siteRules', 'auditLog', 'whitelist', 'blacklist'];
-        return syncKeys.includes(key);
+        return this.syncKeys().includes(key);
+    }
+
+    /**
+     * Storage keys in this device's sync scope
+     */
+    syncKeys() {
+        return SyncScope.keys(this.settings?.scope);
+    }
+
+    /**
+     * Save what this device syncs and which domains it keeps to itself, then sync so
+     * newly included data goes out
+     */
+    async setScope(scope, exclusions = []) {
+        const { syncSettings } = await chrome.storage.local.get(['syncSettings']);
+        const next = {
+            enabled: false,
+            ...syncSettings,
+            scope: SyncScope.normalize(scope),
+            exclusions: [...new Set(exclusions.map(pattern => String(pattern).trim().toLowerCase()).filter(Boolean))]
+        };
+
+        const errors = StorageSchema.validateKey('syncSettings', next);
+        if (errors.length > 0) {
+            throw new Error(`Invalid sync scope: ${StorageSchema.format(errors)}`);
+        }
+
+        await chrome.storage.local.set({ syncSettings: next });
+        await this.loadSettings();
+        if (this.syncEnabled) {
+            this.scheduleSync();
+        }
     }
 
     validateBackup(data) {
@@ -120,50 +568,247 @@ class SyncManager {
                typeof data.data === 'object';
     }
 
-    async sendToCloud(method, data) {
+    async getTransport() {
         if (!this.syncEnabled) {
             throw new Error('Sync not enabled');
         }
-        
-        const response = await fetch(this.syncEndpoint, {
-            method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${await this.getAuthToken()}`
-            },
-            body: JSON.stringify(data)
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Cloud sync failed: ${response.statusText}`);
+        if (!SyncManager.usesSecret(this.settings)) {
+            return this.transport;
         }
-        
-        return response.json();
+
+        // The password or token is only decrypted when it is about to be sent
+        return SyncTransports.create({ ...this.settings, authToken: await this.readSecret(this.settings) });
     }
 
-    async getAuthToken() {
-        const settings = await chrome.storage.local.get(['syncSettings']);
-        return settings.syncSettings?.authToken || null;
+    /**
+     * The stored password or token for these settings. One saved in plain text by an
+     * older version is encrypted on first use and removed from syncSettings.
+     */
+    async readSecret(settings) {
+        const { transport = 'rest', endpoint, authToken } = settings;
+        if (!authToken) {
+            return this.auth ? this.auth.readSecret(transport, endpoint) : null;
+        }
+
+        if (this.auth) {
+            try {
+                await this.auth.storeSecret(transport, endpoint, authToken);
+                const { syncSettings } = await chrome.storage.local.get(['syncSettings']);
+                const { authToken: plain, ...rest } = syncSettings || {};
+                await chrome.storage.local.set({ syncSettings: rest });
+            } catch (error) {
+                // Locked encryption; the next sync tries again
+                console.error('Failed to encrypt the saved sync password:', error);
+            }
+        }
+        return authToken;
     }
 
-    async enableSync(authToken) {
-        await chrome.storage.local.set({
-            syncSettings: {
-                enabled: true,
-                authToken,
-                lastSync: new Date().toISOString()
+    /**
+     * Transports that send a password or static token rather than signing in to an account
+     */
+    static usesSecret(settings) {
+        return (settings.transport || 'rest') !== 'chrome-sync' && !SyncManager.usesAccount(settings);
+    }
+
+    static async getDeviceId() {
+        const { syncDeviceId } = await chrome.storage.local.get(['syncDeviceId']);
+        if (syncDeviceId) return syncDeviceId;
+
+        const deviceId = crypto.randomUUID();
+        await chrome.storage.local.set({ syncDeviceId: deviceId });
+        return deviceId;
+    }
+
+    async recordSync() {
+        const { syncSettings } = await chrome.storage.local.get(['syncSettings']);
+        if (!syncSettings?.enabled) return;
+
+        this.settings = { ...syncSettings, lastSync: new Date().toISOString() };
+        await chrome.storage.local.set({ syncSettings: this.settings });
+    }
+
+    /**
+     * Try settings without saving them; throws with the reason the remote end is unusable
+     */
+    async testConnection(settings) {
+        if (!SyncManager.usesAccount(settings)) {
+            await SyncTransports.create(await this.withSavedCredentials(settings)).test();
+            return;
+        }
+
+        if (settings.password) {
+            // Check the credentials with a sign-in of their own that is revoked right away
+            const tokens = await SyncAuth.requestTokens(settings.endpoint, {
+                grant_type: 'password',
+                username: settings.username,
+                password: settings.password
+            });
+            try {
+                await SyncTransports.create({ ...settings, authToken: tokens.access_token }).test();
+            } finally {
+                await SyncAuth.revoke(settings.endpoint, tokens.refresh_token).catch(() => {});
             }
-        });
-        
-        this.syncEnabled = true;
+            return;
+        }
+
+        const auth = this.authFor(settings);
+        if (!(await auth.hasSession(settings.endpoint, settings.username))) {
+            throw SyncAuth.authRequired('Enter the password to sign in');
+        }
+        await SyncTransports.create(settings, auth).test();
+    }
+
+    /**
+     * The REST transport signs in to an account when a username is set
+     */
+    static usesAccount(settings) {
+        return (settings.transport || 'rest') === 'rest' && !!settings.username;
+    }
+
+    authFor(settings) {
+        if (!SyncManager.usesAccount(settings)) return null;
+        if (!this.auth) {
+            throw new Error('Signing in to a sync server needs encryption to store the session');
+        }
+        return this.auth;
+    }
+
+    /**
+     * Fill in the saved token when none was given, but never hand it to another endpoint
+     */
+    async withSavedCredentials(settings) {
+        if (settings.authToken !== undefined) return settings;
+
+        const saved = this.settings || {};
+        const sameRemote = saved.transport === settings.transport && saved.endpoint === settings.endpoint;
+        return { ...settings, authToken: sameRemote ? await this.readSecret(saved) : null };
+    }
+
+    /**
+     * Save transport settings, check them and push local data as the first sync
+     */
+    async enableSync(settings) {
+        const account = SyncManager.usesAccount(settings);
+        if (!account) {
+            settings = await this.withSavedCredentials(settings);
+        }
+
+        // An account password is only used to sign in and never saved; a share password or
+        // static token is saved encrypted, apart from syncSettings. Scope and exclusions are
+        // set separately and kept.
+        const { syncSettings: saved } = await chrome.storage.local.get(['syncSettings']);
+        const syncSettings = {
+            enabled: true,
+            transport: settings.transport || 'rest',
+            endpoint: settings.endpoint || '',
+            username: settings.username || '',
+            scope: SyncScope.normalize(saved?.scope),
+            exclusions: saved?.exclusions || []
+        };
+        const secret = SyncManager.usesSecret(syncSettings) ? settings.authToken || null : null;
+
+        if (account && settings.password) {
+            await this.authFor(syncSettings).signIn(syncSettings.endpoint, syncSettings.username, settings.password);
+        }
+
+        try {
+            await this.testConnection(account ? syncSettings : { ...syncSettings, authToken: secret });
+        } catch (error) {
+            if (account && settings.password) {
+                await this.auth.signOut();
+            }
+            throw error;
+        }
+        if (this.auth) {
+            await this.auth.storeSecret(syncSettings.transport, syncSettings.endpoint, secret);
+        } else {
+            syncSettings.authToken = secret;
+        }
+        await chrome.storage.local.set({ syncSettings });
+        await this.loadSettings();
         await this.fullSync();
     }
 
+    /**
+     * Stop syncing but keep the transport settings for next time
+     */
     async disableSync() {
+        const { syncSettings } = await chrome.storage.local.get(['syncSettings']);
         await chrome.storage.local.set({
-            syncSettings: { enabled: false }
+            syncSettings: { ...syncSettings, enabled: false }
         });
         
-        this.syncEnabled = false;
+        await this.loadSettings();
+
+        // Pending keys stay queued for when sync is turned back on; retries stop
+        clearTimeout(this.syncTimer);
+        await chrome.alarms.clear(SyncManager.RETRY_ALARM);
+        await chrome.alarms.clear(SyncManager.LOG_SYNC_ALARM);
+        await this.updateQueue({ attempts: 0, nextAttemptAt: null, lastError: null });
+    }
+
+    /**
+     * Revoke the account sign-in at the server and stop syncing
+     */
+    async signOut() {
+        if (this.auth) {
+            await this.auth.signOut();
+        }
+        await this.disableSync();
     }
-}
\ No newline at end of file
+
+    /**
+     * Settings safe to show in the UI; credentials are never sent back
+     */
+    async getStatus() {
+        const { enabled, transport, endpoint, username, lastSync, scope, exclusions } = this.settings || {};
+        const account = !!this.settings && SyncManager.usesAccount(this.settings);
+        const queue = await this.getQueue();
+        return {
+            enabled: !!enabled,
+            active: this.syncEnabled,
+            transport,
+            endpoint,
+            username,
+            lastSync,
+            account,
+            signedIn: account && !!this.auth && await this.auth.hasSession(endpoint, username),
+            pending: queue.keys.length,
+            pendingKeys: queue.keys,
+            lastError: queue.lastError,
+            nextAttemptAt: queue.nextAttemptAt,
+            scope: SyncScope.normalize(scope),
+            exclusions: exclusions || []
+        };
+    }
+}
+
+// syncSettings is left out on purpose: it holds the cloud auth token
+SyncManager.BACKUP_KEYS = ['siteRules', 'siteRulesVersion', 'auditLog', 'whitelist', 'blacklist', 'encryptionSettings'];
+SyncManager.SYNC_DELAY_MS = 5000;
+SyncManager.MAX_SYNC_ATTEMPTS = 3;
+SyncManager.MAX_CONFLICTS = 200;
+SyncManager.RETRY_ALARM = 'syncRetry';
+SyncManager.LOG_SYNC_ALARM = 'syncAuditLog';
+SyncManager.LOG_SYNC_DELAY_MS = 5 * 60 * 1000;
+// chrome.alarms does not fire sooner than 30 seconds
+SyncManager.RETRY_BASE_MS = 30 * 1000;
+SyncManager.RETRY_MAX_MS = 60 * 60 * 1000;
+SyncManager.BACKUP_SCHEMA_VERSION = 1;
+SyncManager.KEYRING_KEYS = ['encryptionKey', 'encryptionKeyring', 'wrappedEncryptionKey', 'wrappedEncryptionKeyring'];
+SyncManager.VAULT_SCHEMA = {
+    type: 'object',
+    required: ['records', 'proxiedCookies', 'keyring'],
+    properties: {
+        records: { type: 'object' },
+        proxiedCookies: StorageSchema.KEYS.proxiedCookies,
+        keyring: {
+            anyOf: [
+                { type: 'object', properties: { type: { const: 'raw' }, value: { $ref: '#/definitions/keyring' } }, required: ['type', 'value'] },
+                { type: 'object', properties: { type: { const: 'wrapped' }, value: { $ref: '#/definitions/wrappedKeyring' } }, required: ['type', 'value'] }
+            ]
+        }
+    },
+    additionalProperties: false
+};
@@ -0,0 +1,228 @@
+// sync-merge.js - Per-entry revisions and three-way merge for synced rules and lists
+// Every entry of a synced collection (a rule, a list pattern, a setting) carries a revision
+// { clock, deviceId, at, hash }: a Lamport clock bumped for each local edit, the device that
+// made it, a wall-clock time for display, and a hash of the value so edits can be told
+// apart from writes that merely store what was synced. Deletions leave a tombstone revision
+// ({ deleted: true }) so they propagate instead of being resurrected by other devices.
+//
+// Merging compares local and remote against the base (the document as of the last sync):
+// an entry changed on one side only takes that side; changed on both sides with different
+// results is a conflict, won deterministically by the higher (clock, deviceId) so every
+// device converges on the same value, and reported so the user can pick the other one.
+class SyncMerge {
+    static emptyState() {
+        return { data: {}, revisions: { clock: 0, entries: {} } };
+    }
+
+    /**
+     * Record revisions for local edits: entries whose value no longer matches the hash
+     * of their last revision, new entries, and entries that disappeared (tombstones)
+     */
+    static stamp(revisions, data, deviceId, keys) {
+        const result = {
+            clock: revisions?.clock || 0,
+            entries: JSON.parse(JSON.stringify(revisions?.entries || {}))
+        };
+        let changed = false;
+        const now = new Date().toISOString();
+        const bump = () => {
+            result.clock++;
+            changed = true;
+            return { clock: result.clock, deviceId, at: now };
+        };
+
+        keys.forEach(key => {
+            const kind = ImportPlanner.COLLECTIONS[key];
+            if (kind === 'log') return;
+
+            const entries = ImportPlanner.toEntries(kind, data[key]);
+            const known = result.entries[key] || (result.entries[key] = {});
+
+            entries.forEach((value, id) => {
+                const hash = SyncMerge.hash(value);
+                if (known[id] && !known[id].deleted && known[id].hash === hash) return;
+                known[id] = { ...bump(), hash };
+            });
+
+            Object.entries(known).forEach(([id, revision]) => {
+                if (!revision.deleted && !entries.has(id)) {
+                    known[id] = { ...bump(), deleted: true };
+                }
+            });
+        });
+
+        return { revisions: result, changed };
+    }
+
+    /**
+     * Three-way merge of { data, revisions } states. `validate(key, id, value)` returns
+     * errors for remote values that must not be taken.
+     */
+    static merge(base, local, remote, keys, validate) {
+        const merged = {
+            data: {},
+            revisions: {
+                clock: Math.max(local.revisions.clock, remote.revisions.clock),
+                entries: {}
+            }
+        };
+        const conflicts = [];
+        const rejected = [];
+
+        keys.forEach(key => {
+            const kind = ImportPlanner.COLLECTIONS[key];
+            if (kind === 'log') {
+                merged.data[key] = SyncMerge.mergeLog(local.data[key], remote.data[key]);
+                return;
+            }
+
+            const sides = {
+                base: SyncMerge.side(base, key, kind),
+                local: SyncMerge.side(local, key, kind),
+                remote: SyncMerge.side(remote, key, kind)
+            };
+            const ids = new Set([
+                ...Object.keys(sides.local.revisions),
+                ...Object.keys(sides.remote.revisions)
+            ]);
+            const entries = new Map();
+            const revisions = {};
+
+            ids.forEach(id => {
+                const b = sides.base.get(id);
+                const l = sides.local.get(id);
+                let r = sides.remote.get(id);
+
+                if (r.revision && !r.revision.deleted) {
+                    const errors = validate(key, id, r.value);
+                    if (errors.length > 0) {
+                        rejected.push({ key, id, errors });
+                        r = b;
+                    }
+                }
+
+                // Deletions always leave a tombstone, so an entry the remote has no revision
+                // for at all was never seen there (e.g. overwritten by an unconditional push)
+                const localChanged = !SyncMerge.sameRevision(l.revision, b.revision);
+                const remoteChanged = !!r.revision && !SyncMerge.sameRevision(r.revision, b.revision);
+                let winner;
+
+                if (!remoteChanged) {
+                    winner = l;
+                } else if (!localChanged) {
+                    winner = r;
+                } else {
+                    winner = SyncMerge.compareRevisions(l.revision, r.revision) >= 0 ? l : r;
+                    if (SyncMerge.hashOf(l) !== SyncMerge.hashOf(r)) {
+                        const loser = winner === l ? r : l;
+                        conflicts.push({
+                            key,
+                            entryId: id,
+                            winner: winner === l ? 'local' : 'remote',
+                            kept: winner.revision?.deleted ? null : winner.value,
+                            discarded: loser.revision?.deleted ? null : loser.value,
+                            keptRevision: winner.revision,
+                            discardedRevision: loser.revision
+                        });
+                    }
+                }
+
+                if (!winner.revision) return;
+                revisions[id] = winner.revision;
+                if (!winner.revision.deleted) {
+                    entries.set(id, winner.value);
+                }
+            });
+
+            merged.revisions.entries[key] = revisions;
+            merged.data[key] = ImportPlanner.fromEntries(kind, entries);
+        });
+
+        return { ...merged, conflicts, rejected };
+    }
+
+    /**
+     * Accessor for one collection of a state: get(id) -> { value, revision }
+     */
+    static side(state, key, kind) {
+        const values = ImportPlanner.toEntries(kind, state.data?.[key]);
+        const revisions = state.revisions?.entries?.[key] || {};
+        return {
+            revisions,
+            get: id => ({ value: values.get(id), revision: revisions[id] || null })
+        };
+    }
+
+    /**
+     * Union of two audit logs, newest first, capped like the local log
+     */
+    static mergeLog(local, remote) {
+        const entries = ImportPlanner.toEntries('log', local);
+        ImportPlanner.toEntries('log', remote).forEach((value, id) => {
+            if (!entries.has(id)) entries.set(id, value);
+        });
+        return ImportPlanner.fromEntries('log', entries);
+    }
+
+    /**
+     * State of a pulled document. Documents written before revisions existed get a
+     * clock-0 revision per entry, so any local edit wins over them.
+     */
+    static fromDocument(document, keys) {
+        if (!document) return SyncMerge.emptyState();
+        if (document.revisions) {
+            return { data: document.data || {}, revisions: document.revisions };
+        }
+
+        const stamped = SyncMerge.stamp(null, document.data || {}, document.deviceId || 'unknown', keys);
+        Object.values(stamped.revisions.entries).forEach(entries => {
+            Object.values(entries).forEach(revision => { revision.clock = 0; });
+        });
+        stamped.revisions.clock = 0;
+        return { data: document.data || {}, revisions: stamped.revisions };
+    }
+
+    /**
+     * Drop tombstones older than the retention period; by then every device still
+     * syncing has seen them
+     */
+    static pruneTombstones(revisions, maxAgeDays = SyncMerge.TOMBSTONE_DAYS) {
+        const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+        Object.values(revisions.entries).forEach(entries => {
+            Object.entries(entries).forEach(([id, revision]) => {
+                if (revision.deleted && Date.parse(revision.at) < cutoff) delete entries[id];
+            });
+        });
+        return revisions;
+    }
+
+    static sameRevision(a, b) {
+        if (!a || !b) return !a && !b;
+        return a.clock === b.clock && a.deviceId === b.deviceId && !!a.deleted === !!b.deleted;
+    }
+
+    static compareRevisions(a, b) {
+        if (!a || !b) return a ? 1 : b ? -1 : 0;
+        return a.clock - b.clock || String(a.deviceId).localeCompare(String(b.deviceId));
+    }
+
+    static hashOf(side) {
+        if (!side.revision || side.revision.deleted) return null;
+        return SyncMerge.hash(side.value);
+    }
+
+    /**
+     * FNV-1a over the JSON form; only used to notice changed values, not for security
+     */
+    static hash(value) {
+        const text = JSON.stringify(value);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
+
+SyncMerge.TOMBSTONE_DAYS = 90;
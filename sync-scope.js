@@ -0,0 +1,132 @@
+// sync-scope.js - What this device syncs, and what never leaves it
+// The scope picks groups of storage keys to sync; the audit log can be left out, synced
+// without cookie values (the default) or synced whole. Exclusions are domain patterns
+// whose rules, list entries and audit entries stay on this device: they are split off
+// before merging, kept as they are locally, and other devices' entries for them are
+// passed through the remote document untouched. Both are per device, in syncSettings.
+class SyncScope {
+    /**
+     * Scope with defaults filled in for anything not configured
+     */
+    static normalize(scope) {
+        return { ...SyncScope.DEFAULTS, ...scope };
+    }
+
+    /**
+     * Storage keys the scope syncs
+     */
+    static keys(scope) {
+        const normalized = SyncScope.normalize(scope);
+        return Object.entries(SyncScope.GROUPS)
+            .filter(([group]) => group === 'auditLog' ? normalized.auditLog !== 'off' : normalized[group])
+            .flatMap(([, keys]) => keys);
+    }
+
+    static isExcluded(key, id, value, exclusions) {
+        if (!exclusions?.length) return false;
+
+        const kind = ImportPlanner.COLLECTIONS[key];
+        if (kind === 'settings') return false;
+
+        const domain = kind === 'log' ? value?.domain : id;
+        if (!domain || domain === '*') return false;
+
+        return exclusions.some(pattern => DomainMatcher.matchesPattern(domain, pattern));
+    }
+
+    /**
+     * Split a { data, revisions } state into the entries that sync and those kept on
+     * this device
+     */
+    static split(state, keys, exclusions) {
+        const clock = state.revisions?.clock || 0;
+        const shared = { data: {}, revisions: { clock, entries: {} } };
+        const kept = { data: {}, revisions: { clock, entries: {} } };
+
+        keys.forEach(key => {
+            const kind = ImportPlanner.COLLECTIONS[key];
+            const values = ImportPlanner.toEntries(kind, state.data?.[key]);
+            const parts = { shared: new Map(), kept: new Map() };
+            const revisions = { shared: {}, kept: {} };
+
+            values.forEach((value, id) => {
+                parts[SyncScope.isExcluded(key, id, value, exclusions) ? 'kept' : 'shared'].set(id, value);
+            });
+            Object.entries(state.revisions?.entries?.[key] || {}).forEach(([id, revision]) => {
+                revisions[SyncScope.isExcluded(key, id, values.get(id), exclusions) ? 'kept' : 'shared'][id] = revision;
+            });
+
+            if (state.data?.[key] !== undefined) {
+                shared.data[key] = ImportPlanner.fromEntries(kind, parts.shared);
+                kept.data[key] = ImportPlanner.fromEntries(kind, parts.kept);
+            }
+            shared.revisions.entries[key] = revisions.shared;
+            kept.revisions.entries[key] = revisions.kept;
+        });
+
+        return { shared, kept };
+    }
+
+    /**
+     * Put split-off entries back: `extra` is added to `state` for the given keys
+     */
+    static combine(state, extra, keys) {
+        const result = {
+            data: { ...state.data },
+            revisions: {
+                clock: Math.max(state.revisions.clock, extra.revisions.clock),
+                entries: { ...state.revisions.entries }
+            }
+        };
+
+        keys.forEach(key => {
+            const kind = ImportPlanner.COLLECTIONS[key];
+            if (state.data[key] !== undefined || extra.data[key] !== undefined) {
+                const entries = ImportPlanner.toEntries(kind, state.data[key]);
+                ImportPlanner.toEntries(kind, extra.data[key]).forEach((value, id) => entries.set(id, value));
+                result.data[key] = ImportPlanner.fromEntries(kind, entries);
+            }
+            result.revisions.entries[key] = {
+                ...state.revisions.entries[key],
+                ...extra.revisions.entries[key]
+            };
+        });
+
+        return result;
+    }
+
+    /**
+     * Copy of outgoing data with cookie values removed from audit entries, unless the
+     * scope syncs the audit log whole. Other devices' entries are redacted too: the
+     * shared log is as strict as the strictest device.
+     */
+    static redact(data, scope) {
+        // With the audit log out of scope, what is there belongs to other devices
+        if (!Array.isArray(data.auditLog) || SyncScope.normalize(scope).auditLog !== 'redacted') {
+            return data;
+        }
+        return { ...data, auditLog: data.auditLog.map(entry => SyncScope.redactEntry(entry)) };
+    }
+
+    static redactEntry(entry) {
+        if (!entry || typeof entry !== 'object') return entry;
+
+        const redacted = { ...entry };
+        SyncScope.REDACTED_FIELDS.forEach(field => delete redacted[field]);
+        return redacted;
+    }
+}
+
+// Storage keys behind each scope option
+SyncScope.GROUPS = {
+    rules: ['siteRules'],
+    lists: ['whitelist', 'blacklist'],
+    overrides: ['whitelistRules'],
+    settings: ['encryptionSettings'],
+    auditLog: ['auditLog']
+};
+SyncScope.ALL_KEYS = Object.values(SyncScope.GROUPS).flat();
+SyncScope.AUDIT_LOG_MODES = ['off', 'redacted', 'full'];
+SyncScope.DEFAULTS = { rules: true, lists: true, overrides: true, settings: false, auditLog: 'redacted' };
+// Audit entry fields that can hold cookie values
+SyncScope.REDACTED_FIELDS = ['value'];
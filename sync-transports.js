@@ -0,0 +1,231 @@
+// sync-transports.js - Where synced data is stored: REST server, WebDAV share or chrome.storage.sync
+// Every transport moves the same document, { data, revisions, updatedAt, deviceId }, where
+// data holds the synced storage keys. Pulls return the document with an ETag and pushes
+// can be made conditional on it, so two devices syncing at once cannot overwrite each
+// other. See server/PROTOCOL.md for the REST and WebDAV wire formats.
+class SyncTransport {
+    /**
+     * @param {Object} settings  syncSettings
+     * @param {SyncAuth} [auth]  Signed-in account for the REST transport; without it the
+     *                           static settings.authToken is sent
+     */
+    constructor(settings, auth = null) {
+        this.settings = settings;
+        this.auth = auth;
+    }
+
+    /**
+     * Check that the remote end is reachable and accepts our credentials
+     */
+    async test() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * { document, etag }; document is null if nothing has been pushed yet
+     */
+    async pull() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Replace the stored document. With `etag` (null meaning "nothing stored yet") the
+     * write only happens if the remote copy is still the one that was pulled; otherwise
+     * a SYNC_PRECONDITION_FAILED error is thrown and the caller pulls again.
+     */
+    async push(document, etag) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Headers for a conditional write
+     */
+    static conditionHeaders(etag) {
+        if (etag === undefined) return {};
+        return etag === null ? { 'If-None-Match': '*' } : { 'If-Match': etag };
+    }
+
+    static preconditionFailed() {
+        const error = new Error('Remote document changed since it was pulled');
+        error.code = 'SYNC_PRECONDITION_FAILED';
+        return error;
+    }
+}
+
+class RestSyncTransport extends SyncTransport {
+    async test() {
+        const health = await (await this.request('GET', '/v1/health')).json();
+        if (health?.protocol !== RestSyncTransport.PROTOCOL_VERSION) {
+            throw new Error(`Server speaks sync protocol ${health?.protocol}, expected ${RestSyncTransport.PROTOCOL_VERSION}`);
+        }
+        await this.pull();
+    }
+
+    async pull() {
+        const response = await this.request('GET', '/v1/document');
+        if (response.status === 404) {
+            return { document: null, etag: null };
+        }
+        return { document: await response.json(), etag: response.headers.get('ETag') };
+    }
+
+    async push(document, etag) {
+        await this.request('PUT', '/v1/document', document, SyncTransport.conditionHeaders(etag));
+    }
+
+    async request(method, path, body, extraHeaders = {}, retried = false) {
+        const headers = { 'Accept': 'application/json', ...extraHeaders };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const token = this.auth
+            ? await this.auth.getAccessToken(this.settings.endpoint)
+            : this.settings.authToken;
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+
+        const response = await fetch(SyncTransports.joinUrl(this.settings.endpoint, path), {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        // The access token expired or was revoked early; refresh it once and retry
+        if (response.status === 401 && this.auth && !retried) {
+            this.auth.invalidate();
+            return this.request(method, path, body, extraHeaders, true);
+        }
+        if (response.status === 412) {
+            throw SyncTransport.preconditionFailed();
+        }
+        if (!response.ok && !(response.status === 404 && method === 'GET')) {
+            throw new Error(`Sync server returned ${response.status} ${response.statusText}`);
+        }
+        return response;
+    }
+}
+
+RestSyncTransport.PROTOCOL_VERSION = 2;
+
+class WebDavSyncTransport extends SyncTransport {
+    get fileUrl() {
+        return SyncTransports.joinUrl(this.settings.endpoint, WebDavSyncTransport.FILE_NAME);
+    }
+
+    async test() {
+        const response = await this.request('PROPFIND', this.settings.endpoint, null, { 'Depth': '0' });
+        if (response.status !== 207 && !response.ok) {
+            throw new Error(`WebDAV share returned ${response.status} ${response.statusText}`);
+        }
+    }
+
+    async pull() {
+        const response = await this.request('GET', this.fileUrl);
+        if (response.status === 404) return { document: null, etag: null };
+        if (!response.ok) {
+            throw new Error(`WebDAV share returned ${response.status} ${response.statusText}`);
+        }
+        return { document: await response.json(), etag: response.headers.get('ETag') };
+    }
+
+    async push(document, etag) {
+        const response = await this.request('PUT', this.fileUrl, JSON.stringify(document), {
+            'Content-Type': 'application/json',
+            ...SyncTransport.conditionHeaders(etag)
+        });
+        if (response.status === 412) {
+            throw SyncTransport.preconditionFailed();
+        }
+        if (!response.ok) {
+            throw new Error(`WebDAV share returned ${response.status} ${response.statusText}`);
+        }
+    }
+
+    request(method, url, body = null, headers = {}) {
+        if (this.settings.username) {
+            headers['Authorization'] = `Basic ${btoa(`${this.settings.username}:${this.settings.authToken || ''}`)}`;
+        }
+        return fetch(url, { method, headers, body });
+    }
+}
+
+WebDavSyncTransport.FILE_NAME = 'cookie-guardian-sync.json';
+
+/**
+ * chrome.storage.sync caps single items at 8 KB, so the document is stored as JSON
+ * chunks under cg_sync_<n> with a cg_sync_meta item saying how many there are.
+ * The browser syncs these items itself, last write wins; there is no ETag to check.
+ */
+class ChromeStorageSyncTransport extends SyncTransport {
+    async test() {
+        await chrome.storage.sync.getBytesInUse(null);
+    }
+
+    async pull() {
+        const { cg_sync_meta: meta } = await chrome.storage.sync.get(['cg_sync_meta']);
+        if (!meta) return { document: null, etag: undefined };
+
+        const keys = Array.from({ length: meta.chunks }, (_, i) => `cg_sync_${i}`);
+        const chunks = await chrome.storage.sync.get(keys);
+        return { document: JSON.parse(keys.map(key => chunks[key] || '').join('')), etag: undefined };
+    }
+
+    async push(document) {
+        const json = JSON.stringify(document);
+        const size = ChromeStorageSyncTransport.CHUNK_SIZE;
+        const items = {};
+        let chunks = 0;
+
+        for (let offset = 0; offset < json.length; offset += size) {
+            items[`cg_sync_${chunks++}`] = json.slice(offset, offset + size);
+        }
+
+        const { cg_sync_meta: previous } = await chrome.storage.sync.get(['cg_sync_meta']);
+        await chrome.storage.sync.set({ ...items, cg_sync_meta: { chunks, updatedAt: document.updatedAt } });
+
+        // Drop chunks left over from a longer previous document
+        const stale = [];
+        for (let i = chunks; i < (previous?.chunks || 0); i++) stale.push(`cg_sync_${i}`);
+        if (stale.length > 0) {
+            await chrome.storage.sync.remove(stale);
+        }
+    }
+}
+
+// Characters per item, leaving room for the key and JSON string quoting within 8 KB
+ChromeStorageSyncTransport.CHUNK_SIZE = 6000;
+
+class SyncTransports {
+    static create(settings, auth = null) {
+        const Transport = SyncTransports.TYPES[settings?.transport || 'rest'];
+        if (!Transport) {
+            throw new Error(`Unknown sync transport "${settings.transport}"`);
+        }
+        if (Transport !== ChromeStorageSyncTransport && !SyncTransports.isValidEndpoint(settings.endpoint)) {
+            throw new Error('Sync endpoint must be an https URL (plain http only for localhost)');
+        }
+        return new Transport(settings, auth);
+    }
+
+    static isValidEndpoint(endpoint) {
+        try {
+            const url = new URL(endpoint);
+            return url.protocol === 'https:' || (url.protocol === 'http:' && SyncTransports.isLocalHost(url.hostname));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Plain HTTP is only accepted for a server on this machine, e.g. the reference server
+    static isLocalHost(hostname) {
+        return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+    }
+
+    static joinUrl(base, path) {
+        return `${base.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+    }
+}
+
+SyncTransports.TYPES = {
+    'rest': RestSyncTransport,
+    'webdav': WebDavSyncTransport,
+    'chrome-sync': ChromeStorageSyncTransport
+};
@@ -0,0 +1,111 @@
+// audit-log-import.test.js - an exported audit log must import again without losing entries
+// Run with: node --test tests/
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Objects built inside the sandbox have its prototypes; compare them as JSON
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Load the service worker's classes into a sandbox whose chrome.storage.local is a plain object
+ */
+function loadBackground() {
+    const storage = {};
+    const event = { addListener() {} };
+    const api = new Proxy({}, { get: () => event });
+    const chrome = {
+        storage: {
+            local: {
+                get: async keys => keys === null
+                    ? structuredClone(storage)
+                    : Object.fromEntries([].concat(keys).filter(key => key in storage).map(key => [key, structuredClone(storage[key])])),
+                set: async items => { Object.assign(storage, structuredClone(items)); },
+                remove: async keys => { [].concat(keys).forEach(key => delete storage[key]); }
+            },
+            session: { get: async () => ({}), set: async () => {}, remove: async () => {} },
+            onChanged: event
+        },
+        alarms: { create() {}, clear: async () => true, onAlarm: event },
+        runtime: { getManifest: () => ({ version: '0.0.0-test' }), getURL: () => '', onMessage: event, onInstalled: event, onStartup: event },
+        cookies: { onChanged: event },
+        tabs: api,
+        notifications: api,
+        webRequest: api,
+        contextMenus: api,
+        declarativeNetRequest: api
+    };
+
+    const context = vm.createContext({ console, URL, TextEncoder, TextDecoder, crypto, btoa, atob, setTimeout, clearTimeout, chrome });
+    context.self = context;
+    context.importScripts = (...files) => files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    // Everything but the instance the worker starts with; the tests only need the classes
+    const source = fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8')
+        .replace('const backgroundService = new CookieGuardianBackground();', '');
+    vm.runInContext(`${source}\nthis.exports = { CookieGuardianBackground, SyncManager };`, context, { filename: 'background.js' });
+    return { storage, ...context.exports };
+}
+
+/**
+ * Write an audit log the way the service worker does: cookie changes and feature events mixed
+ */
+async function writeAuditLog(CookieGuardianBackground) {
+    const logger = { auditLog: [] };
+    const { logCookieChange, logAudit } = CookieGuardianBackground.prototype;
+
+    await logCookieChange.call(logger, {
+        cookie: { name: 'session', domain: '.example.com', storeId: '0', value: 'abc' },
+        removed: false,
+        cause: 'explicit'
+    }, { origin: 'set-cookie', response: { url: 'https://example.com/login', initiator: 'https://example.com' } });
+    await logCookieChange.call(logger, {
+        cookie: { name: 'tracker', domain: '.ads.test', storeId: '0', value: '', partitionKey: { topLevelSite: 'https://example.com' } },
+        removed: true,
+        cause: 'expired_overwrite'
+    });
+    logAudit.call(logger, 'RULE_ADDED', { domain: 'example.com' });
+    logAudit.call(logger, 'SYNC_COMPLETED', { domain: '*', pushed: 3 });
+
+    // Entries written in the same millisecond would share an ID; spread them out
+    logger.auditLog.forEach((entry, index) => {
+        entry.timestamp = new Date(Date.UTC(2026, 0, 1, 12, 0, index)).toISOString();
+    });
+    return logger.auditLog;
+}
+
+test('a backup of cookie changes and feature events imports into an empty profile', async () => {
+    const source = loadBackground();
+    const auditLog = await writeAuditLog(source.CookieGuardianBackground);
+    source.storage.auditLog = auditLog;
+    const backup = JSON.parse(JSON.stringify(await new source.SyncManager().exportBackup({ passphrase: 'correct horse' })));
+
+    const target = loadBackground();
+    const result = await new target.SyncManager().importBackup(backup, { passphrase: 'correct horse' });
+
+    assert.strictEqual(result.plan.summary.rejected, 0, JSON.stringify(result.plan.changes.auditLog.rejected));
+    assert.strictEqual(result.plan.summary.added, auditLog.length);
+    assert.deepStrictEqual(
+        plain(target.storage.auditLog),
+        plain(auditLog).sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+    );
+});
+
+test('importing the same audit log again changes nothing', async () => {
+    const source = loadBackground();
+    source.storage.auditLog = await writeAuditLog(source.CookieGuardianBackground);
+    const manager = new source.SyncManager();
+    const backup = JSON.parse(JSON.stringify(await manager.exportBackup({ passphrase: 'correct horse' })));
+
+    const result = await manager.importBackup(backup, { passphrase: 'correct horse', mode: 'replace', dryRun: true });
+
+    assert.strictEqual(result.plan.summary.rejected, 0);
+    assert.strictEqual(result.plan.changes.auditLog.unchanged, source.storage.auditLog.length);
+    assert.strictEqual(result.plan.empty, true);
+});
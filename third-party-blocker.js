@@ -0,0 +1,275 @@
+// third-party-blocker.js - Blocking mode: strip cookies from third-party requests before they are sent
+// The blacklist only deletes cookies once chrome.cookies.onChanged reports them, after the
+// request that carried them went out. In blocking mode the blacklist, plus the domains of
+// cookies categorized as advertising, is compiled into declarativeNetRequest dynamic rules
+// that remove the Cookie and Set-Cookie headers of third-party requests to those domains,
+// so the browser never sends or stores them. Sites on the whitelist are exempt as
+// initiators. How often the rules matched is polled with getMatchedRules and shown per tab;
+// a rule matches whether or not the request carried cookies, so the counts are requests.
+class ThirdPartyBlocker {
+    constructor(categorizer) {
+        this.categorizer = categorizer;
+        this.enabled = false;
+        this.compiled = { domains: [], patterns: [], exceptions: [], skipped: [] };
+        this.tabCounts = new Map();
+        this.stats = { total: 0, lastPoll: Date.now() };
+        this.compileTimer = null;
+        this.lists = { blacklist: [], whitelist: [] };
+        this.onBlocked = null;
+        this.ready = this.init();
+    }
+
+    async init() {
+        const data = await chrome.storage.local.get([ThirdPartyBlocker.SETTINGS_KEY, ThirdPartyBlocker.STATS_KEY]);
+        this.enabled = !!data[ThirdPartyBlocker.SETTINGS_KEY]?.enabled;
+        this.stats = { ...this.stats, ...data[ThirdPartyBlocker.STATS_KEY] };
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+            // A new page in the tab starts its own count
+            if (changeInfo.url && this.tabCounts.has(tabId)) {
+                this.tabCounts.delete(tabId);
+                this.onBlocked?.(tabId, 0);
+            }
+        });
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.tabCounts.delete(tabId);
+        });
+    }
+
+    async setEnabled(enabled) {
+        await this.ready;
+        this.enabled = !!enabled;
+        await chrome.storage.local.set({ [ThirdPartyBlocker.SETTINGS_KEY]: { enabled: this.enabled } });
+        if (!this.enabled) {
+            this.tabCounts.forEach((count, tabId) => this.onBlocked?.(tabId, 0));
+            this.tabCounts.clear();
+        }
+        this.stats.lastPoll = Date.now();
+        await this.compile(this.lists.blacklist, this.lists.whitelist);
+    }
+
+    /**
+     * Rebuild the dynamic rules from the lists and the advertising cookies in the jar;
+     * with blocking mode off this only removes them
+     */
+    async compile(blacklist, whitelist) {
+        await this.ready;
+        this.lists = { blacklist: [...blacklist], whitelist: [...whitelist] };
+
+        const existing = await chrome.declarativeNetRequest.getDynamicRules();
+        const removeRuleIds = existing
+            .map(rule => rule.id)
+            .filter(id => id >= ThirdPartyBlocker.RULE_ID_BASE && id < ThirdPartyBlocker.RULE_ID_BASE + ThirdPartyBlocker.MAX_RULES);
+
+        if (!this.enabled) {
+            this.compiled = { domains: [], patterns: [], exceptions: [], skipped: [] };
+            await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds });
+            return this.compiled;
+        }
+
+        const advertising = await this.advertisingDomains(whitelist);
+        this.compiled = ThirdPartyBlocker.plan(blacklist, whitelist, advertising);
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds,
+            addRules: ThirdPartyBlocker.buildRules(this.compiled)
+        });
+        return this.compiled;
+    }
+
+    /**
+     * Recompile soon when a cookie change reveals an advertising domain not blocked yet
+     */
+    noteCookie(cookie, category) {
+        if (!this.enabled || category !== 'advertising' || this.compileTimer) return;
+
+        const domain = ThirdPartyBlocker.siteOf(cookie.domain);
+        if (!domain || this.compiled.domains.includes(domain)) return;
+        if (this.lists.whitelist.some(pattern => DomainMatcher.matchesPattern(domain, pattern))) return;
+
+        this.compileTimer = setTimeout(() => {
+            this.compileTimer = null;
+            this.compile(this.lists.blacklist, this.lists.whitelist)
+                .catch(error => console.error('Failed to update blocking rules:', error));
+        }, ThirdPartyBlocker.COMPILE_DELAY_MS);
+    }
+
+    async advertisingDomains(whitelist) {
+        if (!this.categorizer) return [];
+        await this.categorizer.ready;
+
+        const domains = new Set();
+        (await CookieStores.getAll()).forEach(cookie => {
+            if (this.categorizer.categorizeCookie(cookie).category !== 'advertising') return;
+            const domain = ThirdPartyBlocker.siteOf(cookie.domain);
+            if (domain && !whitelist.some(pattern => DomainMatcher.matchesPattern(domain, pattern))) {
+                domains.add(domain);
+            }
+        });
+        return [...domains];
+    }
+
+    /**
+     * Add the requests that matched since the last poll to the per-tab and total counters.
+     * getMatchedRules is limited to 20 calls per 10 minutes, so this runs from an alarm.
+     */
+    async countMatches() {
+        await this.ready;
+        if (!this.enabled) return;
+
+        const since = this.stats.lastPoll;
+        const { rulesMatchedInfo } = await chrome.declarativeNetRequest.getMatchedRules({ minTimeStamp: since + 1 });
+        const changedTabs = new Set();
+        let latest = since;
+
+        rulesMatchedInfo.forEach(match => {
+            const id = match.rule.ruleId;
+            if (match.rule.rulesetId !== chrome.declarativeNetRequest.DYNAMIC_RULESET_ID) return;
+            if (id < ThirdPartyBlocker.RULE_ID_BASE || id >= ThirdPartyBlocker.RULE_ID_BASE + ThirdPartyBlocker.MAX_RULES) return;
+
+            latest = Math.max(latest, match.timeStamp);
+            this.stats.total++;
+            if (match.tabId >= 0) {
+                this.tabCounts.set(match.tabId, (this.tabCounts.get(match.tabId) || 0) + 1);
+                changedTabs.add(match.tabId);
+            }
+        });
+
+        this.stats.lastPoll = latest;
+        await chrome.storage.local.set({ [ThirdPartyBlocker.STATS_KEY]: this.stats });
+        changedTabs.forEach(tabId => this.onBlocked?.(tabId, this.tabCounts.get(tabId)));
+    }
+
+    async getStatus(tabId) {
+        await this.ready;
+        return {
+            enabled: this.enabled,
+            domains: this.compiled.domains.length,
+            patterns: this.compiled.patterns.length,
+            exceptions: this.compiled.exceptions.length,
+            skipped: this.compiled.skipped,
+            blockedTotal: this.stats.total,
+            blockedOnTab: tabId === undefined ? undefined : this.tabCounts.get(tabId) || 0
+        };
+    }
+
+    /**
+     * What the lists compile to: plain domains for one requestDomains rule, wildcard
+     * patterns for regex rules, and whitelisted initiators. Wildcard whitelist patterns
+     * cannot be expressed as initiator domains, and patterns past the rule limit cannot be
+     * installed; both are reported as skipped.
+     */
+    static plan(blacklist, whitelist, advertising = []) {
+        const domains = new Set();
+        const patterns = new Set();
+        const exceptions = new Set();
+        const skipped = [];
+
+        blacklist.forEach(pattern => {
+            const normalized = ThirdPartyBlocker.plainDomain(pattern);
+            if (normalized) {
+                domains.add(normalized);
+            } else if (DomainMatcher.normalizeHost(pattern) !== '*') {
+                patterns.add(DomainMatcher.normalizeHost(pattern));
+            } else {
+                skipped.push(pattern);
+            }
+        });
+        advertising.forEach(domain => domains.add(domain));
+
+        whitelist.forEach(pattern => {
+            const normalized = ThirdPartyBlocker.plainDomain(pattern);
+            if (normalized) {
+                exceptions.add(normalized);
+            } else {
+                skipped.push(pattern);
+            }
+        });
+
+        // One rule is taken by the plain domains
+        const allowed = [...patterns].slice(0, ThirdPartyBlocker.MAX_RULES - 1);
+        skipped.push(...[...patterns].slice(ThirdPartyBlocker.MAX_RULES - 1));
+
+        return {
+            domains: [...domains],
+            patterns: allowed,
+            exceptions: [...exceptions],
+            skipped
+        };
+    }
+
+    static buildRules({ domains, patterns, exceptions }) {
+        const action = {
+            type: 'modifyHeaders',
+            requestHeaders: [{ header: 'cookie', operation: 'remove' }],
+            responseHeaders: [{ header: 'set-cookie', operation: 'remove' }]
+        };
+        const baseCondition = {
+            domainType: 'thirdParty',
+            resourceTypes: ThirdPartyBlocker.RESOURCE_TYPES
+        };
+        if (exceptions.length > 0) {
+            baseCondition.excludedInitiatorDomains = exceptions;
+        }
+
+        const rules = [];
+        let id = ThirdPartyBlocker.RULE_ID_BASE;
+        if (domains.length > 0) {
+            rules.push({ id: id++, priority: 1, action, condition: { ...baseCondition, requestDomains: domains } });
+        }
+        patterns.forEach(pattern => {
+            rules.push({
+                id: id++,
+                priority: 1,
+                action,
+                condition: { ...baseCondition, regexFilter: ThirdPartyBlocker.patternToRegex(pattern) }
+            });
+        });
+        return rules;
+    }
+
+    /**
+     * The pattern's domain if it has no wildcard other than a leading "*."
+     */
+    static plainDomain(pattern) {
+        let normalized = DomainMatcher.normalizeHost(pattern);
+        if (normalized.startsWith('*.')) normalized = normalized.substring(2);
+        return normalized && !normalized.includes('*') ? normalized : null;
+    }
+
+    /**
+     * URL regex for a wildcard domain pattern, matching like DomainMatcher.matchesPattern:
+     * "*" stays inside one label, "name.*" takes any suffix, subdomains are included
+     */
+    static patternToRegex(pattern) {
+        const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        let normalized = pattern.startsWith('*.') ? pattern.substring(2) : pattern;
+        let suffix = '';
+        if (normalized.endsWith('.*')) {
+            normalized = normalized.slice(0, -2);
+            suffix = '(\\.[^./:]+)+';
+        }
+        const body = normalized.split('*').map(escape).join('[^./:]*');
+        return `^[a-z]+://([^/:]+\\.)?${body}${suffix}(:[0-9]+)?/`;
+    }
+
+    static siteOf(domain) {
+        const host = DomainMatcher.normalizeHost(domain);
+        return DomainMatcher.getRegistrableDomain(host) || host || null;
+    }
+}
+
+ThirdPartyBlocker.SETTINGS_KEY = 'blockingSettings';
+ThirdPartyBlocker.STATS_KEY = 'blockingStats';
+ThirdPartyBlocker.COUNT_ALARM = 'countBlockedHeaders';
+// Dynamic rule IDs owned by blocking mode
+ThirdPartyBlocker.RULE_ID_BASE = 1;
+ThirdPartyBlocker.MAX_RULES = 1000;
+ThirdPartyBlocker.COMPILE_DELAY_MS = 10000;
+// A top-level navigation is never third-party, so main_frame is left out
+ThirdPartyBlocker.RESOURCE_TYPES = [
+    'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object', 'xmlhttprequest',
+    'ping', 'csp_report', 'media', 'websocket', 'webtransport', 'webbundle', 'other'
+];